@@ -0,0 +1,279 @@
+import { esc, slug } from './lib.js';
+import html, { raw } from './html.js';
+import BlogPage from './BlogPage.js';
+import { SANITIZE_DEFAULTS } from './sanitize.js';
+import { termUrl } from './taxonomy.js';
+
+/**
+ * ArticlePage - Semantic control layer for a single post (permalink page)
+ *
+ * Shares the header, logo, nav, aside and footer with BlogPage, but <main>
+ * holds one full article instead of a list of teasers: author byline,
+ * updated date, table of contents and previous/next post navigation.
+ * There is no "Read more" link - this page is where it leads.
+ *
+ * Usage:
+ *   const page = new ArticlePage({ title: 'My Blog' });
+ *   page.setArticle({
+ *     title: 'Hello World',
+ *     date: '2025-11-08',
+ *     author: { name: 'Jane Doe', url: '/about' },
+ *     content: '<h2>Intro</h2><p>...</p>'
+ *   });
+ *   page.setAdjacent({
+ *     previous: { title: 'Older post', url: '/posts/older/' },
+ *     next: { title: 'Newer post', url: '/posts/newer/' }
+ *   });
+ *   const html = page.render();
+ */
+
+export default class ArticlePage extends BlogPage {
+  // Same stylesheet and regions as BlogPage; its own name, so a description
+  // (toJSON) renders back as an article
+  static layout = 'article';
+
+  static schemas = {
+    setArticle: BlogPage.schemas.addPost,
+    setAdjacent: [{ previous: 'object', next: 'object' }],
+    setTocLevels: [['number']]
+  };
+
+  constructor(options) {
+    super(options);
+
+    // The one article on this page
+    this.article = null;
+
+    // Previous (older) and next (newer) posts
+    this.adjacent = {
+      previous: null,
+      next: null
+    };
+
+    // Heading levels listed in the table of contents
+    this.tocLevels = [2, 3];
+  }
+
+  /**
+   * Set the article - accepts the same post objects as addPost(), and
+   * keeps every field of them
+   */
+  setArticle({ title, date, datetime, updated = null, author = null, content, url = '#', readMoreText = null, categories = [], tags = [], description = null, translationKey = null, draft = false, source = null }) {
+    this._check('setArticle', arguments);
+    const owner = `Post "${title}"`;
+    this._isoDate(date, owner);
+
+    this.article = {
+      title,
+      date,
+      datetime: this._isoDate(datetime || date, owner),
+      updated: updated && this._isoDate(updated, `${owner} (updated)`),
+      author: typeof author === 'string' ? { name: author, url: null } : author,
+      content,
+      url,
+      readMoreText,
+      categories: [].concat(categories),
+      tags: [].concat(tags),
+      description,
+      translationKey,
+      draft,
+      source
+    };
+    return this;
+  }
+
+  /**
+   * Set previous/next post links ({ title, url } each, either may be null)
+   */
+  setAdjacent({ previous = null, next = null }) {
+    this._check('setAdjacent', arguments);
+    this.adjacent = { previous, next };
+    return this;
+  }
+
+  /**
+   * Choose which heading levels appear in the table of contents ([] disables it)
+   */
+  setTocLevels(levels) {
+    this._check('setTocLevels', arguments);
+    this.tocLevels = levels;
+    return this;
+  }
+
+  /**
+   * Describe the page as plain data, with the article and its neighbours
+   */
+  toJSON() {
+    const link = post => post && { title: post.title, url: post.url };
+    const { article } = this;
+
+    return {
+      ...super.toJSON(),
+      article: article && {
+        ...article,
+        content: article.content == null ? article.content : String(article.content),
+        categories: [...article.categories],
+        tags: [...article.tags]
+      },
+      adjacent: { previous: link(this.adjacent.previous), next: link(this.adjacent.next) },
+      tocLevels: [...this.tocLevels]
+    };
+  }
+
+  _hydrate(json) {
+    super._hydrate(json);
+
+    const { article = null, adjacent = null, tocLevels = null } = json;
+    if (article) this.setArticle(article);
+    if (adjacent) this.setAdjacent(adjacent);
+    if (tocLevels) this.setTocLevels(tocLevels);
+  }
+
+  _renderMain() {
+    if (!this.article) {
+      return html`
+        <main>
+          <p>${this.t('article.empty')}</p>
+        </main>
+        `;
+    }
+
+    return html`
+      <main>
+        ${this._renderFullArticle(this.article)}
+        ${this._renderAdjacent()}
+      </main>
+      `;
+  }
+
+  _renderFullArticle(article) {
+    const { content, headings } = this._collectHeadings(String(this._markup(article.content)));
+
+    return html`
+      <article>
+        <header>
+          <h2>${article.title}</h2>
+          ${this._renderByline(article)}
+          ${this._renderUpdated(article)}
+          ${this._renderTerms(article)}
+        </header>
+        ${this._renderToc(headings)}
+        ${raw(content)}
+      </article>`;
+  }
+
+  _renderByline(article) {
+    const time = html`<time datetime="${article.datetime}">${this._formatDate(article.date)}</time>`;
+    if (!article.author) {
+      return html`<p>${time}</p>`;
+    }
+
+    const { name, url } = article.author;
+    const author = url ? html`<a href="${url}" rel="author">${name}</a>` : name;
+
+    return html`<p>${this.t.html('article.byline', { author, date: time })}</p>`;
+  }
+
+  _renderUpdated(article) {
+    if (!article.updated) {
+      return '';
+    }
+
+    const time = html`<time datetime="${article.updated}">${this._formatDate(article.updated)}</time>`;
+    return html`<p>${this.t.html('article.updated', { date: time })}</p>`;
+  }
+
+  _renderTerms(article) {
+    const links = [
+      ...article.categories.map(name => html`<a href="${termUrl('categories', name, this.base)}">${name}</a>`),
+      ...article.tags.map(name => html`<a href="${termUrl('tags', name, this.base)}" rel="tag">#${name}</a>`)
+    ];
+
+    return links.length ? html`<p>${raw(links.join(', '))}</p>` : '';
+  }
+
+  /**
+   * Give every listed heading an id and return the outline
+   */
+  _collectHeadings(content = '') {
+    const headings = [];
+    // Generated ids never take one the page uses itself ('faq', 'alert-region')
+    const used = new Set(SANITIZE_DEFAULTS.reservedIds);
+    const levels = this.tocLevels.join('');
+
+    if (!levels) {
+      return { content, headings };
+    }
+
+    const pattern = new RegExp(`<h([${levels}])(\\s[^>]*)?>([\\s\\S]*?)</h\\1>`, 'gi');
+
+    const withIds = String(content).replace(pattern, (match, level, attributes = '', inner) => {
+      const text = inner.replace(/<[^>]*>/g, '').trim();
+      const existing = attributes.match(/\sid="([^"]*)"/);
+
+      let id = existing ? existing[1] : slug(text.replace(/&[#\w]+;/g, ' ')) || 'section';
+      if (!existing) {
+        const base = id;
+        for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+      }
+      used.add(id);
+
+      headings.push({ level: Number(level), id, text });
+      return existing ? match : `<h${level} id="${esc(id)}"${attributes}>${inner}</h${level}>`;
+    });
+
+    return { content: withIds, headings };
+  }
+
+  _renderToc(headings) {
+    if (headings.length < 2) {
+      return '';
+    }
+
+    // Nest deeper headings under the previous shallower one
+    const root = { children: [] };
+    const stack = [{ level: 0, node: root }];
+
+    for (const heading of headings) {
+      while (stack[stack.length - 1].level >= heading.level) stack.pop();
+      const node = { heading, children: [] };
+      stack[stack.length - 1].node.children.push(node);
+      stack.push({ level: heading.level, node });
+    }
+
+    const renderItems = nodes => nodes.map(({ heading, children }) => {
+      // heading.text comes from the content, so it is already HTML-encoded
+      const link = html`<a href="#${heading.id}">${raw(heading.text)}</a>`;
+      const nested = children.length ? html`<ol>${raw(renderItems(children).join(''))}</ol>` : '';
+      return html`<li>${link}${nested}</li>`;
+    });
+
+    const list = renderItems(root.children);
+
+    return html`
+      <nav aria-label="${this.t('article.toc')}">
+        <ol>
+          ${list}
+        </ol>
+      </nav>`;
+  }
+
+  _renderAdjacent() {
+    const { previous, next } = this.adjacent;
+    if (!previous && !next) {
+      return '';
+    }
+
+    const links = [
+      previous && html`<li><a href="${previous.url}" rel="prev">${this.t('adjacent.previous', { title: previous.title })}</a></li>`,
+      next && html`<li><a href="${next.url}" rel="next">${this.t('adjacent.next', { title: next.title })}</a></li>`
+    ];
+
+    return html`
+      <nav aria-label="${this.t('article.more')}">
+        <ul>
+          ${links}
+        </ul>
+      </nav>`;
+  }
+}
@@ -1,19 +1,64 @@
-import { esc, fdate } from './lib.js';
-import html from './html.js';
+import { attrs } from './lib.js';
+import html, { raw } from './html.js';
+import { renderPicture } from './images.js';
+import Page from './Page.js';
+import { collectTerms } from './taxonomy.js';
 
 const svgIcon = {
-  biLayoutSidebarInset: html`<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" class="bi bi-layout-sidebar-inset" viewBox="0 0 16 16">
+  biLayoutSidebarInset: html`<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16">
     <path d="M14 2a1 1 0 0 1 1 1v10a1 1 0 0 1-1 1H2a1 1 0 0 1-1-1V3a1 1 0 0 1 1-1zM2 1a2 2 0 0 0-2 2v10a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V3a2 2 0 0 0-2-2z"/>
     <path d="M3 4a1 1 0 0 1 1-1h2a1 1 0 0 1 1 1v8a1 1 0 0 1-1 1H4a1 1 0 0 1-1-1z"/>
   </svg>`,
-  biGrid1x2: html`<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" class="bi bi-grid-1x2" viewBox="0 0 16 16">
+  biGrid1x2: html`<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16">
     <path d="M6 1H1v14h5zm9 0h-5v5h5zm0 9v5h-5v-5zM0 1a1 1 0 0 1 1-1h5a1 1 0 0 1 1 1v14a1 1 0 0 1-1 1H1a1 1 0 0 1-1-1zm9 0a1 1 0 0 1 1-1h5a1 1 0 0 1 1 1v5a1 1 0 0 1-1 1h-5a1 1 0 0 1-1-1zm1 8a1 1 0 0 0-1 1v5a1 1 0 0 0 1 1h5a1 1 0 0 0 1-1v-5a1 1 0 0 0-1-1z"/>
   </svg>`,
-  biGrid: html`<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" class="bi bi-grid" viewBox="0 0 16 16">
+  biGrid: html`<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16">
     <path d="M1 2.5A1.5 1.5 0 0 1 2.5 1h3A1.5 1.5 0 0 1 7 2.5v3A1.5 1.5 0 0 1 5.5 7h-3A1.5 1.5 0 0 1 1 5.5zM2.5 2a.5.5 0 0 0-.5.5v3a.5.5 0 0 0 .5.5h3a.5.5 0 0 0 .5-.5v-3a.5.5 0 0 0-.5-.5zm6.5.5A1.5 1.5 0 0 1 10.5 1h3A1.5 1.5 0 0 1 15 2.5v3A1.5 1.5 0 0 1 13.5 7h-3A1.5 1.5 0 0 1 9 5.5zm1.5-.5a.5.5 0 0 0-.5.5v3a.5.5 0 0 0 .5.5h3a.5.5 0 0 0 .5-.5v-3a.5.5 0 0 0-.5-.5zM1 10.5A1.5 1.5 0 0 1 2.5 9h3A1.5 1.5 0 0 1 7 10.5v3A1.5 1.5 0 0 1 5.5 15h-3A1.5 1.5 0 0 1 1 13.5zm1.5-.5a.5.5 0 0 0-.5.5v3a.5.5 0 0 0 .5.5h3a.5.5 0 0 0 .5-.5v-3a.5.5 0 0 0-.5-.5zm6.5.5A1.5 1.5 0 0 1 10.5 9h3a1.5 1.5 0 0 1 1.5 1.5v3a1.5 1.5 0 0 1-1.5 1.5h-3A1.5 1.5 0 0 1 9 13.5zm1.5-.5a.5.5 0 0 0-.5.5v3a.5.5 0 0 0 .5.5h3a.5.5 0 0 0 .5-.5v-3a.5.5 0 0 0-.5-.5z"/>
   </svg>`
 }
 
+// Fields of the link and post objects the methods below accept
+const PAGER_LINK = { text: 'string!', url: 'string!', ariaCurrent: 'string|boolean', rel: 'string' };
+const CATEGORY = { text: 'string!', url: 'string!', count: 'number', ariaCurrent: 'string|boolean' };
+const POST = {
+  title: 'string!',
+  date: 'date!',
+  datetime: 'date',
+  updated: 'date',
+  content: 'html',
+  url: 'string',
+  readMoreText: 'string',
+  categories: 'string|array',
+  tags: 'string|array',
+  author: 'string|object',
+  description: 'string',
+  translationKey: 'string',
+  draft: 'boolean',
+  source: 'string'
+};
+
+/**
+ * Remembers the nav form's toggles (layout, sidebar, theme) in localStorage.
+ * Emitted right after the form so it restores them before first paint;
+ * without JavaScript the form simply starts from its defaults.
+ */
+const PERSIST_SCRIPT = `<script>
+(() => {
+  const key = 'aggressive:toggles';
+  const form = document.currentScript.previousElementSibling;
+  const inputs = form.querySelectorAll('input[id]');
+  try {
+    const saved = JSON.parse(localStorage.getItem(key)) || {};
+    inputs.forEach(input => { if (input.id in saved) input.checked = saved[input.id]; });
+  } catch {}
+  form.addEventListener('change', () => {
+    const state = {};
+    inputs.forEach(input => { state[input.id] = input.checked; });
+    try { localStorage.setItem(key, JSON.stringify(state)); } catch {}
+  });
+})();
+</script>`;
+
 /**
  * BlogPage - Semantic control layer for classless blog HTML generation
  *
@@ -31,11 +76,57 @@ const svgIcon = {
  *   const html = page.render();
  */
 
-export default class BlogPage {
-  constructor({ title, subtitle = '', lang = 'en' }) {
-    this.lang = lang;
-    this.title = title;
-    this.subtitle = subtitle;
+export default class BlogPage extends Page {
+  static layout = 'blog';
+
+  static stylesheet = 'classless.blog.css';
+
+  static regions = [
+    { area: 'header', element: 'header', render: '_renderHeader' },
+    { area: 'logo', element: 'figure', render: '_renderLogo' },
+    { area: 'nav', element: 'nav', render: '_renderNav' },
+    { area: 'aside', element: 'aside', render: '_renderAside' },
+    { area: 'main', element: 'main', render: '_renderMain' },
+    { area: 'footer', element: 'footer', render: '_renderFooter' },
+    { area: 'alert', element: 'section#alert-region', render: '_renderAlertRegion' }
+  ];
+
+  // The aside only takes a column while #aside-menu is checked
+  static grid = {
+    columns: '15rem 1fr 1fr',
+    areas: ['header', 'logo', 'nav', 'main', 'footer', 'alert'],
+    states: {
+      'aside-menu': ['header', 'logo', 'nav', 'aside main main', 'footer', 'alert']
+    },
+    breakpoints: [
+      { maxWidth: '64rem', columns: '1fr 1fr', areas: ['header', 'logo', 'nav', 'main', 'aside', 'footer', 'alert'] },
+      { maxWidth: '48rem', columns: '1fr', areas: ['header', 'logo', 'nav', 'main', 'aside', 'footer', 'alert'] }
+    ]
+  };
+
+  static schemas = {
+    options: [{ persist: 'boolean', base: 'string' }],
+    setLogo: [{ src: 'string!', alt: 'string', caption: 'string', width: 'number', height: 'number', srcset: 'string', sizes: 'string', sources: 'array' }],
+    addPagerLink: [PAGER_LINK],
+    setPagerLinks: [[PAGER_LINK]],
+    addCategory: [CATEGORY],
+    setCategories: [[CATEGORY]],
+    addPost: [POST],
+    setSearch: [{ url: 'string!', index: 'string' }],
+    setPersist: ['boolean'],
+    setSectionLabel: ['string!']
+  };
+
+  constructor(options) {
+    // Page checks all the options, these included
+    super(options);
+    const { persist = false, base = '' } = options;
+
+    // URL prefix of this language's pages ('/fr'); category and tag links live under it
+    this.base = base;
+
+    // Remember the layout/sidebar/theme toggles across page loads (tiny inline script)
+    this.persist = persist;
 
     // Logo (figure element)
     this.logo = {
@@ -44,9 +135,6 @@ export default class BlogPage {
       caption: ''
     };
 
-    // Navigation links
-    this.navLinks = [];
-
     // Pager links
     this.pagerLinks = [];
 
@@ -56,44 +144,32 @@ export default class BlogPage {
     // Blog posts (articles)
     this.posts = [];
 
-    // Footer content
-    this.footerText = `&copy; ${new Date().getFullYear()} All rights reserved.`;
+    // Site search: the search page the aside's form goes to, and its index
+    this.search = null;
 
-    // Alert region (usually empty, for dynamic content)
-    this.alerts = [];
+    // Accessible name of the list of posts in <main>
+    this.sectionLabel = this.t('posts.label');
   }
 
   /**
-   * Set logo information
+   * Set logo information; width/height, srcset/sizes and <picture>
+   * `sources` ([{ type, srcset }]) come from the build's image step
    */
-  setLogo({ src, alt, caption }) {
+  setLogo({ src, alt, caption, width, height, srcset, sizes, sources }) {
+    this._check('setLogo', arguments);
     this.logo.src = src;
     this.logo.alt = alt;
     this.logo.caption = caption;
-    return this;
-  }
-
-  /**
-   * Add a navigation link
-   */
-  addNavLink({ text, url, ariaCurrent = null }) {
-    this.navLinks.push({ text, url, ariaCurrent });
-    return this;
-  }
-
-  /**
-   * Add multiple navigation links at once
-   */
-  setNavLinks(links) {
-    this.navLinks = links;
+    Object.assign(this.logo, { width, height, srcset, sizes, sources });
     return this;
   }
 
   /**
    * Add a pager link
    */
-  addPagerLink({ text, url, ariaCurrent = null }) {
-    this.pagerLinks.push({ text, url, ariaCurrent });
+  addPagerLink({ text, url, ariaCurrent = null, rel = null }) {
+    this._check('addPagerLink', arguments);
+    this.pagerLinks.push({ text, url, ariaCurrent, rel });
     return this;
   }
 
@@ -101,6 +177,7 @@ export default class BlogPage {
    * Add multiple pager links at once
    */
   setPagerLinks(links) {
+    this._check('setPagerLinks', arguments);
     this.pagerLinks = links;
     return this;
   }
@@ -108,8 +185,9 @@ export default class BlogPage {
   /**
    * Add a sidebar category
    */
-  addCategory({ text, url }) {
-    this.categories.push({ text, url });
+  addCategory({ text, url, count = null, ariaCurrent = null }) {
+    this._check('addCategory', arguments);
+    this.categories.push({ text, url, count, ariaCurrent });
     return this;
   }
 
@@ -117,149 +195,147 @@ export default class BlogPage {
    * Add multiple categories at once
    */
   setCategories(categories) {
+    this._check('setCategories', arguments);
     this.categories = categories;
     return this;
   }
 
+  /**
+   * Derive the sidebar categories (with post counts) from the posts
+   */
+  setCategoriesFromPosts(posts = this.posts) {
+    this.categories = collectTerms(posts, 'categories', this.base).map(({ text, url, count }) => ({ text, url, count, ariaCurrent: null }));
+    return this;
+  }
+
   /**
    * Add a blog post - the semantic heart of the blog
+   *
+   * `date` is displayed; `datetime` (default: `date`) and `updated` are
+   * normalised to ISO 8601 for <time datetime> attributes. Any of them
+   * failing to parse throws. The other front matter fields (author,
+   * description, translationKey, draft, source) are kept with the post.
    */
-  addPost({ title, date, datetime, content, url = '#', readMoreText = 'Read more →' }) {
-    // If datetime not provided, use date
-    const dt = datetime || date;
+  addPost({ title, date, datetime, updated = null, content, url = '#', readMoreText = null, categories = [], tags = [], author = null, description = null, translationKey = null, draft = false, source = null }) {
+    this._check('addPost', arguments);
+    const owner = `Post "${title}"`;
+    const dt = this._isoDate(datetime || date, owner);
+    this._isoDate(date, owner);
 
     this.posts.push({
       title,
       date,
       datetime: dt,
+      updated: updated && this._isoDate(updated, `${owner} (updated)`),
       content,
       url,
-      readMoreText
+      readMoreText: readMoreText || this.t('posts.readMore'),
+      categories: [].concat(categories),
+      tags: [].concat(tags),
+      author: typeof author === 'string' ? { name: author, url: null } : author,
+      description,
+      translationKey,
+      draft,
+      source
     });
     return this;
   }
 
   /**
-   * Set footer text
+   * Put a search form in the aside, leading to the search page at `url`
+   * (a SearchPage that reads the index at `index`)
    */
-  setFooter(text) {
-    this.footerText = text;
+  setSearch({ url, index = null }) {
+    this._check('setSearch', arguments);
+    this.search = { url, index };
     return this;
   }
 
   /**
-   * Add an alert (for dynamic content)
+   * Remember the nav toggles in localStorage (progressive enhancement)
    */
-  addAlert(content) {
-    this.alerts.push(content);
+  setPersist(persist = true) {
+    this._check('setPersist', arguments);
+    this.persist = persist;
     return this;
   }
 
   /**
-   * Render the complete HTML document
+   * Set the accessible name of the post list (e.g. 'Posts in CSS')
    */
-  render() {
-    return html`
-      <!DOCTYPE html>
-      <html lang="${this.lang}">
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>${esc(this.title)}</title>
-        <link rel="stylesheet" href="classless.reset.css">
-        <link rel="stylesheet" href="classless.base.css">
-        <link rel="stylesheet" href="classless.blog.css">
-      </head>
-      <body>
-        ${this.renderBody()}
-      </body>
-      </html>`;
+  setSectionLabel(label) {
+    this._check('setSectionLabel', arguments);
+    this.sectionLabel = label;
+    return this;
   }
 
   /**
-   * Render just the body content (useful for partial rendering)
+   * Describe the page as plain data, with the logo, sidebar, pager and posts
    */
-  renderBody() {
-    return [
-      this._renderHeader(),
-      this._renderLogo(),
-      this._renderNav(),
-      this._renderAside(),
-      this._renderMain(),
-      this._renderFooter(),
-      this._renderAlertRegion(),
-    ].join('\n');
+  toJSON() {
+    const json = super.toJSON();
+    const copy = value => ({ ...value });
+
+    return {
+      ...json,
+      options: { ...json.options, persist: this.persist, base: this.base },
+      logo: this.logo.src ? copy(this.logo) : null,
+      categories: this.categories.map(copy),
+      pagerLinks: this.pagerLinks.map(copy),
+      sectionLabel: this.sectionLabel,
+      search: this.search && copy(this.search),
+      posts: this.posts.map(post => ({
+        ...post,
+        content: post.content == null ? post.content : String(post.content),
+        categories: [...post.categories],
+        tags: [...post.tags]
+      }))
+    };
   }
 
-  // Private rendering methods - enforce the rigid structure
+  _hydrate(json) {
+    super._hydrate(json);
 
-  _renderHeader() {
-    const title = esc(this.title);
-    const subtitle = esc(this.subtitle);
-    return html`
-    <header>
-      <h1>${title}</h1>
-      ${subtitle}
-    </header>`;
+    const { logo = null, categories = [], pagerLinks = [], sectionLabel = null, search = null, posts = [] } = json;
+    if (logo) this.setLogo(logo);
+    if (search) this.setSearch(search);
+    categories.forEach(category => this.addCategory(category));
+    pagerLinks.forEach(link => this.addPagerLink(link));
+    if (sectionLabel != null) this.setSectionLabel(sectionLabel);
+    posts.forEach(post => this.addPost(post));
   }
 
+  // Private rendering methods - enforce the rigid structure
+  // Every value is escaped by `html`; only markup we trust is wrapped in raw()
+
   _renderLogo() {
     if (!this.logo.src) {
       return '';
     }
 
-    const src = esc(this.logo.src);
-    const alt = esc(this.logo.alt);
-    const caption = esc(this.logo.caption);
-    const figcaption = this.logo.caption ? `<figcaption>${caption}</figcaption>` : '';
+    const { caption, ...image } = this.logo;
+    const figcaption = caption ? html`<figcaption>${caption}</figcaption>` : '';
 
     return html`
     <figure>
-      <img src="${src}" alt="${alt}">
+      ${renderPicture(image)}
       ${figcaption}
     </figure>`;
 
   }
 
-  _renderNav() {
-    if (this.navLinks.length === 0) {
-      return '';
-    }
-
-    const links = this.navLinks.map(link => {
-      const url = esc(link.url);
-      const text = esc(link.text);
-      const ariaCurrentValue = esc(link.ariaCurrent);
-      const ariaCurrent = link.ariaCurrent ? ` aria-current="${ariaCurrentValue}"` : '';
-      return `<li><a href="${url}"${ariaCurrent}>${text}</a></li>`;
-    }).join('\n');
-
-    return html`
-      <nav aria-label="Primary navigation">
-        ${this._renderMenu()}
-
-        <ul>
-          ${links}
-        </ul>
-      </nav>
-    `;
-  }
-
   _renderPager() {
     if (this.pagerLinks.length === 0) {
       return '';
     }
 
     const links = this.pagerLinks.map(link => {
-      const url = esc(link.url);
-      const text = esc(link.text);
-      const ariaCurrentValue = esc(link.ariaCurrent);
-      const ariaCurrent = link.ariaCurrent ? ` aria-current="${ariaCurrentValue}"` : '';
-      return html`<li><a href="${url}"${ariaCurrent}>${text}</a></li>`;
-    }).join('\n');
+      const linkAttrs = raw(attrs({ rel: link.rel, 'aria-current': link.ariaCurrent }));
+      return html`<li><a href="${link.url}"${linkAttrs}>${link.text}</a></li>`;
+    });
 
     return html`
-      <nav aria-label="Pagination">
+      <nav aria-label="${this.t('nav.pagination')}">
         <ul>
           ${links}
         </ul>
@@ -275,55 +351,78 @@ export default class BlogPage {
     return html`
 
       <form>
-        <label class="custom-radio"><input type="radio" name="layout" id="blog-layout" checked>${svgIcon.biGrid1x2}</label>
-        <label class="custom-radio"><input type="radio" name="layout" id="grid-layout">${svgIcon.biGrid}</label>
-
-        <label class="custom-checkbox"><input type="checkbox" id="aside-menu" checked>${svgIcon.biLayoutSidebarInset}</label>
+        <label><input type="radio" name="layout" id="blog-layout" checked>${svgIcon.biGrid1x2}</label>
+        <label><input type="radio" name="layout" id="grid-layout">${svgIcon.biGrid}</label>
 
+        <label><input type="checkbox" id="aside-menu" checked>${svgIcon.biLayoutSidebarInset}</label>
 
+        ${this._renderThemeToggle()}
       </form>
+      ${this.persist ? raw(PERSIST_SCRIPT) : ''}
 
     `;
   }
 
   _renderAside() {
+    if (this.categories.length === 0 && !this.search) {
+      return '';
+    }
+
+    return html`
+      <aside aria-label="${this.t('aside.label')}">
+        ${[this._renderSearchForm(), this._renderCategories()]}
+      </aside>
+    `;
+  }
+
+  _renderSearchForm() {
+    if (!this.search) {
+      return '';
+    }
+
+    // A plain GET form: the search page reads ?q= (and lists every post without JavaScript)
+    return html`
+      <form role="search" action="${this.search.url}">
+        <label>${this.t('search.label')} <input type="search" name="q"></label>
+        <button>${this.t('search.button')}</button>
+      </form>`;
+  }
+
+  _renderCategories() {
     if (this.categories.length === 0) {
       return '';
     }
 
     const categories = this.categories.map(cat => {
-      const url = esc(cat.url);
-      const text = esc(cat.text);
-      return `<li><a href="${url}">${text}</a></li>`;
-    }).join('\n');
+      const ariaCurrent = raw(attrs({ 'aria-current': cat.ariaCurrent }));
+      const count = cat.count != null ? ` (${cat.count})` : '';
+      return html`<li><a href="${cat.url}"${ariaCurrent}>${cat.text}${count}</a></li>`;
+    });
 
     return html`
-      <aside aria-label="Sidebar">
-        <h2>Categories</h2>
+        <h2>${this.t('aside.categories')}</h2>
         <ul>
           ${categories}
-        </ul>
-      </aside>
-    `;
+        </ul>`;
   }
 
   _renderMain() {
     if (this.posts.length === 0) {
       return html`
         <main>
-          <section aria-label="Latest posts">
-            <p>No posts yet.</p>
+          <section aria-label="${this.sectionLabel}">
+            <p>${this.t('posts.empty')}</p>
           </section>
         </main>
         `;
     }
 
-    const articles = this.posts.map(post => this._renderArticle(post)).join('\n');
+    const articles = this._renderEach(this.posts, post => this._renderArticle(post));
     const pager = this._renderPager();
 
     return html`
       <main>
-        <section aria-label="Latest posts">
+        <section aria-label="${this.sectionLabel}">
           ${articles}
         </section>
         ${pager}
@@ -333,42 +432,24 @@ export default class BlogPage {
 
   _renderArticle(post) {
 
-    const title = esc(post.title);
-    const datetime = esc(post.datetime);
-    const date = fdate(post.date);
-    const url = esc(post.url);
-    const readMoreText = esc(post.readMoreText);
+    const date = this._formatDate(post.date);
+
+    // Post content is HTML written by the author
+    const content = this._markup(post.content);
 
     return html`
 
       <article>
         <header>
-          <h2>${title}</h2>
-          <p><time datetime="${datetime}">${date}</time></p>
+          <h2>${post.title}</h2>
+          <p><time datetime="${post.datetime}">${date}</time></p>
         </header>
-        ${post.content}
+        ${content}
         <footer>
-          <a href="${url}">${readMoreText}</a>
+          <a href="${post.url}">${post.readMoreText}</a>
         </footer>
       </article>`;
 
   }
 
-  _renderFooter() {
-    return html`<footer><p>${this.footerText}</p></footer>`;
-  }
-
-  _renderAlertRegion() {
-    if (this.alerts.length === 0) {
-      return `<section id="alert-region" aria-live="polite"></section>`;
-    }
-
-    const alertContent = this.alerts.map(alert => `${alert}`).join('\n');
-
-    return html`
-      <section id="alert-region" aria-live="polite">
-        ${alertContent}
-      </section>`;
-  }
-
 }
@@ -0,0 +1,196 @@
+import { attrs } from './lib.js';
+import html, { raw } from './html.js';
+import Page from './Page.js';
+
+/**
+ * DocsPage - Semantic control layer for classless.docs.css
+ *
+ * Documentation layout: the section navigation sits in <aside>, the current
+ * document fills <main>, followed by previous/next links through the docs.
+ *
+ * Usage:
+ *   const page = new DocsPage({ title: 'Aggressive Docs' });
+ *   page.addSection({
+ *     title: 'Getting started',
+ *     links: [
+ *       { text: 'Installation', url: '/docs/install/', ariaCurrent: 'page' },
+ *       { text: 'Configuration', url: '/docs/config/' }
+ *     ]
+ *   });
+ *   page.setDoc({ title: 'Installation', content: '<p>npm install aggressive</p>', updated: '2025-11-08' });
+ *   page.setAdjacent({ next: { title: 'Configuration', url: '/docs/config/' } });
+ *   const html = page.render();
+ */
+
+export default class DocsPage extends Page {
+  static layout = 'docs';
+
+  static stylesheet = 'classless.docs.css';
+
+  static regions = [
+    { area: 'header', element: 'header', render: '_renderHeader' },
+    { area: 'nav', element: 'nav', render: '_renderNav' },
+    { area: 'aside', element: 'aside', render: '_renderAside' },
+    { area: 'main', element: 'main', render: '_renderMain' },
+    { area: 'footer', element: 'footer', render: '_renderFooter' },
+    { area: 'alert', element: 'section#alert-region', render: '_renderAlertRegion' }
+  ];
+
+  static grid = {
+    columns: '16rem 1fr',
+    areas: ['header', 'nav', 'aside main', 'footer', 'alert'],
+    breakpoints: [
+      { maxWidth: '48rem', columns: '1fr', areas: ['header', 'nav', 'main', 'aside', 'footer', 'alert'] }
+    ]
+  };
+
+  static schemas = {
+    addSection: [{ title: 'string!', links: 'array' }],
+    setDoc: [{ title: 'string!', content: 'html', updated: 'date', editUrl: 'string' }],
+    setAdjacent: [{ previous: 'object', next: 'object' }]
+  };
+
+  constructor(options) {
+    super(options);
+
+    // Sidebar: groups of links through the documentation
+    this.sections = [];
+
+    // The document on this page
+    this.doc = null;
+
+    // Previous and next documents
+    this.adjacent = {
+      previous: null,
+      next: null
+    };
+  }
+
+  /**
+   * Add a sidebar section ({ title, links: [{ text, url, ariaCurrent }] })
+   */
+  addSection({ title, links = [] }) {
+    this._check('addSection', arguments);
+    this.sections.push({ title, links });
+    return this;
+  }
+
+  /**
+   * Set the document - content is HTML (sanitized like post content)
+   */
+  setDoc({ title, content, updated = null, editUrl = null }) {
+    this._check('setDoc', arguments);
+    this.doc = { title, content, updated: updated && this._isoDate(updated, `Doc "${title}" (updated)`), editUrl };
+    return this;
+  }
+
+  /**
+   * Set previous/next document links ({ title, url } each, either may be null)
+   */
+  setAdjacent({ previous = null, next = null }) {
+    this._check('setAdjacent', arguments);
+    this.adjacent = { previous, next };
+    return this;
+  }
+
+  /**
+   * Describe the page as plain data, with the sidebar, document and neighbours
+   */
+  toJSON() {
+    const link = doc => doc && { title: doc.title, url: doc.url };
+    const { doc } = this;
+
+    return {
+      ...super.toJSON(),
+      sections: this.sections.map(section => ({ ...section, links: section.links.map(link => ({ ...link })) })),
+      doc: doc && { ...doc, content: doc.content == null ? doc.content : String(doc.content) },
+      adjacent: { previous: link(this.adjacent.previous), next: link(this.adjacent.next) }
+    };
+  }
+
+  _hydrate(json) {
+    super._hydrate(json);
+
+    const { sections = [], doc = null, adjacent = null } = json;
+    sections.forEach(section => this.addSection(section));
+    if (doc) this.setDoc(doc);
+    if (adjacent) this.setAdjacent(adjacent);
+  }
+
+  _renderAside() {
+    if (this.sections.length === 0) {
+      return '';
+    }
+
+    const sections = this.sections.map(section => {
+      const links = section.links.map(link => {
+        const ariaCurrent = raw(attrs({ 'aria-current': link.ariaCurrent }));
+        return html`<li><a href="${link.url}"${ariaCurrent}>${link.text}</a></li>`;
+      });
+
+      return html`
+        <h2>${section.title}</h2>
+        <ul>
+          ${links}
+        </ul>`;
+    });
+
+    return html`
+      <aside>
+        <nav aria-label="${this.t('docs.sections')}">
+          ${sections}
+        </nav>
+      </aside>
+    `;
+  }
+
+  _renderMain() {
+    if (!this.doc) {
+      return html`
+        <main>
+          <p>${this.t('docs.empty')}</p>
+        </main>
+        `;
+    }
+
+    return html`
+      <main>
+        <article>
+          <h2>${this.doc.title}</h2>
+          ${this._markup(this.doc.content)}
+          ${this._renderDocFooter()}
+        </article>
+        ${this._renderAdjacent()}
+      </main>
+      `;
+  }
+
+  _renderDocFooter() {
+    const { updated, editUrl } = this.doc;
+    const parts = [
+      updated && this.t.html('docs.updated', { date: html`<time datetime="${updated}">${this._formatDate(updated)}</time>` }),
+      editUrl && html`<a href="${editUrl}">${this.t('docs.edit')}</a>`
+    ].filter(Boolean);
+
+    return parts.length ? html`<footer><p>${raw(parts.join(' · '))}</p></footer>` : '';
+  }
+
+  _renderAdjacent() {
+    const { previous, next } = this.adjacent;
+    if (!previous && !next) {
+      return '';
+    }
+
+    const links = [
+      previous && html`<li><a href="${previous.url}" rel="prev">${this.t('adjacent.previous', { title: previous.title })}</a></li>`,
+      next && html`<li><a href="${next.url}" rel="next">${this.t('adjacent.next', { title: next.title })}</a></li>`
+    ];
+
+    return html`
+      <nav aria-label="${this.t('docs.more')}">
+        <ul>
+          ${links}
+        </ul>
+      </nav>`;
+  }
+}
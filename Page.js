@@ -0,0 +1,765 @@
+import { attrs } from './lib.js';
+import { checkTimeZone, DATE_PRESETS, formatDate, parseDate } from './dates.js';
+import { formatHtml, RENDER_MODES } from './format.js';
+import html, { indentLines, raw } from './html.js';
+import { textDirection, translator } from './i18n.js';
+import { sanitize as sanitizeHtml } from './sanitize.js';
+import { checkArgs, didYouMean, schemaFor } from './validate.js';
+
+const svgIcon = {
+  biCircleHalf: html`<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16">
+    <path d="M8 15A7 7 0 1 0 8 1zm0 1A8 8 0 1 1 8 0a8 8 0 0 1 0 16"/>
+  </svg>`,
+  biMoon: html`<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16">
+    <path d="M6 .278a.77.77 0 0 1 .08.858 7.2 7.2 0 0 0-.878 3.46c0 4.021 3.278 7.277 7.318 7.277q.792-.001 1.533-.16a.79.79 0 0 1 .81.316.73.73 0 0 1-.031.893A8.35 8.35 0 0 1 8.344 16C3.734 16 0 12.286 0 7.71 0 4.266 2.114 1.312 5.124.06A.75.75 0 0 1 6 .278"/>
+  </svg>`,
+  biSun: html`<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16">
+    <path d="M8 12a4 4 0 1 0 0-8 4 4 0 0 0 0 8M8 0a.5.5 0 0 1 .5.5v2a.5.5 0 0 1-1 0v-2A.5.5 0 0 1 8 0m0 13a.5.5 0 0 1 .5.5v2a.5.5 0 0 1-1 0v-2A.5.5 0 0 1 8 13m8-5a.5.5 0 0 1-.5.5h-2a.5.5 0 0 1 0-1h2a.5.5 0 0 1 .5.5M3 8a.5.5 0 0 1-.5.5h-2a.5.5 0 0 1 0-1h2A.5.5 0 0 1 3 8m10.657-5.657a.5.5 0 0 1 0 .707l-1.414 1.415a.5.5 0 1 1-.707-.708l1.414-1.414a.5.5 0 0 1 .707 0m-9.193 9.193a.5.5 0 0 1 0 .707L3.05 13.657a.5.5 0 0 1-.707-.707l1.414-1.414a.5.5 0 0 1 .707 0m9.193 2.121a.5.5 0 0 1-.707 0l-1.414-1.414a.5.5 0 0 1 .707-.707l1.414 1.414a.5.5 0 0 1 0 .707M4.464 4.465a.5.5 0 0 1-.707 0L2.343 3.05a.5.5 0 1 1 .707-.707l1.414 1.414a.5.5 0 0 1 0 .708"/>
+  </svg>`,
+  biHighContrast: html`<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16">
+    <path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2zm8 13h6a1 1 0 0 0 1-1V2a1 1 0 0 0-1-1H8z"/>
+  </svg>`
+}
+
+/**
+ * Color themes defined in classless.base.css, with the toggle's label and icon
+ * (the English label; pages show the `theme.<name>` message of their lang).
+ * 'auto' follows prefers-color-scheme (Solarized dark or light).
+ */
+export const THEMES = {
+  auto: { label: 'Automatic theme', icon: svgIcon.biCircleHalf },
+  'solarized-dark': { label: 'Solarized dark theme', icon: svgIcon.biMoon },
+  'solarized-light': { label: 'Solarized light theme', icon: svgIcon.biSun },
+  'high-contrast': { label: 'High contrast theme', icon: svgIcon.biHighContrast }
+};
+
+// Where _renderEach() put a list while streaming (its index in between)
+const LIST_MARKER = /\u0001(\d+)\u0001/;
+
+// Fields of a navigation link (see validate.js for the schema format)
+const NAV_LINK = { text: 'string!', url: 'string!', ariaCurrent: 'string|boolean' };
+
+/**
+ * Page - Base class of every classless page type
+ *
+ * A page type is a layout: one classless.<layout>.css stylesheet and the
+ * regions that stylesheet places on the <body> grid. Subclasses declare
+ * them instead of overriding renderBody():
+ *
+ *   class PricingPage extends Page {
+ *     static layout = 'pricing';
+ *     static stylesheet = 'classless.pricing.css';
+ *     static regions = [
+ *       { area: 'header', element: 'header', render: '_renderHeader' },
+ *       { area: 'main', element: 'main', render: '_renderMain' },
+ *       { area: 'footer', element: 'footer', render: '_renderFooter' }
+ *     ];
+ *   }
+ *
+ * Each region is a direct child of <body>: `element` is its tag (or
+ * `tag#id`), `area` the grid-area name the stylesheet gives it, and
+ * `render` the method producing it. Regions render in the order listed.
+ * A region may also list the `children` it allows (['section#metrics']),
+ * which the linter enforces.
+ *
+ * An optional `static grid` ({ columns, areas, states, breakpoints }) lays
+ * the regions out; `aggressive grid` writes the stylesheet's grid from it
+ * (see grid.js). Without one the regions stack in a single column.
+ *
+ * The base class owns everything page types share: the document head,
+ * theme, primary navigation, footer and alert region. Built-in strings come
+ * from the message catalog of `lang` (see i18n.js) through this.t().
+ *
+ * `static schemas` describes the arguments of the public methods, so a
+ * misspelled key (`href` for `url`), a missing title or a wrong type is
+ * reported instead of silently rendering '#' or 'undefined'. The
+ * `validate` option picks what happens then: 'warn' (default) logs the
+ * problems, 'strict' throws, false skips the checks. Subclasses add the
+ * schemas of their own methods and options.
+ */
+
+export default class Page {
+  static layout = 'page';
+
+  static stylesheet = null;
+
+  static regions = [
+    { area: 'header', element: 'header', render: '_renderHeader' },
+    { area: 'nav', element: 'nav', render: '_renderNav' },
+    { area: 'main', element: 'main', render: '_renderMain' },
+    { area: 'footer', element: 'footer', render: '_renderFooter' },
+    { area: 'alert', element: 'section#alert-region', render: '_renderAlertRegion' }
+  ];
+
+  static schemas = {
+    options: [{
+      title: 'string!',
+      subtitle: 'string',
+      lang: 'string',
+      dir: 'string',
+      messages: 'object',
+      cssBase: 'string',
+      description: 'string',
+      sanitize: 'boolean|object',
+      theme: 'string',
+      timeZone: 'string',
+      dateFormat: 'string|object',
+      validate: 'string|boolean',
+      renderMode: 'string'
+    }],
+    addNavLink: [NAV_LINK],
+    setNavLinks: [[NAV_LINK]],
+    setDocumentTitle: ['string!'],
+    setDescription: ['string'],
+    setCanonical: ['string!'],
+    setOpenGraph: [{ type: 'string', title: 'string', description: 'string', url: 'string', image: 'string', imageAlt: 'string', siteName: 'string', locale: 'string' }],
+    setTwitterCard: [{ card: 'string', site: 'string', creator: 'string', title: 'string', description: 'string', image: 'string', imageAlt: 'string' }],
+    setFavicon: ['string!', { type: 'string', sizes: 'string' }],
+    setManifest: ['string!'],
+    setStylesheetBase: ['string'],
+    setAssets: [{ manifest: 'object', critical: 'string' }],
+    addStylesheet: ['string!', { media: 'string' }],
+    setFooter: ['html'],
+    addAlert: ['html!']
+  };
+
+  /**
+   * Grid area of every region, keyed by element (used by the linter)
+   */
+  static gridAreas() {
+    return Object.fromEntries(this.regions.map(({ element, area }) => [element, area]));
+  }
+
+  constructor({ title, subtitle = '', lang = 'en', dir = null, messages = {}, cssBase = '', description = '', sanitize = true, theme = 'auto', timeZone = 'UTC', dateFormat = 'datetime', validate = 'warn', renderMode = 'default' }) {
+    // Check arguments against `static schemas`: 'warn', 'strict' (throw) or false
+    if (![false, 'warn', 'strict'].includes(validate)) {
+      throw new Error(`Unknown validate mode "${validate}" (use 'warn', 'strict' or false)`);
+    }
+    this.validate = validate;
+    this._check('options', arguments);
+
+    this.lang = lang;
+    this.title = title;
+    this.subtitle = subtitle;
+
+    // Text direction, written to <html dir> for right-to-left languages (or when given)
+    this.dir = dir ?? (textDirection(lang) === 'rtl' ? 'rtl' : null);
+
+    // Built-in UI strings in `lang`; `messages` overrides single keys
+    this.messages = messages;
+    this.t = translator(lang, messages);
+
+    // Time zone (IANA name) of dates written without an offset, and of displayed times
+    this.timeZone = checkTimeZone(timeZone);
+
+    // How dates are displayed: a key of DATE_PRESETS or Intl.DateTimeFormat options
+    this.setDateFormat(dateFormat);
+
+    // Color theme (a key of THEMES); visitors can switch it from the nav menu
+    this.setTheme(theme);
+
+    // How render() writes the document: 'default', 'pretty' or 'minify' (format.js)
+    this.setRenderMode(renderMode);
+
+    // Sanitize post content, footer and alerts: true (default allow-list),
+    // sanitizer options ({ tags, attributes, schemes }), or false for trusted sources
+    this.sanitize = sanitize;
+
+    // Prefix for the classless stylesheets (e.g. '../' or '/assets/')
+    this.cssBase = cssBase;
+
+    // Classless stylesheets, in cascade order (resolved against cssBase)
+    this.stylesheets = ['classless.reset.css', 'classless.base.css', this.constructor.stylesheet].filter(Boolean);
+
+    // Production stylesheets (assets.js): the file serving each classless
+    // stylesheet, and the CSS inlined in the head
+    this.assets = { manifest: {}, critical: null };
+
+    // Document head metadata
+    this.head = {
+      title: null,
+      description,
+      canonical: null,
+      openGraph: null,
+      twitter: null,
+      favicon: null,
+      manifest: null,
+      stylesheets: [],
+      meta: [],
+      links: []
+    };
+
+    // Navigation links
+    this.navLinks = [];
+
+    // Footer content
+    this.footerText = this.t('footer.copyright', { year: new Date().getFullYear() });
+
+    // Alert region (usually empty, for dynamic content)
+    this.alerts = [];
+  }
+
+  /**
+   * Add a navigation link
+   */
+  addNavLink({ text, url, ariaCurrent = null }) {
+    this._check('addNavLink', arguments);
+    this.navLinks.push({ text, url, ariaCurrent });
+    return this;
+  }
+
+  /**
+   * Add multiple navigation links at once
+   */
+  setNavLinks(links) {
+    this._check('setNavLinks', arguments);
+    this.navLinks = links;
+    return this;
+  }
+
+  /**
+   * Set the document <title> when it differs from the page heading
+   */
+  setDocumentTitle(title) {
+    this._check('setDocumentTitle', arguments);
+    this.head.title = title;
+    return this;
+  }
+
+  /**
+   * Set the meta description
+   */
+  setDescription(description) {
+    this._check('setDescription', arguments);
+    this.head.description = description;
+    return this;
+  }
+
+  /**
+   * Set the canonical URL of the page
+   */
+  setCanonical(url) {
+    this._check('setCanonical', arguments);
+    this.head.canonical = url;
+    return this;
+  }
+
+  /**
+   * Set Open Graph metadata (title, description and url default to the page's own)
+   */
+  setOpenGraph({ type = 'website', title, description, url, image, imageAlt, siteName, locale }) {
+    this._check('setOpenGraph', arguments);
+    this.head.openGraph = { type, title, description, url, image, imageAlt, siteName, locale };
+    return this;
+  }
+
+  /**
+   * Set Twitter card metadata (falls back to the Open Graph values)
+   */
+  setTwitterCard({ card = 'summary_large_image', site, creator, title, description, image, imageAlt }) {
+    this._check('setTwitterCard', arguments);
+    this.head.twitter = { card, site, creator, title, description, image, imageAlt };
+    return this;
+  }
+
+  /**
+   * Set the favicon
+   */
+  setFavicon(href, { type, sizes } = {}) {
+    this._check('setFavicon', arguments);
+    this.head.favicon = { href, type, sizes };
+    return this;
+  }
+
+  /**
+   * Set the web app manifest
+   */
+  setManifest(href) {
+    this._check('setManifest', arguments);
+    this.head.manifest = href;
+    return this;
+  }
+
+  /**
+   * Set the prefix the classless stylesheets are loaded from
+   */
+  setStylesheetBase(cssBase) {
+    this._check('setStylesheetBase', arguments);
+    this.cssBase = cssBase;
+    return this;
+  }
+
+  /**
+   * Link the bundled/hashed files of an asset manifest instead of the
+   * classless stylesheets, and inline `critical` CSS in the head
+   */
+  setAssets({ manifest = {}, critical = null } = {}) {
+    this._check('setAssets', arguments);
+    this.assets = { manifest: { ...manifest }, critical };
+    return this;
+  }
+
+  /**
+   * Add a stylesheet after the classless ones
+   */
+  addStylesheet(href, { media } = {}) {
+    this._check('addStylesheet', arguments);
+    this.head.stylesheets.push({ href, media });
+    return this;
+  }
+
+  /**
+   * Add a <meta> to the document head (any attributes: name, property, content ...)
+   */
+  addMeta(attributes) {
+    this.head.meta.push({ ...attributes });
+    return this;
+  }
+
+  /**
+   * Add a <link> to the document head (any attributes: rel, href, type, title ...)
+   */
+  addHeadLink({ rel, href, ...rest }) {
+    this.head.links.push({ rel, href, ...rest });
+    return this;
+  }
+
+  /**
+   * Set the color theme ('auto', 'solarized-dark', 'solarized-light', 'high-contrast')
+   */
+  setTheme(theme) {
+    if (!(theme in THEMES)) {
+      throw new Error(`Unknown theme "${theme}" (available: ${Object.keys(THEMES).join(', ')})`);
+    }
+    this.theme = theme;
+    return this;
+  }
+
+  /**
+   * Set how render() writes the document ('default', 'pretty' or 'minify')
+   */
+  setRenderMode(mode) {
+    if (!RENDER_MODES.includes(mode)) {
+      throw new Error(`Unknown render mode "${mode}" (available: ${RENDER_MODES.join(', ')})`);
+    }
+    this.renderMode = mode;
+    return this;
+  }
+
+  /**
+   * Set how dates are displayed ('date', 'datetime', 'short' or Intl options)
+   */
+  setDateFormat(format) {
+    if (typeof format === 'string' && !(format in DATE_PRESETS)) {
+      throw new Error(`Unknown date format "${format}" (available: ${Object.keys(DATE_PRESETS).join(', ')})`);
+    }
+    this.dateFormat = format;
+    return this;
+  }
+
+  /**
+   * Set footer text
+   */
+  setFooter(text) {
+    this._check('setFooter', arguments);
+    this.footerText = text;
+    return this;
+  }
+
+  /**
+   * Add an alert (for dynamic content)
+   */
+  addAlert(content) {
+    this._check('addAlert', arguments);
+    this.alerts.push(content);
+    return this;
+  }
+
+  /**
+   * Render the complete HTML document, in the page's render mode or `mode`
+   */
+  render({ mode = this.renderMode } = {}) {
+    return formatHtml(html`
+      <!DOCTYPE html>
+      <html lang="${this.lang}"${raw(attrs({ dir: this.dir, 'data-theme': this.theme === 'auto' ? null : this.theme }))}>
+      <head>
+        ${this._renderHead()}
+      </head>
+      <body>
+        ${raw(this.renderBody())}
+      </body>
+      </html>`, mode);
+  }
+
+  /**
+   * Render the same document as render(), piece by piece: the head, the
+   * page up to its list, each item of the list (a blog page's articles) and
+   * the rest. An async iterable, so it pipes straight into a file:
+   *
+   *   await pipeline(page.renderStream(), fs.createWriteStream('index.html'));
+   *
+   * 'pretty' and 'minify' need the whole document, so they come as one piece.
+   */
+  async *renderStream() {
+    yield* this._renderChunks();
+  }
+
+  *_renderChunks() {
+    if (this.renderMode !== 'default') {
+      yield this.render();
+      return;
+    }
+
+    // The page with a marker where each list goes, then the lists one item at a time
+    this._lists = [];
+    let skeleton, lists;
+    try {
+      skeleton = this.render();
+    } finally {
+      lists = this._lists;
+      this._lists = null;
+    }
+
+    const parts = skeleton.split(LIST_MARKER);
+    const head = parts[0].indexOf('</head>\n');
+    if (head !== -1) {
+      yield parts[0].slice(0, head + '</head>\n'.length);
+      parts[0] = parts[0].slice(head + '</head>\n'.length);
+    }
+
+    for (let i = 0; i < parts.length; i++) {
+      if (i % 2 === 0) {
+        if (parts[i]) yield parts[i];
+        continue;
+      }
+
+      // Interpolated lists start their own line: its indentation is theirs
+      const indent = parts[i - 1].slice(parts[i - 1].lastIndexOf('\n') + 1);
+      if (indent.trim()) {
+        throw new Error(`${this.constructor.name}: a list rendered with _renderEach() must start its own line`);
+      }
+
+      const { items, renderItem } = lists[parts[i]];
+      let first = true;
+      for (const item of items) {
+        const markup = String(renderItem(item));
+        if (!markup) continue;
+        yield (first ? '' : '\n' + indent) + indentLines(markup, indent);
+        first = false;
+      }
+    }
+  }
+
+  /**
+   * Render a list: the items for render(), a marker renderStream() fills
+   * in item by item. Interpolate the result on a line of its own.
+   */
+  _renderEach(items, renderItem) {
+    if (!this._lists || items.length === 0) {
+      return items.map(renderItem);
+    }
+    this._lists.push({ items, renderItem });
+    return raw(`\u0001${this._lists.length - 1}\u0001`);
+  }
+
+  /**
+   * Render just the body content (useful for partial rendering)
+   */
+  renderBody() {
+    return String(html`${this.constructor.regions.map(region => this[region.render]())}`);
+  }
+
+  /**
+   * Describe the page as plain data (JSON.stringify() calls this);
+   * fromJSON() builds the same page back. The JSON Schema of the
+   * description comes from schema.js.
+   */
+  toJSON() {
+    const { head } = this;
+    const copy = value => value && { ...value };
+
+    return {
+      layout: this.constructor.layout,
+      options: {
+        title: this.title,
+        subtitle: this.subtitle,
+        lang: this.lang,
+        dir: this.dir,
+        messages: { ...this.messages },
+        cssBase: this.cssBase,
+        sanitize: this.sanitize,
+        theme: this.theme,
+        timeZone: this.timeZone,
+        dateFormat: this.dateFormat,
+        renderMode: this.renderMode
+      },
+      head: {
+        title: head.title,
+        description: head.description,
+        canonical: head.canonical,
+        openGraph: copy(head.openGraph),
+        twitter: copy(head.twitter),
+        favicon: copy(head.favicon),
+        manifest: head.manifest,
+        stylesheets: head.stylesheets.map(copy),
+        meta: head.meta.map(copy),
+        links: head.links.map(copy)
+      },
+      assets: { manifest: { ...this.assets.manifest }, critical: this.assets.critical },
+      navLinks: this.navLinks.map(copy),
+      footer: this.footerText == null ? null : String(this.footerText),
+      alerts: this.alerts.map(String)
+    };
+  }
+
+  /**
+   * Build a page from the description toJSON() returns - or one written by
+   * a CMS, another language or a model. Every part goes through the same
+   * methods (and checks) as hand-written code.
+   */
+  static fromJSON(json) {
+    if (!json || typeof json !== 'object') {
+      throw new Error(`${this.name}.fromJSON(): expected an object, got ${json === null ? 'null' : typeof json}`);
+    }
+    if (json.layout && json.layout !== this.layout) {
+      throw new Error(`${this.name}.fromJSON(): this describes a "${json.layout}" page, not "${this.layout}"`);
+    }
+
+    const page = new this(json.options || {});
+
+    // A misspelled part would otherwise be dropped without a word
+    const known = ['$schema', ...Object.keys(page.toJSON())];
+    page._report(`${this.name}.fromJSON()`, Object.keys(json).filter(key => !known.includes(key)).map(key => {
+      const guess = didYouMean(key, known);
+      return `unknown key "${key}"${guess ? ` (did you mean "${guess}"?)` : ''}`;
+    }));
+
+    page._hydrate(json);
+    return page;
+  }
+
+  /**
+   * Apply the parts of a description; subclasses add their own
+   */
+  _hydrate({ head = {}, assets = null, navLinks = [], footer = null, alerts = [] }) {
+    if (head.title != null) this.setDocumentTitle(head.title);
+    if (head.description != null) this.setDescription(head.description);
+    if (head.canonical != null) this.setCanonical(head.canonical);
+    if (head.openGraph) this.setOpenGraph(head.openGraph);
+    if (head.twitter) this.setTwitterCard(head.twitter);
+    if (head.favicon) {
+      const { href, ...options } = head.favicon;
+      this.setFavicon(href, options);
+    }
+    if (head.manifest != null) this.setManifest(head.manifest);
+    (head.stylesheets || []).forEach(({ href, ...options }) => this.addStylesheet(href, options));
+    (head.meta || []).forEach(attributes => this.addMeta(attributes));
+    (head.links || []).forEach(link => this.addHeadLink(link));
+    if (assets) this.setAssets(assets);
+
+    navLinks.forEach(link => this.addNavLink(link));
+    if (footer != null) this.setFooter(footer);
+    alerts.forEach(alert => this.addAlert(alert));
+  }
+
+  // Private rendering methods - enforce the rigid structure
+  // Every value is escaped by `html`; only markup we trust is wrapped in raw()
+
+  /**
+   * Report the problems of a call to `method` (see static schemas)
+   */
+  _check(method, args) {
+    const schema = this.validate && schemaFor(this.constructor, method);
+    const call = method === 'options' ? `new ${this.constructor.name}()` : `${this.constructor.name}.${method}()`;
+    this._report(call, schema ? checkArgs(schema, args) : []);
+  }
+
+  /**
+   * Warn about or throw the problems found in `call`, as `validate` says
+   */
+  _report(call, problems) {
+    if (!this.validate || problems.length === 0) {
+      return;
+    }
+
+    const message = `${call}: ${problems.join('; ')}`;
+    if (this.validate === 'strict') {
+      throw new Error(message);
+    }
+    console.warn(`Warning: ${message}`);
+  }
+
+  /**
+   * A date written out in the page's language, time zone and date format
+   */
+  _formatDate(date) {
+    return formatDate(date, { locale: this.lang, timeZone: this.timeZone, preset: this.dateFormat });
+  }
+
+  /**
+   * The ISO 8601 form of a date, for <time datetime>; `owner` names what
+   * the date belongs to in the error thrown when it does not parse
+   */
+  _isoDate(date, owner) {
+    try {
+      return parseDate(date, { timeZone: this.timeZone }).iso;
+    } catch (error) {
+      throw new Error(owner ? `${owner}: ${error.message}` : error.message);
+    }
+  }
+
+  /**
+   * Sanitize author-supplied HTML (unless disabled) and mark it trusted
+   */
+  _markup(value) {
+    if (this.sanitize === false) {
+      return raw(value);
+    }
+    return raw(sanitizeHtml(value, this.sanitize === true ? {} : this.sanitize));
+  }
+
+  _renderHead() {
+    const head = this.head;
+    const title = head.title || this.title;
+    const meta = attributes => html`<meta${raw(attrs(attributes))}>`;
+    const link = attributes => html`<link${raw(attrs(attributes))}>`;
+
+    const lines = [
+      meta({ charset: 'UTF-8' }),
+      meta({ name: 'viewport', content: 'width=device-width, initial-scale=1.0' }),
+      html`<title>${title}</title>`
+    ];
+
+    if (head.description) lines.push(meta({ name: 'description', content: head.description }));
+    if (head.canonical) lines.push(link({ rel: 'canonical', href: head.canonical }));
+
+    if (head.openGraph) {
+      const og = head.openGraph;
+      lines.push(...[
+        ['og:type', og.type],
+        ['og:title', og.title || title],
+        ['og:description', og.description || head.description],
+        ['og:url', og.url || head.canonical],
+        ['og:image', og.image],
+        ['og:image:alt', og.imageAlt],
+        ['og:site_name', og.siteName],
+        ['og:locale', og.locale]
+      ].filter(([, content]) => content).map(([property, content]) => meta({ property, content })));
+    }
+
+    if (head.twitter) {
+      const og = head.openGraph || {};
+      const twitter = head.twitter;
+      lines.push(...[
+        ['twitter:card', twitter.card],
+        ['twitter:site', twitter.site],
+        ['twitter:creator', twitter.creator],
+        ['twitter:title', twitter.title || og.title || title],
+        ['twitter:description', twitter.description || og.description || head.description],
+        ['twitter:image', twitter.image || og.image],
+        ['twitter:image:alt', twitter.imageAlt || og.imageAlt]
+      ].filter(([, content]) => content).map(([name, content]) => meta({ name, content })));
+    }
+
+    if (head.favicon) lines.push(link({ rel: 'icon', ...head.favicon }));
+    if (head.manifest) lines.push(link({ rel: 'manifest', href: head.manifest }));
+
+    lines.push(...head.meta.map(meta));
+    lines.push(...this._renderStylesheets());
+    lines.push(...head.stylesheets.map(sheet => link({ rel: 'stylesheet', ...sheet })));
+    lines.push(...head.links.map(link));
+
+    return html`${lines}`;
+  }
+
+  /**
+   * The classless stylesheets, as the asset manifest serves them (bundled
+   * files collapse into one link)
+   */
+  _renderStylesheets() {
+    const { manifest, critical } = this.assets;
+    const hrefs = [...new Set(this.stylesheets.map(file => `${this.cssBase}${manifest[file] || file}`))];
+    const link = attributes => html`<link${raw(attrs(attributes))}>`;
+
+    if (!critical) {
+      return hrefs.map(href => link({ rel: 'stylesheet', href }));
+    }
+
+    // The rules this page uses come inline; the rest loads without blocking the first paint
+    return [
+      html`<style>${raw(critical.replace(/<\/(style)/gi, '<\\/$1'))}</style>`,
+      ...hrefs.map(href => link({ rel: 'stylesheet', href, media: 'print', onload: "this.media='all'" })),
+      html`<noscript>${hrefs.map(href => link({ rel: 'stylesheet', href }))}</noscript>`
+    ];
+  }
+
+  _renderHeader() {
+    return html`
+    <header>
+      <h1>${this.title}</h1>
+      ${this.subtitle}
+    </header>`;
+  }
+
+  _renderNav() {
+    if (this.navLinks.length === 0) {
+      return '';
+    }
+
+    const links = this.navLinks.map(link => {
+      const ariaCurrent = raw(attrs({ 'aria-current': link.ariaCurrent }));
+      return html`<li><a href="${link.url}"${ariaCurrent}>${link.text}</a></li>`;
+    });
+
+    return html`
+      <nav aria-label="${this.t('nav.primary')}">
+        ${this._renderMenu()}
+
+        <ul>
+          ${links}
+        </ul>
+      </nav>
+    `;
+  }
+
+  /**
+   * Controls shown before the navigation links (none by default)
+   */
+  _renderMenu() {
+    return '';
+  }
+
+  /**
+   * Theme radios - classless.base.css switches tokens with :has(#theme-x:checked)
+   */
+  _renderThemeToggle() {
+    return Object.entries(THEMES).map(([name, { icon }]) => {
+      const inputAttrs = raw(attrs({ 'aria-label': this.t(`theme.${name}`), checked: name === this.theme }));
+      return html`<label><input type="radio" name="theme" id="theme-${name}"${inputAttrs}>${icon}</label>`;
+    });
+  }
+
+  _renderMain() {
+    return html`<main></main>`;
+  }
+
+  _renderFooter() {
+    // Footer text may contain markup such as &copy;
+    return html`<footer><p>${this._markup(this.footerText)}</p></footer>`;
+  }
+
+  _renderAlertRegion() {
+    if (this.alerts.length === 0) {
+      return html`<section id="alert-region" aria-live="polite"></section>`;
+    }
+
+    // Alerts are HTML fragments
+    const alertContent = this.alerts.map(alert => this._markup(alert));
+
+    return html`
+      <section id="alert-region" aria-live="polite">
+        ${alertContent}
+      </section>`;
+  }
+
+}
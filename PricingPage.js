@@ -0,0 +1,255 @@
+import { attrs } from './lib.js';
+import html, { raw } from './html.js';
+import Page from './Page.js';
+
+// Fields of the objects the methods below accept
+const TIER = {
+  name: 'string!',
+  price: 'string|number!',
+  period: 'string',
+  description: 'string',
+  features: 'array',
+  featured: 'boolean',
+  ctaText: 'string',
+  ctaUrl: 'string'
+};
+
+/**
+ * PricingPage - Semantic control layer for classless.pricing.css
+ *
+ * Plans side by side, a feature comparison table, testimonials and an FAQ,
+ * all inside <main>. The featured plan is the one with an aria-label.
+ *
+ * Usage:
+ *   const page = new PricingPage({
+ *     title: 'Choose Your Plan',
+ *     subtitle: 'Start free, upgrade when you need to'
+ *   });
+ *   page.addTier({ name: 'Basic', price: '$9', period: '/month', features: ['1 site'], ctaText: 'Get started', ctaUrl: '/signup/basic' });
+ *   page.addTier({ name: 'Pro', price: '$29', period: '/month', features: ['10 sites'], featured: true, ctaText: 'Go Pro', ctaUrl: '/signup/pro' });
+ *   page.addComparison({ feature: 'Custom domain', values: { Basic: false, Pro: true } });
+ *   page.addTestimonial({ quote: 'We shipped in a day.', name: 'Jane Doe', company: 'Acme' });
+ *   page.addFaq({ question: 'Can I cancel anytime?', answer: '<p>Yes.</p>' });
+ *   const html = page.render();
+ */
+
+export default class PricingPage extends Page {
+  static layout = 'pricing';
+
+  static stylesheet = 'classless.pricing.css';
+
+  static regions = [
+    { area: 'header', element: 'header', render: '_renderHeader' },
+    { area: 'nav', element: 'nav', render: '_renderNav' },
+    { area: 'main', element: 'main', render: '_renderMain' },
+    { area: 'footer', element: 'footer', render: '_renderFooter' },
+    { area: 'alert', element: 'section#alert-region', render: '_renderAlertRegion' }
+  ];
+
+  static schemas = {
+    addTier: [TIER],
+    addComparison: [{ feature: 'string!', values: 'object' }],
+    addTestimonial: [{ quote: 'string!', name: 'string!', company: 'string', avatar: 'string' }],
+    addFaq: [{ question: 'string!', answer: 'html!' }]
+  };
+
+  constructor(options) {
+    super(options);
+
+    // Plans, in display order
+    this.tiers = [];
+
+    // Feature comparison rows
+    this.comparison = [];
+
+    // Customer quotes
+    this.testimonials = [];
+
+    // Frequently asked questions
+    this.faqs = [];
+  }
+
+  /**
+   * Add a plan
+   */
+  addTier({ name, price, period = '', description = '', features = [], featured = false, ctaText = null, ctaUrl }) {
+    this._check('addTier', arguments);
+    this.tiers.push({ name, price, period, description, features: [].concat(features), featured, ctaText: ctaText || this.t('pricing.cta'), ctaUrl });
+    return this;
+  }
+
+  /**
+   * Add a comparison row - values are keyed by tier name (true, false or text)
+   */
+  addComparison({ feature, values = {} }) {
+    this._check('addComparison', arguments);
+    this.comparison.push({ feature, values });
+    return this;
+  }
+
+  /**
+   * Add a customer quote
+   */
+  addTestimonial({ quote, name, company = '', avatar = null }) {
+    this._check('addTestimonial', arguments);
+    this.testimonials.push({ quote, name, company, avatar });
+    return this;
+  }
+
+  /**
+   * Add a question - the answer is HTML (sanitized like post content)
+   */
+  addFaq({ question, answer }) {
+    this._check('addFaq', arguments);
+    this.faqs.push({ question, answer });
+    return this;
+  }
+
+  /**
+   * Describe the page as plain data, with the plans, comparison, quotes and FAQ
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      tiers: this.tiers.map(tier => ({ ...tier, features: [...tier.features] })),
+      comparison: this.comparison.map(row => ({ ...row, values: { ...row.values } })),
+      testimonials: this.testimonials.map(testimonial => ({ ...testimonial })),
+      faqs: this.faqs.map(faq => ({ ...faq, answer: faq.answer == null ? faq.answer : String(faq.answer) }))
+    };
+  }
+
+  _hydrate(json) {
+    super._hydrate(json);
+
+    const { tiers = [], comparison = [], testimonials = [], faqs = [] } = json;
+    tiers.forEach(tier => this.addTier(tier));
+    comparison.forEach(row => this.addComparison(row));
+    testimonials.forEach(testimonial => this.addTestimonial(testimonial));
+    faqs.forEach(faq => this.addFaq(faq));
+  }
+
+  _renderMain() {
+    return html`
+      <main>
+        ${this._renderTiers()}
+        ${this._renderComparison()}
+        ${this._renderTestimonials()}
+        ${this._renderFaq()}
+      </main>
+      `;
+  }
+
+  _renderTiers() {
+    if (this.tiers.length === 0) {
+      return html`
+        <section id="pricing-tiers" aria-label="${this.t('pricing.plans')}">
+          <p>${this.t('pricing.empty')}</p>
+        </section>`;
+    }
+
+    const tiers = this.tiers.map(tier => {
+      const label = raw(attrs({ 'aria-label': tier.featured ? this.t('pricing.featured') : null }));
+      const description = tier.description ? html`<p>${tier.description}</p>` : '';
+      const price = tier.period ? html`<p>${tier.price} <small>${tier.period}</small></p>` : html`<p>${tier.price}</p>`;
+      const features = tier.features.map(feature => html`<li>${feature}</li>`);
+      const cta = tier.ctaUrl ? html`<footer><a href="${tier.ctaUrl}">${tier.ctaText}</a></footer>` : '';
+
+      return html`
+        <article${label}>
+          <header>
+            <h2>${tier.name}</h2>
+            ${price}
+          </header>
+          ${description}
+          <ul>
+            ${features}
+          </ul>
+          ${cta}
+        </article>`;
+    });
+
+    return html`
+      <section id="pricing-tiers" aria-label="${this.t('pricing.plans')}">
+        ${tiers}
+      </section>`;
+  }
+
+  _renderComparison() {
+    if (this.comparison.length === 0) {
+      return '';
+    }
+
+    const names = this.tiers.map(tier => tier.name);
+    const cell = value => {
+      if (value === true) return html`<td aria-label="${this.t('pricing.included')}">✓</td>`;
+      if (value === false || value == null) return html`<td aria-label="${this.t('pricing.notIncluded')}">—</td>`;
+      return html`<td>${value}</td>`;
+    };
+
+    const headings = names.map(name => html`<th scope="col">${name}</th>`);
+    const rows = this.comparison.map(row => html`
+      <tr>
+        <th scope="row">${row.feature}</th>
+        ${names.map(name => cell(row.values[name]))}
+      </tr>`);
+
+    return html`
+      <section id="feature-comparison">
+        <h2>${this.t('pricing.comparison')}</h2>
+        <table>
+          <thead>
+            <tr>
+              <th scope="col">${this.t('pricing.feature')}</th>
+              ${headings}
+            </tr>
+          </thead>
+          <tbody>
+            ${rows}
+          </tbody>
+        </table>
+      </section>`;
+  }
+
+  _renderTestimonials() {
+    if (this.testimonials.length === 0) {
+      return '';
+    }
+
+    const quotes = this.testimonials.map(testimonial => {
+      const avatar = testimonial.avatar ? html`<img src="${testimonial.avatar}" alt="" width="48" height="48">` : '';
+      const company = testimonial.company ? html`, ${testimonial.company}` : '';
+
+      return html`
+        <figure>
+          <blockquote>
+            <p>${testimonial.quote}</p>
+          </blockquote>
+          <figcaption>${avatar}${testimonial.name}${company}</figcaption>
+        </figure>`;
+    });
+
+    return html`
+      <section id="testimonials">
+        <h2>${this.t('pricing.testimonials')}</h2>
+        ${quotes}
+      </section>`;
+  }
+
+  _renderFaq() {
+    if (this.faqs.length === 0) {
+      return '';
+    }
+
+    const faqs = this.faqs.map(faq => html`
+      <details>
+        <summary>${faq.question}</summary>
+        ${this._markup(faq.answer)}
+      </details>`);
+
+    return html`
+      <section id="faq">
+        <h2>${this.t('pricing.faq')}</h2>
+        ${faqs}
+      </section>`;
+  }
+}
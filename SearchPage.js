@@ -0,0 +1,112 @@
+import html, { raw } from './html.js';
+import BlogPage from './BlogPage.js';
+
+/**
+ * SearchPage - The page the aside's search form leads to
+ *
+ * Without JavaScript it is a plain list of every post (the form's ?q=
+ * cannot be read on a static site). With it, a small inline script reads
+ * ?q=, queries the index written by search.js and replaces the list with
+ * the matching posts as the same <article> teasers BlogPage renders.
+ *
+ * Usage:
+ *   const page = new SearchPage({ title: 'My Blog' });
+ *   page.setSearch({ url: '/search/', index: '/search.json' });
+ *   posts.forEach(post => page.addPost(post));
+ *   const html = page.render();
+ */
+
+// Split a query the way search.js tokenize() splits the posts
+const SEARCH_SCRIPT = `
+  const tokenize = text => text.normalize('NFKD').replace(/[\\u0300-\\u036f]/g, '').toLowerCase()
+    .split(/[^\\p{L}\\p{N}]+/u).filter(word => word.length > 1);
+  const format = (key, params) => messages[key].replace(/\\{(\\w+)\\}/g, (match, name) => name in params ? params[name] : match);
+  const el = (name, props, ...children) => {
+    const node = Object.assign(document.createElement(name), props);
+    node.append(...children);
+    return node;
+  };
+
+  const section = document.currentScript.previousElementSibling;
+  const status = section.previousElementSibling;
+  const heading = status.previousElementSibling;
+  const query = (new URLSearchParams(location.search).get('q') || '').trim();
+  document.querySelectorAll('input[name="q"]').forEach(input => { input.value = query; });
+  if (!query) return;
+
+  fetch(index)
+    .then(response => {
+      if (!response.ok) throw new Error(response.statusText);
+      return response.json();
+    })
+    .then(({ posts, terms }) => {
+      const keys = Object.keys(terms);
+      let scores = null;
+
+      // Every word of the query must match the start of a word of the post
+      for (const word of tokenize(query)) {
+        const found = new Map();
+        keys.filter(key => key.startsWith(word)).forEach(key => {
+          const hits = terms[key];
+          for (let i = 0; i < hits.length; i += 2) found.set(hits[i], (found.get(hits[i]) || 0) + hits[i + 1]);
+        });
+        scores = scores ? new Map([...scores].filter(([post]) => found.has(post)).map(([post, score]) => [post, score + found.get(post)])) : found;
+      }
+
+      const results = [...(scores || [])].sort((a, b) => b[1] - a[1]).map(([post]) => posts[post]);
+
+      heading.textContent = format('search.results', { query });
+      status.textContent = results.length ? format('search.found', { count: results.length }) : format('search.none', { query });
+      section.replaceChildren(...results.map(post => el('article', {},
+        el('header', {}, el('h2', {}, post.title), el('p', {}, el('time', { dateTime: post.datetime }, post.date))),
+        el('p', {}, post.excerpt),
+        el('footer', {}, el('a', { href: post.url }, messages['posts.readMore']))
+      )));
+    })
+    .catch(() => { status.textContent = messages['search.error']; });
+`;
+
+const SEARCH_MESSAGES = ['search.results', 'search.found', 'search.none', 'search.error', 'posts.readMore'];
+
+export default class SearchPage extends BlogPage {
+  static layout = 'search';
+
+  constructor(options) {
+    super(options);
+
+    this.sectionLabel = this.t('search.title');
+  }
+
+  _renderMain() {
+    const links = this._renderEach(this.posts, post => html`<li><a href="${post.url}">${post.title}</a> <time datetime="${post.datetime}">${this._formatDate(post.date)}</time></li>`);
+
+    return html`
+      <main>
+        <h2>${this.t('search.all')}</h2>
+        <p role="status"></p>
+        <section aria-label="${this.sectionLabel}">
+          <ul>
+            ${links}
+          </ul>
+        </section>
+        ${this._renderSearchScript()}
+      </main>
+      `;
+  }
+
+  _renderSearchScript() {
+    if (!this.search?.index) {
+      return '';
+    }
+
+    const messages = Object.fromEntries(SEARCH_MESSAGES.map(key => [key, this.t(key)]));
+    // JSON in an inline script: "<" escaped so nothing can close the element
+    const config = JSON.stringify({ index: this.search.index, messages }).replace(/</g, '\\u003c');
+
+    return raw(`<script>
+(() => {
+  const { index, messages } = ${config};
+${SEARCH_SCRIPT}})();
+</script>`);
+  }
+}
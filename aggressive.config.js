@@ -0,0 +1,67 @@
+/**
+ * Site configuration for `aggressive build`
+ *
+ * Every page of the generated site (index, permalinks, category archives)
+ * is driven from this one object.
+ */
+
+export default {
+  title: 'The Classless Revolution',
+  subtitle: 'Rethinking web development, one semantic element at a time',
+  lang: 'en',
+
+  // More languages, each built under /<lang>/ and linked with hreflang:
+  // languages: { fr: { title: 'La révolution sans classes', content: 'posts/fr' } },
+
+  // Time zone of post times written without an offset; dates show as
+  // 'datetime', 'date' or 'short'
+  timeZone: 'UTC',
+  dateFormat: 'datetime',
+
+  // auto (follows the OS), solarized-dark, solarized-light or high-contrast
+  theme: 'auto',
+
+  // Misspelled or missing page options: 'warn', 'strict' (stop the build) or false
+  validate: 'strict',
+
+  // HTML as written ('default'), re-indented ('pretty') or minified ('minify')
+  renderMode: 'default',
+
+  // Remember the layout, sidebar and theme toggles between pages
+  persist: true,
+
+  // Search form in the sidebar, a /search/ page and its search.json index
+  search: true,
+
+  // Resized logo and post images with <picture>/srcset (needs sharp):
+  // images: { dir: 'static', widths: [480, 960, 1440], formats: ['avif', 'webp'] },
+
+  // One minified, content-hashed stylesheet (listed in assets.json); `critical`
+  // also inlines the rules each page uses:
+  // assets: { bundle: true, minify: true, hash: true, critical: true },
+
+  // Absolute site URL; enables feed.xml, atom.xml and feed.json
+  url: 'https://example.com/',
+  author: 'The Classless Revolution',
+  logo: {
+    src: '/assets/logo.svg',
+    alt: 'The Classless Revolution Logo',
+    caption: 'Classless'
+  },
+  navigation: [
+    { text: 'Home', url: '/' },
+    { text: 'Articles', url: '/articles' },
+    { text: 'About', url: '/about' },
+    { text: 'RSS', url: '/feed.xml' }
+  ],
+  footer: '© 2025 The Classless Revolution. Built with semantic HTML and zero classes.',
+
+  // Markdown posts with YAML front matter
+  content: 'posts',
+
+  // Posts per index/archive page; older posts move to /page/2/, /page/3/ ...
+  pageSize: 10,
+
+  // Where the site is written
+  output: 'dist'
+};
@@ -0,0 +1,193 @@
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * assets.js - Production stylesheets: bundling, minification, hashes
+ *
+ * A page links reset, base and its layout stylesheet one by one, each
+ * under its own name. For production the build can instead:
+ *
+ *   - bundle them (plus any `include`d CSS) into one file, in cascade order
+ *   - minify it (comments and whitespace out, nothing else changed)
+ *   - name it after its content (classless.blog.1a2b3c4d.css), so it can be
+ *     cached forever and a new build is a new URL
+ *   - inline the rules a page actually uses in a <style> in its head
+ *     (`critical`), loading the full stylesheet without blocking paint
+ *
+ * The manifest maps every stylesheet a page names to the file that now
+ * serves it; page.setAssets({ manifest }) makes the page link those, and
+ * the build writes it out as assets.json.
+ *
+ * Usage:
+ *   const assets = await buildAssets(['classless.reset.css', 'classless.base.css', 'classless.blog.css'], { dir, bundle: true });
+ *   assets.manifest;   // => { 'classless.reset.css': 'classless.blog.1a2b3c4d.css', ... }
+ *   page.setAssets({ manifest: assets.manifest, critical: criticalCss(assets.css, page.renderBody()) });
+ */
+
+export const ASSET_DEFAULTS = {
+  bundle: true,
+  minify: true,
+  hash: true,
+  // Inline the rules each page uses into its head
+  critical: false,
+  // More CSS files (from the site root) appended to the bundle
+  include: []
+};
+
+const HASH_LENGTH = 8;
+
+// Split CSS into comments, strings and the rest, so neither is mistaken for the other
+const CSS_TOKENS = /(\/\*[\s\S]*?(?:\*\/|$))|("(?:[^"\\\n]|\\[\s\S])*"|'(?:[^'\\\n]|\\[\s\S])*')|([^"'/]+|\/)/g;
+
+/**
+ * Minify CSS: drop comments (except /*! licences) and every space the
+ * syntax does not need
+ */
+export function minifyCss(css) {
+  // Strings and kept comments wait aside as \0<n>\0, so the code around them reads as one
+  const kept = [];
+  let code = '';
+  for (const [, comment, string, rest] of String(css).matchAll(CSS_TOKENS)) {
+    if (comment) {
+      if (comment.startsWith('/*!')) code += `\0${kept.push(comment) - 1}\0`;
+    } else if (string) {
+      code += `\0${kept.push(string) - 1}\0`;
+    } else {
+      code += rest;
+    }
+  }
+
+  return code
+    .replace(/\s+/g, ' ')
+    // Around braces, semicolons, commas and child combinators
+    .replace(/ ?([{};,>]) ?/g, '$1')
+    // Around the colon of a declaration (what follows ends at ; or }, not {);
+    // in a selector the space before :hover is a descendant combinator
+    .replace(/ ?: ?(?=[^{};]*(?:[;}]|$))/g, ':')
+    .replace(/: /g, ':')
+    .replace(/;}/g, '}')
+    .replace(/\0(\d+)\0/g, (match, i) => kept[i])
+    .trim();
+}
+
+// The top-level rules and at-rules of a stylesheet: { prelude, body } (body null for `@import ...;`)
+function parseRules(css) {
+  const rules = [];
+  let prelude = '';
+  let body = '';
+  let depth = 0;
+
+  for (const [token, comment, string] of String(css).matchAll(CSS_TOKENS)) {
+    if (comment) continue;
+    if (string) {
+      if (depth) body += token; else prelude += token;
+      continue;
+    }
+    for (const char of token) {
+      if (depth === 0 && char === ';') {
+        rules.push({ prelude: prelude.trim(), body: null });
+        prelude = '';
+      } else if (char === '{') {
+        if (depth++) body += char;
+      } else if (char === '}') {
+        if (--depth) {
+          body += char;
+        } else {
+          rules.push({ prelude: prelude.trim(), body });
+          prelude = '';
+          body = '';
+        }
+      } else if (depth) {
+        body += char;
+      } else {
+        prelude += char;
+      }
+    }
+  }
+  return rules;
+}
+
+// Element names and ids an HTML fragment uses
+function usedNames(markup) {
+  const tags = new Set(['html', 'body']);
+  const ids = new Set();
+  for (const [, tag, attributes] of String(markup).matchAll(/<([a-z][a-z0-9-]*)([^>]*)>/gi)) {
+    tags.add(tag.toLowerCase());
+    const id = attributes.match(/\bid="([^"]*)"/);
+    if (id) ids.add(id[1]);
+  }
+  return { tags, ids };
+}
+
+// Could `selector` match something in a page using `tags` and `ids`?
+function selectorUsed(selector, { tags, ids }) {
+  const plain = selector
+    .replace(/\[[^\]]*\]/g, '')
+    .replace(/:not\([^()]*\)/g, '');
+  const wanted = [...plain.matchAll(/#([\w-]+)/g)].map(([, id]) => id);
+  const types = [...plain.replace(/::?[\w-]+|#[\w-]+|\.[\w-]+/g, '').matchAll(/(?:^|[\s>+~(,])([a-z][a-z0-9-]*)/gi)].map(([, tag]) => tag.toLowerCase());
+
+  return wanted.every(id => ids.has(id)) && types.every(tag => tags.has(tag));
+}
+
+function critical(rules, used) {
+  return rules.map(({ prelude, body }) => {
+    if (body == null) {
+      return `${prelude};`;
+    }
+    if (/^@(?:media|supports|layer|container)\b/i.test(prelude)) {
+      const inner = critical(parseRules(body), used);
+      return inner && `${prelude}{${inner}}`;
+    }
+    if (prelude.startsWith('@') || prelude.split(',').some(selector => selectorUsed(selector, used))) {
+      return `${prelude}{${body}}`;
+    }
+    return '';
+  }).filter(Boolean).join('');
+}
+
+/**
+ * The rules of `css` a page (its body markup) can use, minified - custom
+ * properties, fonts and keyframes always included
+ */
+export function criticalCss(css, markup) {
+  return minifyCss(critical(parseRules(css), usedNames(markup)));
+}
+
+const contentHash = content => createHash('sha256').update(content).digest('hex').slice(0, HASH_LENGTH);
+
+const hashedName = (file, content) => file.replace(/\.css$/, `.${contentHash(content)}.css`);
+
+/**
+ * Read `stylesheets` (file names in `dir`, in cascade order) and produce
+ * the files to write: { files: [{ file, content }], manifest, css } where
+ * `css` is the whole of the CSS for criticalCss()
+ */
+export async function buildAssets(stylesheets, { dir, root = process.cwd(), ...options } = {}) {
+  const { bundle, minify, hash, include } = { ...ASSET_DEFAULTS, ...options };
+  const read = async (file, from) => ({ file: path.basename(file), content: await readFile(path.resolve(from, file), 'utf8') });
+
+  let sheets = await Promise.all(stylesheets.map(file => read(file, dir)));
+  // Included files only have a place in the bundle
+  const extra = bundle ? await Promise.all(include.map(file => read(file, root))) : [];
+
+  if (bundle) {
+    // Named after the layout stylesheet, so lint still knows the layout
+    const name = stylesheets[stylesheets.length - 1];
+    const content = [...sheets, ...extra].map(({ file, content }) => `/* ${file} */\n${content.trim()}\n`).join('\n');
+    sheets = [{ file: name, content, covers: [...stylesheets, ...extra.map(({ file }) => file)] }];
+  } else {
+    sheets = [...sheets, ...extra];
+  }
+
+  const manifest = {};
+  const files = sheets.map(({ file, content, covers = [file] }) => {
+    const css = minify ? minifyCss(content) + '\n' : content;
+    const name = hash ? hashedName(file, css) : file;
+    covers.forEach(covered => { manifest[covered] = name; });
+    return { file: name, content: css };
+  });
+
+  return { files, manifest, css: files.map(({ content }) => content).join('\n') };
+}
@@ -0,0 +1,494 @@
+import { createWriteStream } from 'node:fs';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { pipeline } from 'node:stream/promises';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import ArticlePage from './ArticlePage.js';
+import { buildAssets, criticalCss } from './assets.js';
+import BlogPage from './BlogPage.js';
+import { loadPosts } from './content.js';
+import { parseDate } from './dates.js';
+import { FEEDS, renderAtom, renderJsonFeed, renderRss } from './feeds.js';
+import { translator } from './i18n.js';
+import { createImageProcessor } from './images.js';
+import { absUrl, slug } from './lib.js';
+import { sanitize } from './sanitize.js';
+import { buildSearchIndex } from './search.js';
+import SearchPage from './SearchPage.js';
+import { collectTerms } from './taxonomy.js';
+
+/**
+ * build.js - Multi-page static site builder
+ *
+ * Turns one config object into a complete static site:
+ *
+ *   dist/index.html                  - latest posts
+ *   dist/page/<n>/index.html         - older posts, `pageSize` per page
+ *   dist/posts/<slug>/index.html     - one permalink page per post (ArticlePage)
+ *   dist/category/<slug>/index.html  - one archive page per category
+ *   dist/tag/<slug>/index.html       - one archive page per tag
+ *   dist/feed.xml, atom.xml, feed.json - RSS, Atom and JSON feeds (needs `url`)
+ *   dist/search/index.html, search.json - search page and its index (`search: true`)
+ *   dist/images/...                  - resized logo and post images (`images`)
+ *   dist/classless.*.css             - the three classless stylesheets, or with
+ *                                      `assets` one minified, content-hashed
+ *                                      bundle and its manifest, assets.json
+ *   dist/<lang>/...                  - the same again for every entry of
+ *                                      `languages`, linked by hreflang
+ *
+ * Usage:
+ *   const config = await loadConfig('aggressive.config.js');
+ *   const { pages, files } = await buildSite(config);   // HTML pages; every file written
+ *
+ *   // Render everything, but only touch files whose content changed (used by
+ *   // `aggressive serve`); `files` lists every file the build produced
+ *   const { changed, files } = await buildSite(config, { incremental: true });
+ */
+
+const PACKAGE_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+export const CONFIG_FILES = ['aggressive.config.js', 'aggressive.config.mjs', 'aggressive.config.json'];
+
+export const STYLESHEETS = [
+  'classless.reset.css',
+  'classless.base.css',
+  'classless.blog.css'
+];
+
+/**
+ * Load a config file (ESM default export or JSON)
+ */
+export async function loadConfig(file) {
+  const configPath = path.resolve(file);
+  let config;
+
+  if (configPath.endsWith('.json')) {
+    config = JSON.parse(await readFile(configPath, 'utf8'));
+  } else {
+    config = (await import(pathToFileURL(configPath).href)).default;
+  }
+
+  if (!config || typeof config !== 'object') {
+    throw new Error(`${file}: config must export an object`);
+  }
+
+  return { root: path.dirname(configPath), ...config };
+}
+
+/**
+ * Map a site URL to the file that serves it
+ */
+export function outputPath(url) {
+  const pathname = String(url).split(/[?#]/)[0].replace(/^\/+/, '');
+  if (pathname === '' || pathname.endsWith('/')) {
+    return pathname + 'index.html';
+  }
+  return path.extname(pathname) ? pathname : pathname + '/index.html';
+}
+
+/**
+ * Relative path from a generated file back to the site root
+ */
+export function relativeRoot(file) {
+  const depth = file.split('/').length - 1;
+  return '../'.repeat(depth);
+}
+
+/**
+ * Split posts into pages of `size`, each with its own URL under `baseUrl`
+ */
+export function paginate(posts, size, baseUrl = '/') {
+  const perPage = size > 0 ? size : posts.length || 1;
+  const count = Math.max(1, Math.ceil(posts.length / perPage));
+
+  return Array.from({ length: count }, (_, i) => ({
+    number: i + 1,
+    url: i === 0 ? baseUrl : `${baseUrl}page/${i + 1}/`,
+    posts: posts.slice(i * perPage, (i + 1) * perPage)
+  }));
+}
+
+/**
+ * Wire a page into the Pagination nav and the head's prev/next links
+ */
+export function applyPagination(page, pages, index) {
+  if (pages.length < 2) {
+    return page;
+  }
+
+  const prev = pages[index - 1];
+  const next = pages[index + 1];
+
+  if (prev) {
+    page.addPagerLink({ text: page.t('pager.newer'), url: prev.url, rel: 'prev' });
+    page.addHeadLink({ rel: 'prev', href: prev.url });
+  }
+
+  pages.forEach((p, i) => page.addPagerLink({
+    text: String(p.number),
+    url: p.url,
+    ariaCurrent: i === index ? 'page' : null
+  }));
+
+  if (next) {
+    page.addPagerLink({ text: page.t('pager.older'), url: next.url, rel: 'next' });
+    page.addHeadLink({ rel: 'next', href: next.url });
+  }
+
+  return page;
+}
+
+/**
+ * The languages of a site: `lang` at the root, and every entry of
+ * `languages` under /<lang>/ with its own settings merged over the rest
+ */
+export function siteLanguages(config) {
+  const { languages = {}, ...site } = config;
+
+  return [
+    { ...site, lang: site.lang || 'en', base: '' },
+    ...Object.entries(languages).map(([lang, overrides]) => ({ ...site, ...overrides, lang, base: `/${lang}` }))
+  ];
+}
+
+/**
+ * Build the whole site described by `config`
+ */
+export async function buildSite(config, { incremental = false } = {}) {
+  const root = config.root || process.cwd();
+  const outDir = path.resolve(root, config.output || 'dist');
+
+  // HTML pages only; feeds, the search index, images and stylesheets are in `files`
+  const pages = [];
+  const changed = [];
+  // Every file of this build, changed or not
+  const files = [];
+
+  // Write one output file (text or image); incremental builds leave identical files alone
+  const write = async (file, content) => {
+    files.push(file);
+    const target = path.join(outDir, file);
+    if (incremental && (await readFile(target).catch(() => null))?.equals(Buffer.from(content))) {
+      return;
+    }
+    await mkdir(path.dirname(target), { recursive: true });
+    await writeFile(target, content);
+    changed.push(file);
+  };
+
+  // Write a page as it renders; incremental builds compare the whole page instead
+  const writePage = async (file, page) => {
+    if (incremental) {
+      return write(file, page.render());
+    }
+    files.push(file);
+    const target = path.join(outDir, file);
+    await mkdir(path.dirname(target), { recursive: true });
+    await pipeline(page.renderStream(), createWriteStream(target));
+    changed.push(file);
+  };
+
+  // One image step for every language: each image is resized once
+  const images = config.images
+    ? createImageProcessor({ root, ...(config.images === true ? {} : config.images) })
+    : null;
+
+  // Plan every language before rendering, so pages can link their translations
+  const sites = [];
+  for (const site of siteLanguages(config)) {
+    sites.push(await planSite(site, root, images));
+  }
+
+  if (sites.length > 1) {
+    linkTranslations(sites, config.url);
+  }
+
+  // Stylesheets: copied as they are, or bundled, minified and hashed
+  const cssDir = config.css ? path.resolve(root, config.css) : PACKAGE_DIR;
+  const assets = await buildAssets(STYLESHEETS, {
+    dir: cssDir,
+    root,
+    ...(config.assets ? (config.assets === true ? {} : config.assets) : { bundle: false, minify: false, hash: false })
+  });
+
+  for (const { entries, files: siteFiles } of sites) {
+    for (const { url, page } of entries) {
+      const file = outputPath(url);
+      if (config.assets) {
+        page.setAssets({
+          manifest: assets.manifest,
+          critical: config.assets.critical ? criticalCss(assets.css, page.renderBody()) : null
+        });
+      }
+      await writePage(file, page);
+      pages.push(file);
+    }
+    for (const { file, content } of siteFiles) {
+      await write(file, content);
+    }
+  }
+
+  for (const { file, content } of images?.files || []) {
+    await write(file, content);
+  }
+
+  for (const { file, content } of assets.files) {
+    await write(file, content);
+  }
+  if (config.assets) {
+    await write('assets.json', JSON.stringify(assets.manifest, null, 2) + '\n');
+  }
+
+  const [{ posts, categories, tags }] = sites;
+  return { outDir, pages, files, changed, posts, categories, tags };
+}
+
+/**
+ * Every page (not yet rendered) and other file (feeds, search index) of
+ * one language of the site
+ */
+async function planSite(site, root, images) {
+  const { base } = site;
+  const PageClass = site.Page || BlogPage;
+  const ArticlePageClass = site.ArticlePage || ArticlePage;
+  const pageSize = site.pageSize ?? 10;
+  const t = translator(site.lang, site.messages);
+
+  const posts = await gatherPosts(site, root, images);
+  const logo = images && site.logo ? await responsiveLogo(site.logo, images) : site.logo;
+  const categories = collectTerms(posts, 'categories', base);
+  const tags = collectTerms(posts, 'tags', base);
+  const sidebar = site.categories || categories.map(({ text, url, count }) => ({ text, url, count }));
+
+  // Pages of this language; `key` is the same for every translation of a page
+  const entries = [];
+  const files = [];
+
+  // Files at the root of this language ('feed.xml' or 'fr/feed.xml')
+  const addFile = (name, content) => files.push({ file: `${base.slice(1)}${base ? '/' : ''}${name}`, content });
+
+  // Every page shares the same header, logo, nav, aside and footer
+  const createPage = (url, { ariaCurrent, sectionLabel, title, description, type, Page = PageClass } = {}) => {
+    const page = new Page({
+      title: site.title,
+      subtitle: site.subtitle,
+      lang: site.lang,
+      dir: site.dir,
+      messages: site.messages,
+      base,
+      cssBase: relativeRoot(outputPath(url)),
+      description: description || site.description || site.subtitle,
+      sanitize: site.sanitize ?? true,
+      theme: site.theme,
+      persist: site.persist,
+      timeZone: site.timeZone,
+      dateFormat: site.dateFormat,
+      validate: site.validate,
+      renderMode: site.renderMode
+    });
+
+    if (title) page.setDocumentTitle(`${title} - ${site.title}`);
+    if (site.url) page.setCanonical(absUrl(url, site.url));
+    if (site.url || site.image) {
+      page.setOpenGraph({
+        type: type || 'website',
+        image: site.image && site.url ? absUrl(site.image, site.url) : site.image,
+        siteName: site.title
+      });
+    }
+    if (site.twitter) page.setTwitterCard(site.twitter);
+    if (site.favicon) page.setFavicon(site.favicon);
+    if (site.manifest) page.setManifest(site.manifest);
+    (site.stylesheets || []).forEach(href => page.addStylesheet(href));
+
+    if (logo) page.setLogo(logo);
+    if (site.navigation) {
+      page.setNavLinks(site.navigation.map(link => ({
+        ...link,
+        ariaCurrent: link.url === ariaCurrent ? 'page' : link.ariaCurrent || null
+      })));
+    }
+    page.setCategories(sidebar.map(category => ({
+      ...category,
+      ariaCurrent: category.url === ariaCurrent ? 'page' : null
+    })));
+    if (sectionLabel) page.setSectionLabel(sectionLabel);
+    if (site.url) {
+      Object.values(FEEDS).forEach(({ file, type, title }) => {
+        page.addHeadLink({ rel: 'alternate', type, title: `${site.title} (${title})`, href: `${base}/${file}` });
+      });
+    }
+    if (site.footer) page.setFooter(site.footer);
+    if (site.search) page.setSearch({ url: `${base}/search/`, index: `${base}/search.json` });
+
+    return page;
+  };
+
+  const add = (url, page, key = url.slice(base.length)) => entries.push({ url, key, page });
+
+  // Post content for one page: images after the page's first `eager` load lazily
+  const lazyLoad = () => {
+    const lazy = images?.lazyLoader();
+    return post => lazy ? { ...post, content: lazy(post.content) } : post;
+  };
+
+  // Paginated lists of posts (index and archives)
+  const addList = (list, baseUrl, { ariaCurrent, sectionLabel, title } = {}) => {
+    const listPages = paginate(list, pageSize, baseUrl);
+    for (const [i, listPage] of listPages.entries()) {
+      const page = createPage(listPage.url, {
+        ariaCurrent: i === 0 ? ariaCurrent : null,
+        sectionLabel,
+        title: [title, i > 0 && t('pager.page', { number: listPage.number })].filter(Boolean).join(' - ')
+      });
+      const lazy = lazyLoad();
+      listPage.posts.forEach(post => page.addPost(lazy(post)));
+      applyPagination(page, listPages, i);
+      add(listPage.url, page);
+    }
+  };
+
+  // Index
+  addList(posts, `${base}/`, { ariaCurrent: `${base}/` });
+
+  // Permalinks
+  for (const [i, post] of posts.entries()) {
+    const page = createPage(post.url, {
+      title: post.title,
+      description: post.description,
+      type: 'article',
+      Page: ArticlePageClass
+    });
+    page.setArticle({ ...lazyLoad()(post), author: post.author || site.author });
+    page.setAdjacent({ previous: posts[i + 1], next: posts[i - 1] });
+    add(post.url, page, post.translationKey ? `post:${post.translationKey}` : undefined);
+  }
+
+  // Category and tag archives
+  for (const category of categories) {
+    addList(category.posts, category.url, {
+      ariaCurrent: category.url,
+      sectionLabel: t('posts.inCategory', { name: category.text }),
+      title: category.text
+    });
+  }
+  for (const tag of tags) {
+    addList(tag.posts, tag.url, {
+      sectionLabel: t('posts.tagged', { name: tag.text }),
+      title: `#${tag.text}`
+    });
+  }
+
+  // Feeds
+  if (site.url) {
+    const feedSite = {
+      title: site.title,
+      description: site.description || site.subtitle,
+      url: absUrl(`${base}/`, site.url),
+      lang: site.lang,
+      author: site.author,
+      timeZone: site.timeZone
+    };
+    // Feed URLs resolve against the language's own site URL; content is
+    // sanitized like the pages' (a feed reader is no safer a place for it)
+    const { sanitize: rules = true } = site;
+    const clean = content => rules === false ? content : sanitize(content, rules === true ? {} : rules);
+    const feedPosts = posts.slice(0, site.feedSize ?? 20).map(post => ({ ...post, url: post.url.slice(base.length), content: clean(post.content) }));
+    const renderers = { rss: renderRss, atom: renderAtom, json: renderJsonFeed };
+
+    for (const [name, render] of Object.entries(renderers)) {
+      addFile(FEEDS[name].file, render(feedSite, feedPosts));
+    }
+  }
+
+  // Search page (every post, for visitors without JavaScript) and its index
+  if (site.search) {
+    const url = `${base}/search/`;
+    const page = createPage(url, { title: t('search.title'), Page: site.SearchPage || SearchPage });
+    const lazy = lazyLoad();
+    posts.forEach(post => page.addPost(lazy(post)));
+    add(url, page);
+
+    const index = buildSearchIndex(posts, { lang: site.lang, timeZone: site.timeZone, dateFormat: site.dateFormat });
+    addFile('search.json', JSON.stringify(index));
+  }
+
+  return { site, entries, files, posts, categories, tags };
+}
+
+/**
+ * Give every page <link rel="alternate" hreflang> to its translations
+ */
+function linkTranslations(sites, siteUrl) {
+  const translations = new Map();
+
+  for (const { site, entries } of sites) {
+    for (const { key, url } of entries) {
+      if (!translations.has(key)) translations.set(key, []);
+      translations.get(key).push({ lang: site.lang, url, isDefault: site.base === '' });
+    }
+  }
+
+  const href = url => siteUrl ? absUrl(url, siteUrl) : url;
+
+  for (const { entries } of sites) {
+    for (const { key, page } of entries) {
+      const versions = translations.get(key);
+      if (versions.length < 2) continue;
+
+      versions.forEach(({ lang, url }) => page.addHeadLink({ rel: 'alternate', hreflang: lang, href: href(url) }));
+      const fallback = versions.find(version => version.isDefault);
+      if (fallback) page.addHeadLink({ rel: 'alternate', hreflang: 'x-default', href: href(fallback.url) });
+    }
+  }
+}
+
+async function gatherPosts(config, root, images) {
+  const posts = [...(config.posts || [])];
+
+  if (config.content) {
+    posts.push(...await loadPosts(path.resolve(root, config.content), { drafts: config.drafts, timeZone: config.timeZone }));
+  }
+
+  // Newest first, whether a post came from the config or from Markdown
+  const dated = posts.map(post => {
+    try {
+      return { post, time: parseDate(post.datetime || post.date, { timeZone: config.timeZone }).instant };
+    } catch (error) {
+      throw new Error(`${post.source || `Post "${post.title}"`}: ${error.message}`);
+    }
+  });
+  posts.splice(0, posts.length, ...dated.sort((a, b) => b.time - a.time).map(({ post }) => post));
+
+  // Images in Markdown resolve next to the post's file
+  if (images) {
+    for (const [i, post] of posts.entries()) {
+      const from = post.source ? path.dirname(path.resolve(root, post.source)) : root;
+      posts[i] = { ...post, content: await images.rewrite(post.content, { from, owner: post.source || `Post "${post.title}"` }) };
+    }
+  }
+
+  // Post URLs are relative to the language's base
+  const withUrls = posts.map(post => ({
+    ...post,
+    url: `${config.base || ''}${post.url && post.url !== '#' ? post.url : `/posts/${slug(post.title)}/`}`
+  }));
+
+  // Two posts at one URL would silently overwrite each other's page
+  const owners = new Map();
+  for (const post of withUrls) {
+    const owner = post.source || `Post "${post.title}"`;
+    if (owners.has(post.url)) {
+      throw new Error(`${owner}: URL ${post.url} is already used by ${owners.get(post.url)} (set a distinct \`url\` in its front matter)`);
+    }
+    owners.set(post.url, owner);
+  }
+  return withUrls;
+}
+
+async function responsiveLogo(logo, images) {
+  if (logo.alt == null) {
+    throw new Error(`logo: "${logo.src}" has no alt text`);
+  }
+  return { ...logo, ...await images.image(logo.src, { owner: 'logo' }) };
+}
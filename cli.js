@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+
+/**
+ * aggressive - command line interface
+ *
+ * Usage:
+ *   aggressive build [--config aggressive.config.js] [--mode minify]
+ *   aggressive serve [--port 3000] [--host localhost]
+ *   aggressive lint [files or directories...] [--format json] [--layout blog]
+ *   aggressive grid [--check] [--dir .]
+ *   aggressive new pattern <name> [--spec dashboard.yaml] [--dir .] [--force] [--dry-run]
+ *   aggressive schema [--layout blog] [--out blog.schema.json]
+ *   aggressive render <page.json> [--out index.html] [--mode pretty]
+ */
+
+import { existsSync } from 'node:fs';
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { buildSite, loadConfig, CONFIG_FILES } from './build.js';
+import { formatProblems, lintFiles } from './lint.js';
+import { generateGrids } from './grid.js';
+import { getLayout } from './layouts.js';
+import { loadPattern, scaffoldPattern, starterPattern } from './pattern.js';
+import { jsonSchema } from './schema.js';
+import { serve } from './serve.js';
+
+const USAGE = `Usage: aggressive <command> [options]
+
+Commands:
+  build     Build the static site described by the config file
+  serve     Build, serve and rebuild on change, with live reload
+  lint      Check HTML files against the classless structure
+            (default: the config's output directory)
+  grid      Write the grid CSS of each layout from its page class
+  new pattern <name>
+            Scaffold a page type: <Name>Page.js, classless.<name>.css
+            and demo.<name>.html, from a pattern spec or a starter
+  schema    Print the JSON Schema of a layout's page descriptions
+  render <page.json>
+            Render a page description (see page.toJSON()) to HTML
+
+Options:
+  --config <file>   Config file (default: ${CONFIG_FILES.join(', ')})
+  --port <n>        Port for serve (default: 3000)
+  --host <name>     Host for serve (default: localhost)
+  --format json     Machine-readable lint output
+  --layout <name>   Lint against this layout's regions (default: detected
+                    from the page's classless.<layout>.css link);
+                    schema: the layout to describe (default: blog)
+  --check           grid: only report stylesheets that are out of date
+  --dir <path>      grid: directory of the classless.<layout>.css files
+                    (default: the aggressive package); new: where to
+                    write the files (default: .)
+  --spec <file>     new pattern: JSON or YAML pattern spec
+  --force           new pattern: overwrite existing files
+  --dry-run         new pattern: validate and list files, write nothing
+  --out <file>      schema, render: write to a file instead of stdout
+  --mode <mode>     build, render: write the HTML as it is (default),
+                    re-indented (pretty) or minified (minify)
+  --help            Show this message`;
+
+// Options that never take a value: the next argument is not theirs
+const FLAGS = new Set(['check', 'force', 'dry-run', 'help']);
+
+/**
+ * Parse `--option value`, `--option=value` and `--flag` style arguments
+ */
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+      continue;
+    }
+
+    const at = arg.indexOf('=');
+    const key = arg.slice(2, at === -1 ? undefined : at);
+    const inline = at === -1 ? undefined : arg.slice(at + 1);
+    const next = argv[i + 1];
+    if (FLAGS.has(key)) {
+      args[key] = inline === undefined || inline !== 'false';
+    } else if (inline !== undefined) {
+      args[key] = inline;
+    } else if (next !== undefined && !next.startsWith('--')) {
+      args[key] = argv[++i];
+    } else {
+      throw new Error(`--${key} needs a value`);
+    }
+  }
+  return args;
+}
+
+function findConfig(args) {
+  if (args.config) {
+    return args.config;
+  }
+  const found = CONFIG_FILES.find(file => existsSync(file));
+  if (!found) {
+    throw new Error(`No config file found (looked for ${CONFIG_FILES.join(', ')})`);
+  }
+  return found;
+}
+
+/**
+ * Write command output to --out, or print it
+ */
+async function output(args, content) {
+  if (args.out) {
+    await writeFile(args.out, content);
+    console.log(`✎ ${args.out}`);
+  } else {
+    process.stdout.write(content);
+  }
+}
+
+async function loadLayouts(args) {
+  // The config may register page types of its own
+  if (args.config || CONFIG_FILES.some(file => existsSync(file))) {
+    await loadConfig(findConfig(args));
+  }
+}
+
+const commands = {
+  async build(args) {
+    const started = Date.now();
+    const config = await loadConfig(findConfig(args));
+    if (args.mode) config.renderMode = args.mode;
+    const { outDir, pages, files, posts } = await buildSite(config);
+
+    console.log(`✓ Built ${pages.length} pages and ${files.length - pages.length} other files from ${posts.length} posts in ${Date.now() - started} ms`);
+    console.log(`📁 Output: ${path.relative(process.cwd(), outDir) || '.'}`);
+  },
+
+  async serve(args) {
+    const { url } = await serve(findConfig(args), {
+      port: Number(args.port ?? 3000),
+      host: args.host ?? 'localhost'
+    });
+
+    console.log(`👀 Serving ${url} - watching for changes (Ctrl+C to stop)`);
+  },
+
+  async lint(args) {
+    let targets = args._.slice(1);
+    if (targets.length === 0) {
+      const config = await loadConfig(findConfig(args));
+      targets = [path.resolve(config.root, config.output || 'dist')];
+    }
+
+    const { files, problems } = await lintFiles(targets, { layout: args.layout || null });
+    const errors = problems.filter(problem => problem.severity === 'error').length;
+
+    if (args.format === 'json') {
+      console.log(JSON.stringify({ files: files.length, errors, warnings: problems.length - errors, problems }, null, 2));
+    } else if (problems.length) {
+      console.log(formatProblems(problems));
+      console.log(`\n✗ ${errors} errors, ${problems.length - errors} warnings in ${files.length} files`);
+    } else {
+      console.log(`✓ ${files.length} files, no problems`);
+    }
+
+    if (errors) process.exitCode = 1;
+  },
+
+  async grid(args) {
+    await loadLayouts(args);
+
+    const results = await generateGrids({
+      dir: args.dir ? path.resolve(args.dir) : undefined,
+      check: Boolean(args.check)
+    });
+    const stale = results.filter(result => result.changed);
+
+    for (const { file, layout, changed } of results) {
+      const status = !changed ? '✓' : args.check ? '✗' : '✎';
+      console.log(`${status} ${layout}: ${path.relative(process.cwd(), file)}`);
+    }
+
+    if (args.check && stale.length) {
+      console.log(`\n✗ ${stale.length} stylesheets out of date - run aggressive grid`);
+      process.exitCode = 1;
+    }
+  },
+
+  async schema(args) {
+    await loadLayouts(args);
+    const PageClass = getLayout(args.layout || 'blog');
+    await output(args, JSON.stringify(jsonSchema(PageClass), null, 2) + '\n');
+  },
+
+  async render(args) {
+    const [, file] = args._;
+    if (!file) {
+      throw new Error('Usage: aggressive render <page.json> [--out index.html] [--mode pretty]');
+    }
+
+    await loadLayouts(args);
+    const json = JSON.parse(await readFile(file, 'utf8'));
+    const PageClass = getLayout(json.layout || 'blog');
+    const page = PageClass.fromJSON(json);
+    await output(args, page.render({ mode: args.mode || page.renderMode }) + '\n');
+  },
+
+  async new(args) {
+    const [, kind, name] = args._;
+    if (kind !== 'pattern') {
+      throw new Error(`Unknown "new" target "${kind ?? ''}" (available: pattern)`);
+    }
+
+    const pattern = args.spec ? await loadPattern(args.spec) : starterPattern(name);
+    if (name) pattern.name = name;
+    if (!pattern.name) {
+      throw new Error('Usage: aggressive new pattern <name> [--spec file]');
+    }
+
+    const dryRun = Boolean(args['dry-run']);
+    const { files, problems } = await scaffoldPattern(pattern, {
+      dir: args.dir || '.',
+      force: Boolean(args.force),
+      dryRun
+    });
+
+    files.forEach(file => console.log(`${dryRun ? '·' : '✎'} ${path.relative(process.cwd(), file)}`));
+    if (problems.length) {
+      console.log(formatProblems(problems));
+      process.exitCode = 1;
+    }
+    if (!dryRun) {
+      console.log(`\n✓ Register it from your config: registerLayout(${path.basename(files[0], '.js')})`);
+    }
+  }
+};
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    process.exit(1);
+  }
+  const [command] = args._;
+
+  if (!command || args.help || !commands[command]) {
+    console.log(USAGE);
+    process.exit(command && !commands[command] ? 1 : 0);
+  }
+
+  try {
+    await commands[command](args);
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
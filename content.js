@@ -0,0 +1,147 @@
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { Marked } from 'marked';
+import YAML from 'yaml';
+import { parseDate } from './dates.js';
+import { esc, slug } from './lib.js';
+
+/**
+ * content.js - Markdown content source for BlogPage
+ *
+ * Reads a directory of `.md` files with YAML front matter and turns each
+ * one into the exact post object BlogPage.addPost() expects. Writers edit
+ * Markdown; the HTML is generated.
+ *
+ * Usage:
+ *   const page = new BlogPage({ title: 'My Blog' });
+ *   await loadContent(page, './posts');
+ *   const html = page.render();
+ *
+ * Front matter:
+ *   ---
+ *   title: The Death of Class Soup
+ *   date: November 8, 2025
+ *   datetime: 2025-11-08
+ *   updated: 2025-11-12
+ *   author: Jane Doe
+ *   url: /posts/death-of-class-soup/
+ *   readMoreText: Continue reading →
+ *   description: Why Bootstrap's class poison had to go
+ *   translationKey: class-soup
+ *   categories: [Philosophy, CSS]
+ *   tags: [bootstrap, history]
+ *   draft: false
+ *   ---
+ */
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+// Markdown renderer that only emits semantic, class-free HTML
+const markdown = new Marked({
+  gfm: true,
+  renderer: {
+    code({ text, escaped }) {
+      const code = escaped ? text : esc(text);
+      return `<pre><code>${code.replace(/\n$/, '')}</code></pre>\n`;
+    }
+  }
+});
+
+/**
+ * Split a source file into its front matter data and Markdown body
+ */
+export function parseFrontMatter(source) {
+  const match = source.match(FRONT_MATTER);
+  if (!match) {
+    return { data: {}, body: source };
+  }
+
+  const data = YAML.parse(match[1]) ?? {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Front matter must be a YAML mapping');
+  }
+
+  return { data, body: source.slice(match[0].length) };
+}
+
+/**
+ * Render Markdown to the HTML styled by classless.base.css
+ */
+export function renderMarkdown(source) {
+  return markdown.parse(source).trim();
+}
+
+/**
+ * Turn one Markdown source into a post object for BlogPage.addPost()
+ */
+export function parsePost(source, file = 'post.md') {
+  let data, body;
+  try {
+    ({ data, body } = parseFrontMatter(source));
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+  const name = path.basename(file, path.extname(file));
+
+  if (!data.title) {
+    throw new Error(`${file}: front matter is missing "title"`);
+  }
+  if (!data.date) {
+    throw new Error(`${file}: front matter is missing "date"`);
+  }
+
+  for (const key of ['date', 'datetime', 'updated']) {
+    if (data[key] == null) continue;
+    try {
+      parseDate(String(data[key]));
+    } catch (error) {
+      throw new Error(`${file}: front matter "${key}": ${error.message}`);
+    }
+  }
+
+  const list = value => value == null ? [] : [].concat(value).map(String);
+
+  return {
+    title: String(data.title),
+    date: String(data.date),
+    datetime: data.datetime == null ? undefined : String(data.datetime),
+    updated: data.updated == null ? undefined : String(data.updated),
+    author: data.author ?? undefined,
+    url: data.url || `/posts/${slug(name)}/`,
+    readMoreText: data.readMoreText,
+    description: data.description == null ? undefined : String(data.description),
+    translationKey: data.translationKey == null ? undefined : String(data.translationKey),
+    categories: list(data.categories),
+    tags: list(data.tags),
+    draft: data.draft === true,
+    content: renderMarkdown(body),
+    source: file
+  };
+}
+
+/**
+ * Load every `.md` file in a directory, newest first
+ */
+export async function loadPosts(dir, { drafts = false, timeZone = 'UTC' } = {}) {
+  const files = (await readdir(dir)).filter(file => file.endsWith('.md')).sort();
+
+  const posts = await Promise.all(files.map(async file => {
+    const source = await readFile(path.join(dir, file), 'utf8');
+    return parsePost(source, path.join(dir, file));
+  }));
+
+  return posts
+    .filter(post => drafts || !post.draft)
+    .map(post => ({ post, time: parseDate(post.datetime || post.date, { timeZone }).instant }))
+    .sort((a, b) => b.time - a.time)
+    .map(({ post }) => post);
+}
+
+/**
+ * Load a directory of Markdown posts straight into a page
+ */
+export async function loadContent(page, dir, options) {
+  const posts = await loadPosts(dir, { timeZone: page.timeZone, ...options });
+  posts.forEach(post => page.addPost(post));
+  return posts;
+}
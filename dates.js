@@ -0,0 +1,157 @@
+import { rfc3339 } from './lib.js';
+
+/**
+ * dates.js - Parsing and display of post dates
+ *
+ * Posts give dates in whatever form their author wrote them: '2025-11-08',
+ * 'November 8, 2025', '2025-11-08T09:30' or '2025-11-08T09:30:00+02:00'.
+ * parseDate() turns each into an instant plus the ISO 8601 string a
+ * <time datetime> attribute needs:
+ *
+ *   - a date without a time stays a calendar date ('2025-11-08') and is
+ *     displayed as such, never shifted a day by the build machine's zone
+ *   - a time without an offset is wall-clock time in the site's time zone
+ *   - a time with an offset (or Z) is an exact instant
+ *
+ * Usage:
+ *   parseDate('November 8, 2025');                    // => { iso: '2025-11-08', dateOnly: true, instant }
+ *   parseDate('2025-11-08 09:30', { timeZone: 'Europe/Paris' }).iso; // => '2025-11-08T08:30:00Z'
+ *   formatDate('2025-11-08T09:30Z', { locale: 'fr', timeZone: 'Europe/Paris', preset: 'datetime' });
+ */
+
+// Display presets, by name; any Intl.DateTimeFormat options work too
+export const DATE_PRESETS = {
+  date: { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' },
+  datetime: { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit' },
+  short: { year: 'numeric', month: 'short', day: 'numeric' }
+};
+
+const TIME_FIELDS = ['hour', 'minute', 'second', 'dayPeriod', 'timeStyle', 'hourCycle', 'hour12', 'fractionalSecondDigits', 'timeZoneName'];
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ISO_DATETIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+const HAS_TIME = /\d:\d{2}/;
+const HAS_ZONE = /(?:\bZ|\b(?:GMT|UTC)|[+-]\d{2}:?\d{2})\s*$/i;
+
+/**
+ * Throw unless `timeZone` is an IANA zone Intl knows ('UTC', 'Europe/Paris')
+ */
+export function checkTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone });
+  } catch {
+    throw new Error(`Unknown time zone "${timeZone}" (use an IANA name like "UTC" or "America/New_York")`);
+  }
+  return timeZone;
+}
+
+// Milliseconds `timeZone` is ahead of UTC at `instant`
+function zoneOffset(instant, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(instant).map(({ type, value }) => [type, Number(value)]));
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(instant / 1000) * 1000;
+}
+
+// The instant a wall-clock time in `timeZone` refers to
+function zonedInstant([year, month, day, hour = 0, minute = 0, second = 0, ms = 0], timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+  const guess = wallClock - zoneOffset(wallClock, timeZone);
+  // Second pass settles times near a daylight saving change
+  return wallClock - zoneOffset(guess, timeZone);
+}
+
+function calendarDate(year, month, day) {
+  const instant = Date.UTC(year, month - 1, day);
+  const check = new Date(instant);
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return null;
+  }
+  return { instant: check, dateOnly: true, iso: check.toISOString().slice(0, 10) };
+}
+
+const exact = instant => ({ instant: new Date(instant), dateOnly: false, iso: rfc3339(new Date(instant)) });
+
+/**
+ * Parse a post date. Throws an Error naming the value when it is not a date.
+ */
+export function parseDate(value, { timeZone = 'UTC' } = {}) {
+  const invalid = () => new Error(`"${value}" is not a valid date (use ISO 8601, e.g. 2025-11-08 or 2025-11-08T09:30:00Z)`);
+
+  if (value instanceof Date || typeof value === 'number') {
+    const instant = new Date(value).getTime();
+    if (Number.isNaN(instant)) throw invalid();
+    return exact(instant);
+  }
+
+  const text = String(value ?? '').trim();
+  if (!text) throw invalid();
+
+  let match = text.match(ISO_DATE);
+  if (match) {
+    const parsed = calendarDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    if (!parsed) throw invalid();
+    return parsed;
+  }
+
+  match = text.match(ISO_DATETIME);
+  if (match) {
+    const [year, month, day, hour, minute] = match.slice(1, 6).map(Number);
+    const second = Number(match[6] || 0);
+    const ms = Number((match[7] || '').padEnd(3, '0'));
+    if (!calendarDate(year, month, day) || hour > 23 || minute > 59 || second > 59) throw invalid();
+
+    const fields = [year, month, day, hour, minute, second, ms];
+    if (!match[8]) {
+      return exact(zonedInstant(fields, timeZone));
+    }
+
+    const [, sign, hours, minutes] = match[8].toUpperCase() === 'Z' ? [, '+', '0', '0'] : match[8].match(/([+-])(\d{2}):?(\d{2})/);
+    const offset = (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes)) * 60000;
+    return exact(Date.UTC(year, month - 1, day, hour, minute, second, ms) - offset);
+  }
+
+  // Free text ('November 8, 2025'): the JavaScript parser reads it as local time
+  const local = new Date(text);
+  if (Number.isNaN(local.getTime())) throw invalid();
+
+  if (HAS_ZONE.test(text)) {
+    return exact(local.getTime());
+  }
+  if (!HAS_TIME.test(text)) {
+    return calendarDate(local.getFullYear(), local.getMonth() + 1, local.getDate());
+  }
+  return exact(zonedInstant([
+    local.getFullYear(), local.getMonth() + 1, local.getDate(),
+    local.getHours(), local.getMinutes(), local.getSeconds(), local.getMilliseconds()
+  ], timeZone));
+}
+
+/**
+ * Display a date in `locale`. Dates without a time never show one, whatever
+ * the preset; times are shown in `timeZone`.
+ */
+export function formatDate(value, { locale = 'en', timeZone = 'UTC', preset = 'datetime' } = {}) {
+  const { instant, dateOnly } = parseDate(value, { timeZone });
+  const options = typeof preset === 'string' ? DATE_PRESETS[preset] : preset;
+
+  if (!options) {
+    throw new Error(`Unknown date format "${preset}" (available: ${Object.keys(DATE_PRESETS).join(', ')})`);
+  }
+
+  if (dateOnly) {
+    const dateOptions = Object.fromEntries(Object.entries(options).filter(([key]) => !TIME_FIELDS.includes(key)));
+    return new Intl.DateTimeFormat(locale, { ...dateOptions, timeZone: 'UTC' }).format(instant);
+  }
+
+  return new Intl.DateTimeFormat(locale, { ...options, timeZone }).format(instant);
+}
@@ -5,7 +5,7 @@
  * through beautiful, semantic JavaScript - never touching HTML directly.
  */
 
-const BlogPage = require('./BlogPage');
+import BlogPage from './BlogPage.js';
 
 // Create a blog page with semantic intention
 const page = new BlogPage({
@@ -23,18 +23,18 @@ page.setLogo({
 
 // Add navigation - semantic links, not divs and classes
 page.setNavLinks([
-  { text: 'Home', href: '/', ariaCurrent: 'page' },
-  { text: 'Articles', href: '/articles' },
-  { text: 'About', href: '/about' },
-  { text: 'Contact', href: '/contact' }
+  { text: 'Home', url: '/', ariaCurrent: 'page' },
+  { text: 'Articles', url: '/articles' },
+  { text: 'About', url: '/about' },
+  { text: 'Contact', url: '/contact' }
 ]);
 
 // Add sidebar categories - semantic organization
 page.setCategories([
-  { text: 'Design', href: '/category/design' },
-  { text: 'Code', href: '/category/code' },
-  { text: 'Tools', href: '/category/tools' },
-  { text: 'Philosophy', href: '/category/philosophy' }
+  { text: 'Design', url: '/category/design' },
+  { text: 'Code', url: '/category/code' },
+  { text: 'Tools', url: '/category/tools' },
+  { text: 'Philosophy', url: '/category/philosophy' }
 ]);
 
 // Add blog posts - the semantic heart of the page
@@ -44,7 +44,7 @@ page.addPost({
   datetime: '2025-11-01',
   content: `<p>For too long, we've been drowning in class soup. Bootstrap gave us components, but at what cost? Every element became a div with six classes, and readability vanished.</p>
 <p>The classless movement brings us back to semantic HTML, where a &lt;header&gt; is just a header, and an &lt;article&gt; is just an article. No .card .card-body .card-title needed.</p>`,
-  readMoreHref: '/posts/why-classless-css-matters',
+  url: '/posts/why-classless-css-matters',
   readMoreText: 'Read full article →'
 });
 
@@ -54,7 +54,7 @@ page.addPost({
   datetime: '2025-10-28',
   content: `<p>CSS Grid is powerful enough that we don't need utility classes anymore. With semantic HTML and intelligent grid-template-areas, we can create complex layouts that are actually readable.</p>
 <p>The key is embracing constraints. Instead of infinite flexibility (which leads to chaos), we create well-defined patterns that work beautifully within their domain.</p>`,
-  readMoreHref: '/posts/building-grid-without-utilities'
+  url: '/posts/building-grid-without-utilities'
 });
 
 page.addPost({
@@ -63,7 +63,7 @@ page.addPost({
   datetime: '2025-10-15',
   content: `<p>Imagine describing your layout needs to an AI: "Create a pricing page with three tiers" - and receiving classless.pricing.css, perfectly tailored and human-readable.</p>
 <p>This isn't science fiction. The patterns are formalizable. The structure is rigid. The AI just needs to understand the grammar of classless design.</p>`,
-  readMoreHref: '/posts/future-ai-prompted-css'
+  url: '/posts/future-ai-prompted-css'
 });
 
 // Set footer
@@ -115,14 +115,14 @@ const blogData = {
     caption: 'TI'
   },
   navigation: [
-    { text: 'Home', href: '/' },
-    { text: 'Archive', href: '/archive' },
-    { text: 'Subscribe', href: '/subscribe' }
+    { text: 'Home', url: '/' },
+    { text: 'Archive', url: '/archive' },
+    { text: 'Subscribe', url: '/subscribe' }
   ],
   categories: [
-    { text: 'Frontend', href: '/frontend' },
-    { text: 'Backend', href: '/backend' },
-    { text: 'DevOps', href: '/devops' }
+    { text: 'Frontend', url: '/frontend' },
+    { text: 'Backend', url: '/backend' },
+    { text: 'DevOps', url: '/devops' }
   ],
   footer: '© 2025 Tech Insights. All rights reserved.'
 };
@@ -133,10 +133,28 @@ const postsData = [
     date: 'Nov 8, 2025',
     datetime: '2025-11-08',
     content: '<p>This is a revolution in web development...</p>',
-    readMoreHref: '/post/1'
+    url: '/post/1'
   }
   // ... more posts
 ];
 
 // Generate the site
 // const generatedHtml = generateBlogFromData(blogData, postsData);
+
+/**
+ * The same page as one JSON description (see blog.schema.json) - no method
+ * chaining, so a CMS or another language can produce it
+ */
+
+const described = BlogPage.fromJSON({
+  layout: 'blog',
+  options: { title: blogData.title, subtitle: blogData.subtitle },
+  logo: blogData.logo,
+  navLinks: blogData.navigation,
+  categories: blogData.categories,
+  posts: postsData,
+  footer: blogData.footer
+});
+
+// JSON.stringify(described) gives the description back
+// const describedHtml = described.render();
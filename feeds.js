@@ -0,0 +1,159 @@
+import { parseDate } from './dates.js';
+import { absUrl, esc, rfc822, rfc3339 } from './lib.js';
+
+/**
+ * feeds.js - RSS 2.0, Atom and JSON Feed renderers
+ *
+ * Every renderer consumes the exact post objects given to BlogPage.addPost()
+ * (title, date, datetime, url, content, categories, tags) plus site metadata:
+ *
+ *   const site = {
+ *     title: 'My Blog',
+ *     description: 'Thoughts on web design',
+ *     url: 'https://example.com/',     // absolute, required
+ *     lang: 'en',
+ *     author: 'Jane Doe',
+ *     timeZone: 'UTC'                  // of post dates written without an offset
+ *   };
+ *   fs.writeFileSync('feed.xml', renderRss(site, posts));
+ *
+ * Site-relative URLs (post urls, href/src in content) become absolute.
+ */
+
+export const FEEDS = {
+  rss: { file: 'feed.xml', type: 'application/rss+xml', title: 'RSS' },
+  atom: { file: 'atom.xml', type: 'application/atom+xml', title: 'Atom' },
+  json: { file: 'feed.json', type: 'application/feed+json', title: 'JSON Feed' }
+};
+
+const postDate = post => post.datetime || post.date;
+
+// The instant a post date refers to, read in the site's time zone
+const instant = (site, date) => parseDate(date, { timeZone: site.timeZone }).instant;
+
+/**
+ * Make root-relative href/src/srcset attributes in post content absolute
+ * (protocol-relative '//cdn...' URLs and data-src & co. stay as they are)
+ */
+export function absolutize(content, base) {
+  return String(content ?? '')
+    .replace(/(\s)(href|src)="(\/(?!\/)[^"]*)"/g, (match, space, name, url) => `${space}${name}="${absUrl(url, base)}"`)
+    .replace(/(\s)srcset="([^"]*)"/g, (match, space, set) => `${space}srcset="${set.replace(/(^|,\s*)(\/(?!\/)[^\s,]+)/g, (m, sep, url) => sep + absUrl(url, base))}"`);
+}
+
+function checkSite(site) {
+  if (!site || !site.url) {
+    throw new Error('Feeds need an absolute site url (e.g. url: "https://example.com/")');
+  }
+  return site;
+}
+
+// Join nested lines, dropping empty parts. Content is never re-indented,
+// so whitespace inside <pre> survives the trip through the feed.
+const lines = (...parts) => parts.flat(Infinity).filter(part => part != null && part !== '').join('\n');
+
+const terms = post => [...(post.categories || []), ...(post.tags || [])];
+
+/**
+ * RSS 2.0 (feed.xml)
+ */
+export function renderRss(site, posts) {
+  checkSite(site);
+
+  const items = posts.map(post => {
+    const url = esc(absUrl(post.url, site.url));
+    return lines(
+      `<item>`,
+      `<title>${esc(post.title)}</title>`,
+      `<link>${url}</link>`,
+      `<guid isPermaLink="true">${url}</guid>`,
+      `<pubDate>${rfc822(instant(site, postDate(post)))}</pubDate>`,
+      terms(post).map(name => `<category>${esc(name)}</category>`),
+      `<description>${esc(absolutize(post.content, site.url))}</description>`,
+      `</item>`
+    );
+  });
+
+  const updated = posts.length ? rfc822(instant(site, postDate(posts[0]))) : rfc822(Date.now());
+
+  return lines(
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">`,
+    `<channel>`,
+    `<title>${esc(site.title)}</title>`,
+    `<link>${esc(absUrl('/', site.url))}</link>`,
+    `<description>${esc(site.description || site.title)}</description>`,
+    `<language>${esc(site.lang || 'en')}</language>`,
+    `<lastBuildDate>${updated}</lastBuildDate>`,
+    `<atom:link href="${esc(absUrl(FEEDS.rss.file, site.url))}" rel="self" type="${FEEDS.rss.type}"/>`,
+    items,
+    `</channel>`,
+    `</rss>`
+  ) + '\n';
+}
+
+/**
+ * Atom 1.0 (atom.xml)
+ */
+export function renderAtom(site, posts) {
+  checkSite(site);
+
+  const entries = posts.map(post => {
+    const url = esc(absUrl(post.url, site.url));
+    return lines(
+      `<entry>`,
+      `<title>${esc(post.title)}</title>`,
+      `<link rel="alternate" type="text/html" href="${url}"/>`,
+      `<id>${url}</id>`,
+      `<published>${rfc3339(instant(site, postDate(post)))}</published>`,
+      `<updated>${rfc3339(instant(site, post.updated || postDate(post)))}</updated>`,
+      terms(post).map(name => `<category term="${esc(name)}"/>`),
+      `<content type="html">${esc(absolutize(post.content, site.url))}</content>`,
+      `</entry>`
+    );
+  });
+
+  const updated = posts.length ? rfc3339(instant(site, posts[0].updated || postDate(posts[0]))) : rfc3339(Date.now());
+
+  return lines(
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${esc(site.lang || 'en')}">`,
+    `<title>${esc(site.title)}</title>`,
+    site.description ? `<subtitle>${esc(site.description)}</subtitle>` : '',
+    `<link rel="alternate" type="text/html" href="${esc(absUrl('/', site.url))}"/>`,
+    `<link rel="self" type="${FEEDS.atom.type}" href="${esc(absUrl(FEEDS.atom.file, site.url))}"/>`,
+    `<id>${esc(absUrl('/', site.url))}</id>`,
+    `<updated>${updated}</updated>`,
+    site.author ? `<author><name>${esc(site.author)}</name></author>` : '',
+    entries,
+    `</feed>`
+  ) + '\n';
+}
+
+/**
+ * JSON Feed 1.1 (feed.json)
+ */
+export function renderJsonFeed(site, posts) {
+  checkSite(site);
+
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: site.title,
+    home_page_url: absUrl('/', site.url),
+    feed_url: absUrl(FEEDS.json.file, site.url),
+    description: site.description || undefined,
+    language: site.lang || 'en',
+    authors: site.author ? [{ name: site.author }] : undefined,
+    items: posts.map(post => ({
+      id: absUrl(post.url, site.url),
+      url: absUrl(post.url, site.url),
+      title: post.title,
+      content_html: absolutize(post.content, site.url),
+      date_published: rfc3339(instant(site, postDate(post))),
+      date_modified: post.updated ? rfc3339(instant(site, post.updated)) : undefined,
+      tags: terms(post)
+    }))
+  };
+
+  return JSON.stringify(feed, null, 2) + '\n';
+}
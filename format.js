@@ -0,0 +1,211 @@
+import { Parser } from 'htmlparser2';
+import { minifyCss } from './assets.js';
+
+/**
+ * format.js - Render modes: the document as html`` writes it, pretty or minified
+ *
+ * html`` dedents each template, but a partial is indented where it is
+ * written, not where it ends up, so nesting leaves the document unevenly
+ * indented. The two other modes re-serialize the finished document:
+ *
+ *   - pretty: one block element per line, two spaces per level; text and
+ *     inline elements stay together on their block's line
+ *   - minify: no comments, no whitespace between blocks, runs of spaces in
+ *     text down to one (the one between two inline elements stays) and
+ *     inline CSS minified
+ *
+ * Both copy tags exactly as written and never touch the inside of <pre>,
+ * <textarea> or <script>.
+ *
+ * Usage:
+ *   formatHtml(page.render(), 'minify');
+ *   page.render({ mode: 'pretty' });   // the same, through the page
+ */
+
+export const RENDER_MODES = ['default', 'pretty', 'minify'];
+
+// Phrasing content: flows inside a line of text instead of starting a line
+const INLINE = new Set([
+  'a', 'abbr', 'audio', 'b', 'bdi', 'bdo', 'br', 'button', 'canvas', 'cite', 'code', 'data', 'del', 'dfn',
+  'em', 'embed', 'i', 'iframe', 'img', 'input', 'ins', 'kbd', 'label', 'mark', 'math', 'meter', 'object',
+  'output', 'picture', 'progress', 'q', 'ruby', 'rp', 'rt', 's', 'samp', 'select', 'slot', 'small', 'source',
+  'span', 'strong', 'sub', 'sup', 'svg', 'textarea', 'time', 'u', 'var', 'video', 'wbr'
+]);
+
+// Elements whose content is copied as it is
+const VERBATIM = new Set(['pre', 'textarea', 'script', 'style']);
+
+const VOID = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+const INDENT = '  ';
+
+// The document as a tree of { name, open, close, children } elements and
+// { text } / { raw } leaves (raw: comments, the doctype, verbatim elements)
+function parse(markup) {
+  const source = String(markup);
+  const root = { name: null, children: [] };
+  const stack = [root];
+  let verbatim = null;
+
+  const top = () => stack[stack.length - 1];
+  const slice = parser => source.slice(parser.startIndex, parser.endIndex + 1);
+
+  const parser = new Parser({
+    onprocessinginstruction() {
+      top().children.push({ raw: slice(parser) });
+    },
+    oncomment() {
+      if (!verbatim) top().children.push({ raw: slice(parser), comment: true });
+    },
+    onopentag(name) {
+      if (verbatim) {
+        verbatim.depth += name === verbatim.name;
+        return;
+      }
+      if (VERBATIM.has(name)) {
+        verbatim = { name, start: parser.startIndex, depth: 1 };
+        return;
+      }
+      const element = { name, open: slice(parser), close: '', children: [] };
+      top().children.push(element);
+      if (!VOID.has(name)) stack.push(element);
+    },
+    ontext(text) {
+      if (!verbatim) top().children.push({ text });
+    },
+    onclosetag(name, isImplied) {
+      if (verbatim) {
+        if (name === verbatim.name && --verbatim.depth === 0) {
+          top().children.push({ name, raw: source.slice(verbatim.start, parser.endIndex + 1) });
+          verbatim = null;
+        }
+        return;
+      }
+      if (VOID.has(name)) return;
+
+      const element = top();
+      if (element.name === name) {
+        element.close = isImplied ? '' : slice(parser);
+        stack.pop();
+      }
+    }
+  }, { decodeEntities: false, recognizeSelfClosing: true });
+
+  parser.write(source);
+  parser.end();
+  return root.children;
+}
+
+const isInline = node => 'text' in node || (node.name ? INLINE.has(node.name) : node.comment === true);
+
+// Join text and inline elements, spaces collapsed (never inside verbatim ones)
+function inline(nodes, { comments = true } = {}) {
+  let out = '';
+  const append = piece => {
+    out += out.endsWith(' ') && piece.startsWith(' ') ? piece.slice(1) : piece;
+  };
+
+  for (const node of nodes) {
+    if ('text' in node) {
+      append(node.text.replace(/\s+/g, ' '));
+    } else if ('raw' in node) {
+      if (comments || !node.comment) append(node.raw);
+    } else {
+      append(node.open);
+      append(inline(node.children, { comments }));
+      append(node.close);
+    }
+  }
+  return out;
+}
+
+// Consecutive inline nodes, and block nodes one by one
+function groups(nodes) {
+  const result = [];
+  for (const node of nodes) {
+    const last = result[result.length - 1];
+    if (isInline(node) && Array.isArray(last)) last.push(node);
+    else result.push(isInline(node) ? [node] : node);
+  }
+  return result;
+}
+
+const isSpace = node => 'text' in node && !node.text.trim();
+
+// Inline elements separated only by spaces (form controls, icons) may
+// each take a line: a line break shows as the same one space
+function split(group) {
+  if (!group.some(isSpace) || group.some(node => 'text' in node && !isSpace(node))) {
+    return [group];
+  }
+  return group.filter(node => !isSpace(node)).map(node => [node]);
+}
+
+function prettyNodes(nodes, depth, lines) {
+  const indent = INDENT.repeat(depth);
+
+  for (const group of groups(nodes)) {
+    if (Array.isArray(group)) {
+      for (const part of split(group)) {
+        const text = inline(part).trim();
+        if (text) lines.push(indent + text);
+      }
+    } else if ('raw' in group) {
+      // Verbatim: only the first line moves - and the closing tag of a
+      // script or style, whose leading spaces are not content
+      const markup = group.name === 'script' || group.name === 'style'
+        ? group.raw.replace(/\n[ \t]*(<\/[^>]+>)$/, `\n${indent}$1`)
+        : group.raw;
+      lines.push(indent + markup);
+    } else if (group.children.every(isInline) && split(group.children).length === 1) {
+      lines.push(indent + group.open + inline(group.children).trim() + group.close);
+    } else {
+      lines.push(indent + group.open);
+      prettyNodes(group.children, depth + 1, lines);
+      if (group.close) lines.push(indent + group.close);
+    }
+  }
+  return lines;
+}
+
+function minifyNodes(nodes) {
+  return groups(nodes).map(group => {
+    if (Array.isArray(group)) {
+      // Spaces next to a block (or the edge of one) do not show
+      return inline(group, { comments: false }).trim();
+    }
+    if ('raw' in group) {
+      if (group.name === 'style') {
+        return group.raw.replace(/^(<style[^>]*>)([\s\S]*)(<\/style>)$/i, (match, open, css, close) => open + minifyCss(css) + close);
+      }
+      return group.raw;
+    }
+    return group.open + minifyNodes(group.children) + group.close;
+  }).join('');
+}
+
+/**
+ * Re-indent a document: one block element per line, two spaces per level
+ */
+export function prettyHtml(markup) {
+  return prettyNodes(parse(markup), 0, []).join('\n');
+}
+
+/**
+ * Minify a document without changing what it displays
+ */
+export function minifyHtml(markup) {
+  return minifyNodes(parse(markup));
+}
+
+/**
+ * Apply a render mode ('default' leaves the markup as it is)
+ */
+export function formatHtml(markup, mode = 'default') {
+  if (!RENDER_MODES.includes(mode)) {
+    throw new Error(`Unknown render mode "${mode}" (available: ${RENDER_MODES.join(', ')})`);
+  }
+  if (mode === 'pretty') return prettyHtml(markup);
+  if (mode === 'minify') return minifyHtml(markup);
+  return String(markup);
+}
@@ -0,0 +1,178 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { LAYOUTS } from './layouts.js';
+
+/**
+ * grid.js - CSS grid generator
+ *
+ * Writes the grid-template-areas, grid-area placement, toggle states and
+ * responsive variants of a layout from its page class, so the regions
+ * renderBody() emits and the grid that places them cannot drift apart.
+ *
+ * A page class describes its grid next to its regions:
+ *
+ *   static grid = {
+ *     columns: '15rem 1fr 1fr',
+ *     // One row per entry: a single area spans every column,
+ *     // otherwise one area per column ('aside main main')
+ *     areas: ['header', 'nav', 'main', 'footer'],
+ *     // Rows while a nav-form toggle is checked (body:has(#id:checked))
+ *     states: { 'aside-menu': ['header', 'nav', 'aside main main', 'footer'] },
+ *     // Responsive variants, widest first
+ *     breakpoints: [{ maxWidth: '48rem', columns: '1fr', areas: [...] }]
+ *   };
+ *
+ * Without `grid`, a layout is one column with the regions in render order.
+ *
+ * The generated CSS lives in classless.<layout>.css, between an
+ * `@generated grid` comment and an `@end generated grid` comment.
+ *
+ * Usage:
+ *   gridCss(BlogPage);                        // => CSS text
+ *   await generateGrids({ check: true });     // => [{ file, layout, changed }]
+ */
+
+const PACKAGE_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const START_MARKER = /\/\* @generated grid\b[^*]*\*\/\n/;
+const END_MARKER = '/* @end generated grid */';
+
+/**
+ * The layout's grid, filled in with defaults and checked against its regions
+ */
+export function gridSpec(PageClass) {
+  const regionAreas = PageClass.regions.map(region => region.area);
+  const grid = PageClass.grid || {};
+
+  const spec = {
+    columns: grid.columns || '1fr',
+    areas: grid.areas || regionAreas,
+    states: grid.states || {},
+    breakpoints: grid.breakpoints || []
+  };
+
+  const check = (rows, columns, where) => {
+    const count = columns.trim().split(/\s+/).length;
+    for (const row of rows) {
+      const cells = row.trim().split(/\s+/);
+      if (cells.length !== 1 && cells.length !== count) {
+        throw new Error(`${PageClass.name}.grid ${where}: row "${row}" has ${cells.length} cells for ${count} columns (${columns})`);
+      }
+      const unknown = cells.find(cell => !regionAreas.includes(cell));
+      if (unknown) {
+        throw new Error(`${PageClass.name}.grid ${where}: "${unknown}" is not a region (regions: ${regionAreas.join(', ')})`);
+      }
+    }
+  };
+
+  check(spec.areas, spec.columns, 'areas');
+  Object.entries(spec.states).forEach(([id, rows]) => check(rows, spec.columns, `state #${id}`));
+  spec.breakpoints.forEach(breakpoint => {
+    check(breakpoint.areas, breakpoint.columns, `breakpoint ${breakpoint.maxWidth}`);
+    Object.entries(breakpoint.states || {}).forEach(([id, rows]) => check(rows, breakpoint.columns, `breakpoint ${breakpoint.maxWidth} state #${id}`));
+  });
+
+  return spec;
+}
+
+// "aside main main" rows, every cell padded so the columns line up
+function templateAreas(rows, columns, indent) {
+  const count = columns.trim().split(/\s+/).length;
+  const grid = rows.map(row => {
+    const cells = row.trim().split(/\s+/);
+    return cells.length === 1 ? Array(count).fill(cells[0]) : cells;
+  });
+  const width = Math.max(...grid.flat().map(cell => cell.length));
+  const lines = grid.map(cells => `${indent}  "${cells.map(cell => cell.padEnd(width)).join(' ').trimEnd()}"`);
+  return `${indent}grid-template-areas:\n${lines.join('\n')};`;
+}
+
+function rule(selectors, declarations, indent = '') {
+  return `${indent}${selectors.join(`,\n${indent}`)} {\n${declarations.join('\n')}\n${indent}}`;
+}
+
+const stateSelector = id => `body:has(#${id}:checked)`;
+
+/**
+ * CSS for a layout's grid: template, placement, toggle states, breakpoints
+ */
+export function gridCss(PageClass) {
+  const spec = gridSpec(PageClass);
+  const stateIds = Object.keys(spec.states);
+  const blocks = [];
+
+  blocks.push(rule(['body'], [
+    templateAreas(spec.areas, spec.columns, '  '),
+    `  grid-template-columns: ${spec.columns};`
+  ]));
+
+  for (const [id, rows] of Object.entries(spec.states)) {
+    blocks.push(rule([stateSelector(id)], [templateAreas(rows, spec.columns, '  ')]));
+  }
+
+  blocks.push(PageClass.regions
+    .map(({ element, area }) => `body > ${element} {\n  grid-area: ${area};\n}`)
+    .join('\n\n'));
+
+  // A breakpoint replaces the toggle states too, unless it defines its own
+  for (const breakpoint of spec.breakpoints) {
+    const states = breakpoint.states || {};
+    const inner = [rule(['body', ...stateIds.filter(id => !(id in states)).map(stateSelector)], [
+      templateAreas(breakpoint.areas, breakpoint.columns, '    '),
+      `    grid-template-columns: ${breakpoint.columns};`
+    ], '  ')];
+
+    for (const [id, rows] of Object.entries(states)) {
+      inner.push(rule([stateSelector(id)], [templateAreas(rows, breakpoint.columns, '    ')], '  '));
+    }
+
+    blocks.push(`@media (max-width: ${breakpoint.maxWidth}) {\n${inner.join('\n\n')}\n}`);
+  }
+
+  return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * Replace the generated block of a stylesheet
+ */
+export function replaceGridBlock(stylesheet, css, name = 'stylesheet') {
+  const start = stylesheet.match(START_MARKER);
+  const end = stylesheet.indexOf(END_MARKER);
+
+  if (!start || end < start.index) {
+    throw new Error(`${name}: missing "/* @generated grid */ ... ${END_MARKER}" markers`);
+  }
+
+  const from = start.index + start[0].length;
+  return stylesheet.slice(0, from) + css + stylesheet.slice(end);
+}
+
+/**
+ * Regenerate (or with `check`, only compare) the grid of every registered layout
+ */
+export async function generateGrids({ dir = PACKAGE_DIR, check = false, layouts = [...LAYOUTS.values()] } = {}) {
+  const results = [];
+  const done = new Set();
+
+  for (const PageClass of layouts) {
+    // ArticlePage and SearchPage lay out BlogPage's stylesheet: its grid is written once
+    if (!PageClass.stylesheet || done.has(PageClass.stylesheet)) continue;
+    done.add(PageClass.stylesheet);
+
+    const file = path.join(dir, PageClass.stylesheet);
+    const source = await readFile(file, 'utf8').catch(() => null);
+    if (source === null) continue;
+
+    const updated = replaceGridBlock(source, gridCss(PageClass), file);
+    const changed = updated !== source;
+
+    if (changed && !check) {
+      await writeFile(file, updated);
+    }
+
+    results.push({ file, layout: PageClass.layout, changed });
+  }
+
+  return results;
+}
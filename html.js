@@ -1,13 +1,57 @@
+import { esc } from './lib.js';
+
 // Minimalist HTML tagged template `html`
+// - Escapes every interpolated value unless it is trusted markup: the result
+//   of another `html` template, or a value explicitly wrapped in `raw()`
+// - Arrays are rendered item by item (each escaped or trusted) and joined with newlines
 // - Trims leading/trailing blank lines
 // - Removes common indentation from all non-empty lines (dedent)
 // - Preserves intended indentation for multiline interpolations
 // - Trims trailing spaces on each line and collapses excessive blank lines
+// - Leaves the content of interpolated <pre> and <textarea> exactly as it is
+// - Returns a SafeHTML object (a String subclass), not a primitive string
 //
 // Inspired by Perl/PHP heredoc ideas (dedenting, removing a common margin)
 // while avoiding any heavy HTML parsing — purely line-based and safe for most templating uses.
 
+// Trusted markup. A String subclass, so it still concatenates, compares
+// by content with ==, and has .length and the usual string methods.
+export class SafeHTML extends String {}
+
+// Mark a value as trusted HTML that `html` must not escape. Only use this
+// for markup you produced or sanitized yourself.
+export const raw = (value) => value instanceof SafeHTML ? value : new SafeHTML(value == null ? '' : value);
+
+// Elements whose whitespace is content: never indented, dedented or trimmed
+const PREFORMATTED = /<(pre|textarea)\b[^>]*>[\s\S]*?<\/\1>/gi;
+const PLACEHOLDER = /\u0000(\d+)\u0000/g;
+
+// Render one interpolated value to a string: trusted markup as-is, everything else escaped
+function interpolate(value) {
+  if (value == null || value === false) return '';
+  if (value instanceof SafeHTML) return String(value);
+  if (Array.isArray(value)) return value.map(interpolate).filter((v) => v !== '').join('\n');
+  return esc(value);
+}
+
+// Indent every line after the first of a multi-line value the way `html`
+// does when it interpolates it after `indent` (pre/textarea content left
+// alone, blank lines left empty). Used to stream a document piece by piece.
+export function indentLines(markup, indent) {
+  const kept = [];
+  return String(markup)
+    .replace(PREFORMATTED, (block) => block.includes('\n') ? `\u0000${kept.push(block) - 1}\u0000` : block)
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n/g, '\n' + indent)
+    .replace(/[ \t]+$/gm, '')
+    .replace(PLACEHOLDER, (match, i) => kept[i]);
+}
+
 export default function html(strings, ...values) {
+  // Multi-line <pre>/<textarea> blocks wait out the line handling as placeholders
+  const kept = [];
+  const keep = (value) => value.replace(PREFORMATTED, (block) => block.includes('\n') ? `\u0000${kept.push(block) - 1}\u0000` : block);
+
   // Interleave strings and values, preserving/aligning indentation for multiline values.
   const parts = [];
   for (let i = 0; i < strings.length; i++) {
@@ -15,9 +59,7 @@ export default function html(strings, ...values) {
     parts.push(before);
 
     if (i < values.length) {
-      let v = values[i];
-      if (v == null) v = '';
-      else v = String(v);
+      let v = keep(interpolate(values[i]));
 
       // If the preceding literal ends with an indentation (last line), use it to indent multiline values.
       const lastLineMatch = before.match(/(^|[\r\n])([ \t]*)$/);
@@ -45,8 +87,8 @@ export default function html(strings, ...values) {
   // Remove trailing blank lines
   while (lines.length && lines[lines.length - 1].trim() === '') lines.pop();
 
-  // If nothing left, return empty string
-  if (!lines.length) return '';
+  // If nothing left, return empty markup
+  if (!lines.length) return new SafeHTML('');
 
   // Compute minimum indentation (in characters) among non-empty lines
   const indents = lines
@@ -61,9 +103,9 @@ export default function html(strings, ...values) {
   );
 
   // Collapse 3+ consecutive newlines into 2 newlines (avoid excessive vertical whitespace)
-  const result = dedented.join('\n').replace(/\n{3,}/g, '\n\n');
+  const result = dedented.join('\n').replace(/\n{3,}/g, '\n\n').replace(PLACEHOLDER, (match, i) => kept[i]);
 
-  return result;
+  return new SafeHTML(result);
 }
 
 // // Example usage:
@@ -82,3 +124,8 @@ export default function html(strings, ...values) {
   </p>
 </div>
 */
+
+// // Values are escaped unless trusted:
+// const name = '<script>alert(1)</script>';
+// console.log(String(html`<p>${name}</p>`));            // <p>&lt;script&gt;...</p>
+// console.log(String(html`<p>${raw('<b>bold</b>')}</p>`)); // <p><b>bold</b></p>
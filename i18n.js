@@ -0,0 +1,319 @@
+import { esc } from './lib.js';
+import { raw, SafeHTML } from './html.js';
+
+/**
+ * i18n.js - Message catalogs for the built-in UI strings
+ *
+ * Every string a page type writes on its own (headings, aria-labels, pager
+ * and "Read more" links) is looked up by key in the catalog of the page's
+ * `lang`: first the exact tag ('pt-BR'), then its language ('pt'), then
+ * English. Placeholders are written `{name}`.
+ *
+ * Usage:
+ *   const t = translator('fr');
+ *   t('posts.inCategory', { name: 'CSS' });     // => 'Articles dans CSS'
+ *   t.html('article.byline', { author: html`<a href="/me">Moi</a>`, date });
+ *
+ *   // Add a language, or change a few strings of one
+ *   registerMessages('nl', { 'posts.readMore': 'Lees verder →', ... });
+ *   new BlogPage({ title: 'My Blog', messages: { 'posts.label': 'Recent writing' } });
+ */
+
+export const MESSAGES = {
+  en: {
+    'nav.primary': 'Primary navigation',
+    'nav.pagination': 'Pagination',
+    'pager.newer': '← Newer',
+    'pager.older': 'Older →',
+    'pager.page': 'Page {number}',
+    'aside.label': 'Sidebar',
+    'aside.categories': 'Categories',
+    'posts.label': 'Latest posts',
+    'posts.empty': 'No posts yet.',
+    'posts.readMore': 'Read more →',
+    'posts.inCategory': 'Posts in {name}',
+    'posts.tagged': 'Posts tagged {name}',
+    'article.empty': 'No article.',
+    'article.byline': 'By {author} · {date}',
+    'article.updated': 'Updated {date}',
+    'article.toc': 'Table of contents',
+    'article.more': 'More posts',
+    'adjacent.previous': '← {title}',
+    'adjacent.next': '{title} →',
+    'footer.copyright': '&copy; {year} All rights reserved.',
+    'theme.auto': 'Automatic theme',
+    'theme.solarized-dark': 'Solarized dark theme',
+    'theme.solarized-light': 'Solarized light theme',
+    'theme.high-contrast': 'High contrast theme',
+    'pricing.plans': 'Plans',
+    'pricing.empty': 'No plans yet.',
+    'pricing.featured': 'Featured',
+    'pricing.cta': 'Get started',
+    'pricing.comparison': 'Feature comparison',
+    'pricing.feature': 'Feature',
+    'pricing.included': 'Included',
+    'pricing.notIncluded': 'Not included',
+    'pricing.testimonials': 'What customers say',
+    'pricing.faq': 'Frequently asked questions',
+    'docs.empty': 'No document.',
+    'docs.sections': 'Documentation',
+    'docs.updated': 'Last updated {date}',
+    'docs.edit': 'Edit this page',
+    'docs.more': 'More docs',
+    'search.label': 'Search posts',
+    'search.button': 'Search',
+    'search.title': 'Search',
+    'search.all': 'All posts',
+    'search.results': 'Results for “{query}”',
+    'search.found': 'Posts found: {count}',
+    'search.none': 'No posts match “{query}”.',
+    'search.error': 'Search is unavailable right now.'
+  },
+
+  de: {
+    'nav.primary': 'Hauptnavigation',
+    'nav.pagination': 'Seitennavigation',
+    'pager.newer': '← Neuer',
+    'pager.older': 'Älter →',
+    'pager.page': 'Seite {number}',
+    'aside.label': 'Seitenleiste',
+    'aside.categories': 'Kategorien',
+    'posts.label': 'Neueste Beiträge',
+    'posts.empty': 'Noch keine Beiträge.',
+    'posts.readMore': 'Weiterlesen →',
+    'posts.inCategory': 'Beiträge in {name}',
+    'posts.tagged': 'Beiträge mit dem Schlagwort {name}',
+    'article.empty': 'Kein Artikel.',
+    'article.byline': 'Von {author} · {date}',
+    'article.updated': 'Aktualisiert am {date}',
+    'article.toc': 'Inhaltsverzeichnis',
+    'article.more': 'Weitere Beiträge',
+    'adjacent.previous': '← {title}',
+    'adjacent.next': '{title} →',
+    'footer.copyright': '&copy; {year} Alle Rechte vorbehalten.',
+    'theme.auto': 'Automatisches Farbschema',
+    'theme.solarized-dark': 'Dunkles Solarized-Farbschema',
+    'theme.solarized-light': 'Helles Solarized-Farbschema',
+    'theme.high-contrast': 'Farbschema mit hohem Kontrast',
+    'pricing.plans': 'Tarife',
+    'pricing.empty': 'Noch keine Tarife.',
+    'pricing.featured': 'Empfohlen',
+    'pricing.cta': 'Jetzt starten',
+    'pricing.comparison': 'Funktionsvergleich',
+    'pricing.feature': 'Funktion',
+    'pricing.included': 'Enthalten',
+    'pricing.notIncluded': 'Nicht enthalten',
+    'pricing.testimonials': 'Das sagen unsere Kunden',
+    'pricing.faq': 'Häufig gestellte Fragen',
+    'docs.empty': 'Kein Dokument.',
+    'docs.sections': 'Dokumentation',
+    'docs.updated': 'Zuletzt aktualisiert am {date}',
+    'docs.edit': 'Diese Seite bearbeiten',
+    'docs.more': 'Weitere Dokumente',
+    'search.label': 'Beiträge durchsuchen',
+    'search.button': 'Suchen',
+    'search.title': 'Suche',
+    'search.all': 'Alle Beiträge',
+    'search.results': 'Ergebnisse für „{query}“',
+    'search.found': 'Gefundene Beiträge: {count}',
+    'search.none': 'Keine Beiträge passen zu „{query}“.',
+    'search.error': 'Die Suche ist gerade nicht verfügbar.'
+  },
+
+  es: {
+    'nav.primary': 'Navegación principal',
+    'nav.pagination': 'Paginación',
+    'pager.newer': '← Más recientes',
+    'pager.older': 'Más antiguas →',
+    'pager.page': 'Página {number}',
+    'aside.label': 'Barra lateral',
+    'aside.categories': 'Categorías',
+    'posts.label': 'Últimas entradas',
+    'posts.empty': 'Todavía no hay entradas.',
+    'posts.readMore': 'Seguir leyendo →',
+    'posts.inCategory': 'Entradas en {name}',
+    'posts.tagged': 'Entradas etiquetadas con {name}',
+    'article.empty': 'No hay ningún artículo.',
+    'article.byline': 'Por {author} · {date}',
+    'article.updated': 'Actualizado el {date}',
+    'article.toc': 'Índice',
+    'article.more': 'Más entradas',
+    'adjacent.previous': '← {title}',
+    'adjacent.next': '{title} →',
+    'footer.copyright': '&copy; {year} Todos los derechos reservados.',
+    'theme.auto': 'Tema automático',
+    'theme.solarized-dark': 'Tema Solarized oscuro',
+    'theme.solarized-light': 'Tema Solarized claro',
+    'theme.high-contrast': 'Tema de alto contraste',
+    'pricing.plans': 'Planes',
+    'pricing.empty': 'Todavía no hay planes.',
+    'pricing.featured': 'Destacado',
+    'pricing.cta': 'Empezar',
+    'pricing.comparison': 'Comparación de funciones',
+    'pricing.feature': 'Función',
+    'pricing.included': 'Incluido',
+    'pricing.notIncluded': 'No incluido',
+    'pricing.testimonials': 'Lo que dicen nuestros clientes',
+    'pricing.faq': 'Preguntas frecuentes',
+    'docs.empty': 'No hay ningún documento.',
+    'docs.sections': 'Documentación',
+    'docs.updated': 'Última actualización: {date}',
+    'docs.edit': 'Editar esta página',
+    'docs.more': 'Más documentos',
+    'search.label': 'Buscar artículos',
+    'search.button': 'Buscar',
+    'search.title': 'Búsqueda',
+    'search.all': 'Todos los artículos',
+    'search.results': 'Resultados para «{query}»',
+    'search.found': 'Artículos encontrados: {count}',
+    'search.none': 'Ningún artículo coincide con «{query}».',
+    'search.error': 'La búsqueda no está disponible en este momento.'
+  },
+
+  fr: {
+    'nav.primary': 'Navigation principale',
+    'nav.pagination': 'Pagination',
+    'pager.newer': '← Plus récents',
+    'pager.older': 'Plus anciens →',
+    'pager.page': 'Page {number}',
+    'aside.label': 'Barre latérale',
+    'aside.categories': 'Catégories',
+    'posts.label': 'Derniers articles',
+    'posts.empty': 'Aucun article pour le moment.',
+    'posts.readMore': 'Lire la suite →',
+    'posts.inCategory': 'Articles dans {name}',
+    'posts.tagged': 'Articles avec l’étiquette {name}',
+    'article.empty': 'Aucun article.',
+    'article.byline': 'Par {author} · {date}',
+    'article.updated': 'Mis à jour le {date}',
+    'article.toc': 'Table des matières',
+    'article.more': 'Autres articles',
+    'adjacent.previous': '← {title}',
+    'adjacent.next': '{title} →',
+    'footer.copyright': '&copy; {year} Tous droits réservés.',
+    'theme.auto': 'Thème automatique',
+    'theme.solarized-dark': 'Thème Solarized sombre',
+    'theme.solarized-light': 'Thème Solarized clair',
+    'theme.high-contrast': 'Thème à contraste élevé',
+    'pricing.plans': 'Formules',
+    'pricing.empty': 'Aucune formule pour le moment.',
+    'pricing.featured': 'Recommandée',
+    'pricing.cta': 'Commencer',
+    'pricing.comparison': 'Comparatif des fonctionnalités',
+    'pricing.feature': 'Fonctionnalité',
+    'pricing.included': 'Inclus',
+    'pricing.notIncluded': 'Non inclus',
+    'pricing.testimonials': 'Ce qu’en disent nos clients',
+    'pricing.faq': 'Questions fréquentes',
+    'docs.empty': 'Aucun document.',
+    'docs.sections': 'Documentation',
+    'docs.updated': 'Dernière mise à jour le {date}',
+    'docs.edit': 'Modifier cette page',
+    'docs.more': 'Autres documents',
+    'search.label': 'Rechercher dans les articles',
+    'search.button': 'Rechercher',
+    'search.title': 'Recherche',
+    'search.all': 'Tous les articles',
+    'search.results': 'Résultats pour « {query} »',
+    'search.found': 'Articles trouvés : {count}',
+    'search.none': 'Aucun article ne correspond à « {query} ».',
+    'search.error': 'La recherche est indisponible pour le moment.'
+  },
+
+  ar: {
+    'nav.primary': 'التنقل الرئيسي',
+    'nav.pagination': 'ترقيم الصفحات',
+    'pager.newer': '→ الأحدث',
+    'pager.older': 'الأقدم ←',
+    'pager.page': 'الصفحة {number}',
+    'aside.label': 'الشريط الجانبي',
+    'aside.categories': 'التصنيفات',
+    'posts.label': 'أحدث المقالات',
+    'posts.empty': 'لا توجد مقالات بعد.',
+    'posts.readMore': 'اقرأ المزيد ←',
+    'posts.inCategory': 'مقالات في {name}',
+    'posts.tagged': 'مقالات موسومة بـ {name}',
+    'article.empty': 'لا يوجد مقال.',
+    'article.byline': 'بقلم {author} · {date}',
+    'article.updated': 'تم التحديث في {date}',
+    'article.toc': 'جدول المحتويات',
+    'article.more': 'مزيد من المقالات',
+    'adjacent.previous': '→ {title}',
+    'adjacent.next': '{title} ←',
+    'footer.copyright': '&copy; {year} جميع الحقوق محفوظة.',
+    'theme.auto': 'سمة تلقائية',
+    'theme.solarized-dark': 'سمة Solarized داكنة',
+    'theme.solarized-light': 'سمة Solarized فاتحة',
+    'theme.high-contrast': 'سمة عالية التباين',
+    'pricing.plans': 'الخطط',
+    'pricing.empty': 'لا توجد خطط بعد.',
+    'pricing.featured': 'مميزة',
+    'pricing.cta': 'ابدأ الآن',
+    'pricing.comparison': 'مقارنة الميزات',
+    'pricing.feature': 'الميزة',
+    'pricing.included': 'متضمنة',
+    'pricing.notIncluded': 'غير متضمنة',
+    'pricing.testimonials': 'ماذا يقول عملاؤنا',
+    'pricing.faq': 'الأسئلة الشائعة',
+    'docs.empty': 'لا يوجد مستند.',
+    'docs.sections': 'التوثيق',
+    'docs.updated': 'آخر تحديث: {date}',
+    'docs.edit': 'تعديل هذه الصفحة',
+    'docs.more': 'مزيد من المستندات',
+    'search.label': 'ابحث في المقالات',
+    'search.button': 'بحث',
+    'search.title': 'البحث',
+    'search.all': 'كل المقالات',
+    'search.results': 'نتائج «{query}»',
+    'search.found': 'المقالات التي وُجدت: {count}',
+    'search.none': 'لا توجد مقالات تطابق «{query}».',
+    'search.error': 'البحث غير متاح حاليًا.'
+  }
+};
+
+// Scripts written right to left (ISO 639 language subtags)
+const RTL_LANGUAGES = new Set(['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ku', 'ps', 'sd', 'syr', 'ug', 'ur', 'yi']);
+
+/**
+ * 'rtl' or 'ltr' for a language tag ('ar', 'he-IL', 'en')
+ */
+export function textDirection(lang = 'en') {
+  const [language, ...subtags] = String(lang).toLowerCase().split(/[-_]/);
+  if (subtags.includes('arab') || subtags.includes('hebr')) return 'rtl';
+  if (subtags.includes('latn') || subtags.includes('cyrl')) return 'ltr';
+  return RTL_LANGUAGES.has(language) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Add (or change) the strings of a language
+ */
+export function registerMessages(lang, messages) {
+  MESSAGES[lang] = { ...MESSAGES[lang], ...messages };
+  return MESSAGES[lang];
+}
+
+/**
+ * Look up function for one language, with optional per-site overrides.
+ * `t(key, params)` returns text (escaped later by `html`); `t.html()`
+ * returns trusted markup, escaping the message and every param that is
+ * not itself trusted markup.
+ */
+export function translator(lang = 'en', overrides = {}) {
+  const language = String(lang).split(/[-_]/)[0];
+  const catalogs = [overrides, MESSAGES[lang], MESSAGES[language], MESSAGES.en].filter(Boolean);
+
+  const lookup = key => {
+    const catalog = catalogs.find(messages => key in messages);
+    return catalog ? catalog[key] : key;
+  };
+
+  const t = (key, params = {}) => lookup(key).replace(/\{(\w+)\}/g, (match, name) => name in params ? String(params[name]) : match);
+
+  t.html = (key, params = {}) => raw(lookup(key).split(/(\{\w+\})/).map(part => {
+    const name = part.match(/^\{(\w+)\}$/)?.[1];
+    if (!name || !(name in params)) return esc(part);
+    return params[name] instanceof SafeHTML ? String(params[name]) : esc(params[name]);
+  }).join(''));
+
+  return t;
+}
@@ -0,0 +1,270 @@
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { Parser } from 'htmlparser2';
+import html, { raw } from './html.js';
+import { attrs } from './lib.js';
+
+/**
+ * images.js - Responsive images for the logo and post content
+ *
+ * Every local image (a root-relative or relative src) is read once and
+ * written out again, content-hashed, under /images/:
+ *
+ *   - at each of `widths` no larger than the original, in its own format
+ *     and in every one of `formats` (AVIF, WebP) - as <picture> sources
+ *     with srcset/sizes and an <img> fallback
+ *   - with width/height attributes, so the browser reserves the space
+ *     before the file arrives (no layout shift)
+ *   - SVG and GIF (vectors, animations) are copied as they are, with
+ *     their width/height
+ *
+ * Images of a page after its first `eager` get loading="lazy" - counted
+ * over the whole page, so a list of posts loads only its first images
+ * straight away. An <img> without alt text stops the build (alt="" marks a
+ * decorative image). Remote images are left where they are, but get the
+ * same checks. Resizing and encoding need the optional `sharp` package.
+ *
+ * Usage:
+ *   const images = createImageProcessor({ dir: 'static', widths: [480, 960] });
+ *   const content = await images.rewrite(post.content, { from: 'posts', owner: 'posts/hello.md' });
+ *   const lazy = images.lazyLoader();                                  // one per page
+ *   page.addPost({ ...post, content: lazy(content) });
+ *   const logo = await images.image('/logo.png', { owner: 'logo' });   // => { src, width, height, srcset, sources }
+ *   images.files;                                                      // => [{ file: 'images/logo-1a2b3c4d-480.webp', content }]
+ */
+
+export const IMAGE_DEFAULTS = {
+  // Where root-relative srcs ('/photos/cat.jpg') are looked up, from the site root
+  dir: '.',
+  // URL prefix (and output directory) of the generated files
+  url: '/images/',
+  widths: [480, 960, 1440],
+  formats: ['avif', 'webp'],
+  sizes: '(min-width: 48rem) 48rem, 100vw',
+  // Images of a page loaded straight away; the rest wait until scrolled near
+  eager: 1
+};
+
+const TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  svg: 'image/svg+xml'
+};
+
+// Formats copied as they are instead of resized
+const AS_IS = new Set(['svg', 'gif']);
+
+// Attributes of an <img> the pipeline writes itself
+const GENERATED = new Set(['src', 'srcset', 'sizes', 'width', 'height']);
+
+const isRemote = src => /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(src);
+
+// Encoded files by source hash and variant, shared by the rebuilds of `aggressive serve`
+const cache = new Map();
+
+async function loadSharp() {
+  try {
+    return (await import('sharp')).default;
+  } catch {
+    throw new Error('Responsive images need the "sharp" package (npm install sharp)');
+  }
+}
+
+/**
+ * <picture> (or a plain <img> when there are no `sources`) for an image as
+ * returned by image(); other keys are written as <img> attributes
+ */
+export function renderPicture({ src, alt, width, height, srcset, sizes, sources = [], ...rest }) {
+  const img = html`<img${raw(attrs({ src, alt: alt ?? '', width, height, srcset, sizes: srcset ? sizes : null, ...rest }))}>`;
+  if (!sources.length) {
+    return img;
+  }
+
+  const tags = sources.map(source => html`<source${raw(attrs({ type: source.type, srcset: source.srcset, sizes }))}>`);
+  return html`
+    <picture>
+      ${tags}
+      ${img}
+    </picture>`;
+}
+
+// Every <img> of an HTML fragment: where it starts and ends, and its attributes
+function findImages(source) {
+  const found = [];
+  let pictures = 0;
+
+  const parser = new Parser({
+    onopentag(name, attributes) {
+      if (name === 'picture') pictures++;
+      if (name === 'img') found.push({ start: parser.startIndex, end: parser.endIndex + 1, attributes, inPicture: pictures > 0 });
+    },
+    onclosetag(name) {
+      if (name === 'picture') pictures--;
+    }
+  });
+  parser.write(source);
+  parser.end();
+
+  return found;
+}
+
+/**
+ * The image step of a build. `root` is the site root; the options are
+ * IMAGE_DEFAULTS' keys.
+ */
+export function createImageProcessor({ root = process.cwd(), ...options } = {}) {
+  const config = { ...IMAGE_DEFAULTS, ...options };
+  const base = config.url.replace(/\/?$/, '/');
+  const files = new Map();
+  const images = new Map();
+
+  const output = (name, content) => {
+    files.set(name, content);
+    return `${base}${name}`;
+  };
+
+  async function variant(key, encode) {
+    if (!cache.has(key)) cache.set(key, await encode());
+    return cache.get(key);
+  }
+
+  async function load(file, owner, src) {
+    const source = await readFile(file).catch(() => {
+      throw new Error(`${owner}: image "${src}" not found (looked for ${file})`);
+    });
+    const hash = createHash('sha256').update(source).digest('hex').slice(0, 8);
+    const name = path.basename(file, path.extname(file)).replace(/[^\w-]+/g, '-');
+
+    const sharp = await loadSharp();
+    const meta = await sharp(source).metadata().catch(error => {
+      throw new Error(`${owner}: image "${src}" cannot be read (${error.message})`);
+    });
+    // sharp calls AVIF files 'heif'
+    const format = meta.format === 'heif' && meta.compression === 'av1' ? 'avif' : meta.format;
+
+    if (AS_IS.has(format) || !TYPES[format]) {
+      const url = output(`${name}-${hash}${path.extname(file).toLowerCase()}`, source);
+      return { src: url, width: meta.width, height: meta.pageHeight || meta.height, sources: [] };
+    }
+
+    // Sideways photos: width and height as displayed, not as stored
+    const [width, height] = (meta.orientation || 1) >= 5 ? [meta.height, meta.width] : [meta.width, meta.height];
+    const widths = [...new Set([...config.widths.filter(w => w < width), Math.min(width, Math.max(...config.widths))])];
+
+    const encodeAll = async target => {
+      const list = [];
+      for (const w of widths) {
+        const content = await variant(`${hash}:${w}:${target}`, () => sharp(source).rotate().resize({ width: w }).toFormat(target).toBuffer());
+        list.push(`${output(`${name}-${hash}-${w}.${target === 'jpeg' ? 'jpg' : target}`, content)} ${w}w`);
+      }
+      return list.join(', ');
+    };
+
+    const sources = [];
+    for (const target of config.formats.filter(target => target !== format)) {
+      sources.push({ type: TYPES[target], srcset: await encodeAll(target) });
+    }
+    const srcset = await encodeAll(format);
+    const largest = widths[widths.length - 1];
+
+    return {
+      src: srcset.split(', ').pop().split(' ')[0],
+      width: largest,
+      height: Math.round(height * largest / width),
+      srcset,
+      sources
+    };
+  }
+
+  /**
+   * The responsive version of one local image: { src, width, height,
+   * srcset, sizes, sources }, or null for a remote one. `from` is the
+   * directory relative srcs are read from; `owner` names the post (or
+   * logo) in errors.
+   */
+  async function image(src, { from = root, owner = 'image' } = {}) {
+    if (isRemote(src)) {
+      return null;
+    }
+
+    const pathname = decodeURI(src.split(/[?#]/)[0]);
+    const file = pathname.startsWith('/')
+      ? path.join(path.resolve(root, config.dir), pathname)
+      : path.resolve(from, pathname);
+
+    if (!images.has(file)) images.set(file, load(file, owner, src));
+    return { ...await images.get(file), sizes: config.sizes };
+  }
+
+  /**
+   * Replace every local <img> of an HTML fragment with its <picture>, and
+   * check the alt text of every image
+   */
+  async function rewrite(markup, { from = root, owner = 'content' } = {}) {
+    const source = String(markup ?? '');
+    const found = findImages(source);
+
+    let result = '';
+    let last = 0;
+    for (const { start, end, attributes, inPicture } of found) {
+      const { src = '', alt } = attributes;
+      if (alt == null) {
+        throw new Error(`${owner}: <img src="${src}"> has no alt text (describe the image, or use alt="" if it is decorative)`);
+      }
+
+      let replacement;
+      if (inPicture || attributes.srcset || !src || isRemote(src)) {
+        // Markup the author already made responsive, or an image elsewhere
+        replacement = source.slice(start, end);
+      } else {
+        const extra = Object.fromEntries(Object.entries(attributes).filter(([key]) => !GENERATED.has(key)));
+        const picture = await image(src, { from, owner });
+        replacement = renderPicture({ ...picture, sizes: attributes.sizes || picture.sizes, ...extra });
+      }
+
+      result += source.slice(last, start) + replacement;
+      last = end;
+    }
+
+    return found.length ? raw(result + source.slice(last)) : markup;
+  }
+
+  /**
+   * The loading attribute of one page's images: every fragment passed to
+   * the returned function (in page order) counts towards the page's first
+   * `eager` images, and those after them without a loading of their own
+   * get loading="lazy"
+   */
+  function lazyLoader() {
+    let seen = 0;
+
+    return markup => {
+      const source = String(markup ?? '');
+      const found = findImages(source);
+
+      let result = '';
+      let last = 0;
+      for (const { start, end, attributes } of found) {
+        const lazy = seen++ >= config.eager && !attributes.loading;
+        result += source.slice(last, start) + (lazy ? html`<img${raw(attrs({ ...attributes, loading: 'lazy' }))}>` : source.slice(start, end));
+        last = end;
+      }
+
+      return found.length ? raw(result + source.slice(last)) : markup;
+    };
+  }
+
+  return {
+    image,
+    rewrite,
+    lazyLoader,
+    // Every file written so far: [{ file: 'images/...', content }]
+    get files() {
+      return [...files].map(([name, content]) => ({ file: `${base.replace(/^\/+/, '')}${name}`, content }));
+    }
+  };
+}
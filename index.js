@@ -1,3 +1,26 @@
+import Page, { THEMES } from './Page.js';
 import BlogPage from './BlogPage.js';
+import PricingPage from './PricingPage.js';
+import DocsPage from './DocsPage.js';
+import { getLayout, LAYOUTS, registerLayout } from './layouts.js';
+import ArticlePage from './ArticlePage.js';
+import SearchPage from './SearchPage.js';
+import html, { raw, SafeHTML } from './html.js';
+import { sanitize, SANITIZE_DEFAULTS } from './sanitize.js';
+import { loadContent, loadPosts, parsePost, renderMarkdown } from './content.js';
+import { buildSite, loadConfig } from './build.js';
+import { collectTerms } from './taxonomy.js';
+import { renderAtom, renderJsonFeed, renderRss } from './feeds.js';
+import { lintFiles, lintHtml } from './lint.js';
+import { serve } from './serve.js';
+import { gridCss, generateGrids } from './grid.js';
+import { MESSAGES, registerMessages, textDirection, translator } from './i18n.js';
+import { DATE_PRESETS, formatDate, parseDate } from './dates.js';
+import { jsonSchema } from './schema.js';
+import { buildSearchIndex } from './search.js';
+import { createImageProcessor, IMAGE_DEFAULTS, renderPicture } from './images.js';
+import { ASSET_DEFAULTS, buildAssets, criticalCss, minifyCss } from './assets.js';
+import { formatHtml, minifyHtml, prettyHtml, RENDER_MODES } from './format.js';
+import { loadPattern, validatePattern, scaffoldPattern } from './pattern.js';
 
-export   { BlogPage };
+export   { Page, BlogPage, PricingPage, DocsPage, THEMES, LAYOUTS, registerLayout, getLayout, ArticlePage, SearchPage, html, raw, SafeHTML, sanitize, SANITIZE_DEFAULTS, loadContent, loadPosts, parsePost, renderMarkdown, buildSite, loadConfig, collectTerms, renderRss, renderAtom, renderJsonFeed, lintHtml, lintFiles, serve, gridCss, generateGrids, loadPattern, validatePattern, scaffoldPattern, MESSAGES, registerMessages, textDirection, translator, DATE_PRESETS, formatDate, parseDate, jsonSchema, buildSearchIndex, createImageProcessor, IMAGE_DEFAULTS, renderPicture, ASSET_DEFAULTS, buildAssets, criticalCss, minifyCss, RENDER_MODES, formatHtml, prettyHtml, minifyHtml };
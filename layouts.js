@@ -0,0 +1,55 @@
+import ArticlePage from './ArticlePage.js';
+import BlogPage from './BlogPage.js';
+import DocsPage from './DocsPage.js';
+import Page from './Page.js';
+import PricingPage from './PricingPage.js';
+import SearchPage from './SearchPage.js';
+
+/**
+ * layouts.js - Registry of page types
+ *
+ * Maps a layout name to its Page subclass, so tools that only see HTML
+ * (the linter) or only a name (configs, scaffolders) can find the regions
+ * and stylesheet of a layout.
+ *
+ * Usage:
+ *   registerLayout(DashboardPage);          // static layout = 'dashboard'
+ *   getLayout('pricing');                   // => PricingPage
+ *   layoutForStylesheet('../classless.docs.css'); // => DocsPage
+ */
+
+export const LAYOUTS = new Map();
+
+/**
+ * Register a Page subclass under its static `layout` name
+ */
+export function registerLayout(PageClass) {
+  if (!(PageClass.prototype instanceof Page) && PageClass !== Page) {
+    throw new Error(`${PageClass.name} must extend Page to be registered as a layout`);
+  }
+  LAYOUTS.set(PageClass.layout, PageClass);
+  return PageClass;
+}
+
+/**
+ * Page subclass for a layout name
+ */
+export function getLayout(name) {
+  const PageClass = LAYOUTS.get(name);
+  if (!PageClass) {
+    throw new Error(`Unknown layout "${name}" (available: ${[...LAYOUTS.keys()].join(', ')})`);
+  }
+  return PageClass;
+}
+
+/**
+ * Page subclass whose stylesheet a <link href> points at, if any
+ */
+export function layoutForStylesheet(href) {
+  // classless.blog.1a2b3c4d.css is classless.blog.css, bundled or content-hashed
+  const file = String(href).split(/[?#]/)[0].split('/').pop().replace(/\.[0-9a-f]{8}(?=\.css$)/, '');
+  // Layouts sharing a stylesheet (blog, article, search) share its regions: the first one stands for all
+  return [...LAYOUTS.values()].find(PageClass => PageClass.stylesheet === file) || null;
+}
+
+[BlogPage, ArticlePage, SearchPage, PricingPage, DocsPage].forEach(registerLayout);
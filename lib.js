@@ -1,3 +1,13 @@
+import { DATE_PRESETS, formatDate } from './dates.js';
+
 export const esc = (str) => str==null?'':String(str) .replace(/&/g, '&amp;') .replace(/</g, '&lt;') .replace(/>/g, '&gt;') .replace(/"/g, '&quot;') .replace(/'/g, '&#039;');
 export const ms = (ms) => TIME_UNITS.reduce((str, [name, n]) => { const val = Math.floor(ms / n); ms %= n; return val ? `${str}${str ? ', ' : ''}${val} ${name}${val > 1 ? 's' : ''}` : str; }, '') || `${ms} ms`;
-export const fdate = (date, locale = 'en-US', options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true }) => new Intl.DateTimeFormat(locale, options).format(new Date(date));
+/** @deprecated Use formatDate() from dates.js; fdate will be removed in the next release */
+export const fdate = (date, locale = 'en-US', options = DATE_PRESETS.datetime) => formatDate(date, { locale, timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone, preset: options });
+// Accents come off Latin letters only ('Café' -> 'cafe'); elsewhere a mark is part of the letter ('й' is not 'и')
+export const slug = (str) => String(str).normalize('NFKD').replace(/(\p{Script=Latin})[\u0300-\u036f]+/gu, '$1').normalize('NFC').toLowerCase().replace(/[^\p{L}\p{N}\p{M}]+/gu, '-').replace(/^-+|-+$/g, '');
+// Root-relative URLs stay under the base's path ('/a' on https://x.com/blog is https://x.com/blog/a); '//host/a' keeps its host
+export const absUrl = (url, base) => new URL(String(url).replace(/^\/(?!\/)/, ''), String(base).replace(/\/?$/, '/')).href;
+export const rfc822 = (date) => new Date(date).toUTCString();
+export const rfc3339 = (date) => new Date(date).toISOString().replace(/\.000Z$/, 'Z');
+export const attrs = (obj) => Object.entries(obj).filter(([, v]) => v != null && v !== false).map(([k, v]) => v === true ? ` ${k}` : ` ${k}="${esc(v)}"`).join('');
@@ -0,0 +1,238 @@
+import { readdir, readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { parseDocument } from 'htmlparser2';
+import BlogPage from './BlogPage.js';
+import { getLayout, layoutForStylesheet } from './layouts.js';
+
+/**
+ * lint.js - Classless validator
+ *
+ * Parses generated or hand-written HTML and reports everything that breaks
+ * the rigid classless structure:
+ *
+ *   no-class        class attributes (the whole point is zero classes)
+ *   no-div          <div> wrappers
+ *   body-children   <body> children that are not one of the layout's
+ *                   regions, a region used twice, or a child a region
+ *                   does not list in its `children`
+ *   img-alt         <img> without an alt attribute
+ *   heading-order   skipped heading levels (h2 followed by h4)
+ *   landmarks       missing/nested/duplicate <main>, unlabeled duplicate
+ *                   <nav>/<aside> landmarks
+ *
+ * The layout (its regions) comes from the classless.<layout>.css the page
+ * links to, falling back to the blog layout; pass `layout` (a layout name
+ * or a Page subclass) to force one.
+ *
+ * Usage:
+ *   const problems = lintHtml(source, { file: 'index.html' });
+ *   // => [{ file, line, column, severity, rule, message }]
+ */
+
+// Allowed in <body> without taking a grid area
+const BODY_EXTRAS = new Set(['script', 'template', 'noscript']);
+
+const LANDMARK_CONTAINERS = new Set(['article', 'aside', 'footer', 'header', 'nav']);
+
+export const RULES = ['no-class', 'no-div', 'body-children', 'img-alt', 'heading-order', 'landmarks'];
+
+const isTag = node => node.type === 'tag' || node.type === 'script' || node.type === 'style';
+
+function walk(node, visit, ancestors = []) {
+  for (const child of node.children || []) {
+    if (!isTag(child)) continue;
+    visit(child, ancestors);
+    walk(child, visit, [...ancestors, child]);
+  }
+}
+
+function findTag(node, name) {
+  let found = null;
+  walk(node, child => {
+    if (!found && child.name === name) found = child;
+  });
+  return found;
+}
+
+/**
+ * Line and column (1-based) of every offset in the source
+ */
+function locator(source) {
+  const starts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') starts.push(i + 1);
+  }
+  return offset => {
+    let line = starts.length - 1;
+    while (starts[line] > offset) line--;
+    return { line: line + 1, column: offset - starts[line] + 1 };
+  };
+}
+
+/**
+ * Page class whose regions the document must follow
+ */
+function detectLayout(document, layout) {
+  if (layout) {
+    return typeof layout === 'string' ? getLayout(layout) : layout;
+  }
+
+  let found = null;
+  walk(document, node => {
+    if (!found && node.name === 'link' && /\bstylesheet\b/.test(node.attribs.rel || '')) {
+      found = layoutForStylesheet(node.attribs.href || '');
+    }
+  });
+  return found || BlogPage;
+}
+
+const label = node => node.attribs['aria-label'] || node.attribs['aria-labelledby'] || '';
+
+/**
+ * Lint one HTML document or fragment
+ */
+export function lintHtml(source, { file = '<input>', rules = RULES, layout = null } = {}) {
+  const document = parseDocument(String(source), { withStartIndices: true });
+  const locate = locator(String(source));
+  const enabled = new Set(rules);
+  const problems = [];
+
+  const report = (node, rule, message, severity = 'error') => {
+    if (!enabled.has(rule)) return;
+    problems.push({ file, ...locate(node.startIndex ?? 0), severity, rule, message });
+  };
+
+  // Element-level rules
+  let previousHeading = 0;
+  const mains = [];
+  const landmarks = { nav: [], aside: [] };
+
+  walk(document, (node, ancestors) => {
+    if ('class' in node.attribs) {
+      report(node, 'no-class', `<${node.name}> has class="${node.attribs.class}"; style it by its semantic position instead`);
+    }
+
+    if (node.name === 'div') {
+      report(node, 'no-div', '<div> wrapper; use a semantic element or no wrapper at all');
+    }
+
+    if (node.name === 'img' && !('alt' in node.attribs)) {
+      report(node, 'img-alt', `<img src="${node.attribs.src || ''}"> has no alt text (use alt="" for decorative images)`);
+    }
+
+    const heading = node.name.match(/^h([1-6])$/);
+    if (heading) {
+      const level = Number(heading[1]);
+      if (previousHeading && level > previousHeading + 1) {
+        report(node, 'heading-order', `<h${level}> follows <h${previousHeading}>; heading levels should not be skipped`, 'warning');
+      }
+      previousHeading = level;
+    }
+
+    if (node.name === 'main') {
+      mains.push(node);
+      const container = ancestors.find(ancestor => LANDMARK_CONTAINERS.has(ancestor.name));
+      if (container) {
+        report(node, 'landmarks', `<main> must not be inside <${container.name}>`);
+      }
+    }
+
+    if (node.name in landmarks) {
+      landmarks[node.name].push(node);
+    }
+  });
+
+  // Direct children of a region that declares the elements it may hold
+  const checkChildren = (node, region) => {
+    if (!region?.children) return;
+    for (const child of node.children.filter(isTag)) {
+      if (BODY_EXTRAS.has(child.name)) continue;
+      if (!region.children.includes(`${child.name}#${child.attribs.id}`) && !region.children.includes(child.name)) {
+        report(child, 'body-children', `<${child.name}${child.attribs.id ? `#${child.attribs.id}` : ''}> is not allowed in <${node.name}> (allowed: ${region.children.join(', ')})`);
+      }
+    }
+  };
+
+  // Document-level rules
+  const body = findTag(document, 'body');
+
+  if (body) {
+    const PageClass = detectLayout(document, layout);
+    const gridAreas = PageClass.gridAreas();
+    const areas = new Map();
+
+    for (const child of body.children.filter(isTag)) {
+      const withId = `${child.name}#${child.attribs.id}`;
+      const area = gridAreas[withId in gridAreas ? withId : child.name];
+
+      if (BODY_EXTRAS.has(child.name)) continue;
+
+      if (!area) {
+        report(child, 'body-children', `<${child.name}> is not a region of the ${PageClass.layout} layout (allowed: ${Object.keys(gridAreas).join(', ')})`);
+      } else if (areas.has(area)) {
+        report(child, 'body-children', `second <${child.name}> in <body>; the "${area}" grid area is already taken`);
+      } else {
+        areas.set(area, child);
+        checkChildren(child, PageClass.regions.find(region => region.area === area));
+      }
+    }
+
+    if (mains.length === 0) {
+      report(body, 'landmarks', 'document has no <main> landmark');
+    }
+  }
+
+  mains.slice(1).forEach(node => report(node, 'landmarks', 'more than one <main> landmark'));
+
+  for (const [tag, nodes] of Object.entries(landmarks)) {
+    if (nodes.length < 2) continue;
+    const seen = new Set();
+    for (const node of nodes) {
+      const name = label(node);
+      if (!name) {
+        report(node, 'landmarks', `<${tag}> needs an aria-label when there is more than one on the page`, 'warning');
+      } else if (seen.has(name)) {
+        report(node, 'landmarks', `<${tag}> aria-label "${name}" is not unique`, 'warning');
+      }
+      seen.add(name);
+    }
+  }
+
+  return problems.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Lint files and directories (recursively, *.html only)
+ */
+export async function lintFiles(paths, options = {}) {
+  const files = [];
+
+  const collect = async target => {
+    if ((await stat(target)).isDirectory()) {
+      for (const entry of (await readdir(target)).sort()) {
+        const child = path.join(target, entry);
+        if (entry.endsWith('.html') || (await stat(child)).isDirectory()) await collect(child);
+      }
+    } else {
+      files.push(target);
+    }
+  };
+
+  for (const target of paths) await collect(target);
+
+  const results = [];
+  for (const file of files) {
+    results.push(...lintHtml(await readFile(file, 'utf8'), { ...options, file }));
+  }
+
+  return { files, problems: results };
+}
+
+/**
+ * Human-readable report, one problem per line
+ */
+export function formatProblems(problems) {
+  return problems
+    .map(p => `${p.file}:${p.line}:${p.column}  ${p.severity.padEnd(7)}  ${p.message}  (${p.rule})`)
+    .join('\n');
+}
@@ -0,0 +1,496 @@
+import { existsSync } from 'node:fs';
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import YAML from 'yaml';
+import { gridCss, gridSpec } from './grid.js';
+import { esc } from './lib.js';
+import { raw } from './html.js';
+import { LAYOUTS } from './layouts.js';
+import { lintHtml } from './lint.js';
+import Page from './Page.js';
+
+/**
+ * pattern.js - Pattern specs and the page-type scaffolder
+ *
+ * A pattern is the "Pattern Definition" of the AI prompting guide as data
+ * (JSON or YAML): the regions of a layout, the elements allowed inside
+ * them, its grid, design tokens and control-layer methods.
+ *
+ *   name: dashboard
+ *   description: Application interface with metrics and data views
+ *   regions:
+ *     - { area: header, element: header }
+ *     - { area: nav, element: nav, description: Sidebar navigation }
+ *     - area: main
+ *       element: main
+ *       children:
+ *         - { element: section#metrics, description: KPI cards }
+ *     - { area: footer, element: footer }
+ *     - { area: alert, element: section#alert-region }
+ *   grid: { columns: 16rem 1fr, areas: [header, nav main, footer, alert] }
+ *   tokens: { --metric-min-width: 12rem }
+ *   methods:
+ *     - { name: addMetric, params: [title, value, trend], description: Add a KPI card }
+ *
+ * From a valid pattern the scaffolder writes, deterministically, the Page
+ * subclass (DashboardPage.js), its classless.dashboard.css and a
+ * demo.dashboard.html rendered from the same regions.
+ *
+ * Usage:
+ *   const pattern = await loadPattern('dashboard.yaml'); // throws if invalid
+ *   validatePattern(spec);                               // => [{ path, message }]
+ *   await scaffoldPattern(pattern, { dir: '.' });        // => { files, problems }
+ */
+
+const PACKAGE_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const KEYS = ['name', 'className', 'title', 'description', 'regions', 'grid', 'tokens', 'methods'];
+
+// Elements a region may be: direct children of <body> that take a grid area
+const REGION_TAGS = new Set(['header', 'nav', 'main', 'aside', 'footer', 'section', 'article', 'figure', 'form', 'search']);
+
+// Elements given a heading placeholder in the generated markup
+const SECTIONING = new Set(['main', 'aside', 'section', 'article', 'nav']);
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+const NAME = /^[a-z][a-z0-9]*(?:-[a-z0-9]+)*$/;
+const CLASS_NAME = /^[A-Z][A-Za-z0-9]*$/;
+const IDENTIFIER = /^[a-z][A-Za-z0-9]*$/;
+const ELEMENT = /^([a-z][a-z0-9]*)(?:#([A-Za-z][\w-]*))?$/;
+const TOKEN = /^--[a-z][a-z0-9-]*$/;
+
+const pascal = name => name.split('-').map(part => part[0].toUpperCase() + part.slice(1)).join('');
+const camel = name => name[0].toLowerCase() + name.slice(1);
+const humanize = name => name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/-/g, ' ').toLowerCase().replace(/^./, letter => letter.toUpperCase());
+const children = region => (region.children || []).map(child => typeof child === 'string' ? { element: child } : child);
+
+// Renderers Page already has, keyed by `area element`
+const INHERITED = new Map(Page.regions.map(region => [`${region.area} ${region.element}`, region.render]));
+
+/**
+ * A starting pattern for `aggressive new pattern <name>` without a spec
+ */
+export function starterPattern(name) {
+  return {
+    name,
+    description: `${humanize(name)} layout`,
+    regions: Page.regions.map(({ area, element }) => ({ area, element }))
+  };
+}
+
+/**
+ * Problems with a pattern spec ([] when it is valid)
+ */
+export function validatePattern(spec) {
+  const problems = [];
+  const problem = (at, message) => problems.push({ path: at, message });
+
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    problem('', 'a pattern must be an object');
+    return problems;
+  }
+
+  Object.keys(spec).filter(key => !KEYS.includes(key)).forEach(key => problem(key, `unknown key (allowed: ${KEYS.join(', ')})`));
+
+  if (typeof spec.name !== 'string' || !NAME.test(spec.name)) {
+    problem('name', 'must be a lowercase name like "dashboard" or "data-view"');
+  } else if (spec.name === Page.layout) {
+    problem('name', `"${Page.layout}" is the base class`);
+  }
+
+  if (spec.className !== undefined && (typeof spec.className !== 'string' || !CLASS_NAME.test(spec.className))) {
+    problem('className', 'must be a class name like "DashboardPage"');
+  }
+
+  ['title', 'description'].forEach(key => {
+    if (spec[key] !== undefined && typeof spec[key] !== 'string') problem(key, 'must be a string');
+  });
+
+  if (!Array.isArray(spec.regions) || spec.regions.length === 0) {
+    problem('regions', 'must be a non-empty list');
+    return problems;
+  }
+
+  const areas = new Set();
+  const elements = new Set();
+  const ids = new Set();
+  let mains = 0;
+
+  const checkElement = (element, at, allowed) => {
+    const match = typeof element === 'string' && element.match(ELEMENT);
+    if (!match) {
+      problem(at, 'must be a tag, optionally with an id ("section#metrics")');
+      return;
+    }
+    const [, tag, id] = match;
+    if (tag === 'div') problem(at, '<div> is not allowed - use a semantic element');
+    else if (allowed && !allowed.has(tag)) problem(at, `<${tag}> cannot be a region (allowed: ${[...allowed].join(', ')})`);
+    else if (VOID_TAGS.has(tag)) problem(at, `<${tag}> cannot hold content`);
+    if (id && ids.has(id)) problem(at, `id "${id}" is used twice`);
+    if (id) ids.add(id);
+    return tag;
+  };
+
+  spec.regions.forEach((region, i) => {
+    const at = `regions[${i}]`;
+    if (!region || typeof region !== 'object') {
+      problem(at, 'must be an object ({ area, element })');
+      return;
+    }
+
+    if (typeof region.area !== 'string' || !NAME.test(region.area)) {
+      problem(`${at}.area`, 'must be a grid-area name like "sidebar"');
+    } else if (areas.has(region.area)) {
+      problem(`${at}.area`, `"${region.area}" is used twice`);
+    }
+    areas.add(region.area);
+
+    if (elements.has(region.element)) {
+      problem(`${at}.element`, `${region.element} is used twice - give one an id`);
+    }
+    elements.add(region.element);
+    if (checkElement(region.element, `${at}.element`, REGION_TAGS) === 'main') mains++;
+
+    if (region.description !== undefined && typeof region.description !== 'string') {
+      problem(`${at}.description`, 'must be a string');
+    }
+
+    if (region.children !== undefined && !Array.isArray(region.children)) {
+      problem(`${at}.children`, 'must be a list');
+    } else {
+      children(region).forEach((child, j) => {
+        checkElement(child?.element, `${at}.children[${j}]${typeof region.children[j] === 'string' ? '' : '.element'}`);
+      });
+    }
+  });
+
+  if (mains !== 1) {
+    problem('regions', `needs exactly one <main> region (found ${mains})`);
+  }
+
+  if (spec.grid !== undefined) {
+    if (!spec.grid || typeof spec.grid !== 'object') {
+      problem('grid', 'must be an object ({ columns, areas, states, breakpoints })');
+    } else if (!problems.some(({ path: at }) => at.startsWith('regions'))) {
+      try {
+        gridSpec({ name: '', regions: spec.regions, grid: spec.grid });
+      } catch (error) {
+        problem('grid', error.message.replace(/^\.grid /, ''));
+      }
+    }
+  }
+
+  if (spec.tokens !== undefined) {
+    if (!spec.tokens || typeof spec.tokens !== 'object' || Array.isArray(spec.tokens)) {
+      problem('tokens', 'must be a map of custom properties ({ --name: value })');
+    } else {
+      for (const [token, value] of Object.entries(spec.tokens)) {
+        if (!TOKEN.test(token)) problem(`tokens.${token}`, 'must be a custom property name like "--sidebar-width"');
+        if (typeof value !== 'string' && typeof value !== 'number') problem(`tokens.${token}`, 'must be a string or number');
+      }
+    }
+  }
+
+  if (spec.methods !== undefined && !Array.isArray(spec.methods)) {
+    problem('methods', 'must be a list');
+  } else {
+    const names = new Set();
+    (spec.methods || []).forEach((method, i) => {
+      const at = `methods[${i}]`;
+      if (!method || typeof method.name !== 'string' || !IDENTIFIER.test(method.name)) {
+        problem(`${at}.name`, 'must be a method name like "addMetric"');
+        return;
+      }
+      if (names.has(method.name)) problem(`${at}.name`, `"${method.name}" is defined twice`);
+      if (method.name in Page.prototype) problem(`${at}.name`, `"${method.name}" would override Page.${method.name}()`);
+      names.add(method.name);
+
+      if (method.params !== undefined && (!Array.isArray(method.params) || !method.params.every(param => IDENTIFIER.test(param)))) {
+        problem(`${at}.params`, 'must be a list of parameter names');
+      }
+      if (method.description !== undefined && typeof method.description !== 'string') {
+        problem(`${at}.description`, 'must be a string');
+      }
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Read a .json, .yaml or .yml pattern file and validate it
+ */
+export async function loadPattern(file) {
+  const source = await readFile(file, 'utf8');
+  const spec = /\.json$/i.test(file) ? JSON.parse(source) : YAML.parse(source);
+  const problems = validatePattern(spec);
+
+  if (problems.length) {
+    throw new Error(`Invalid pattern ${file}:\n${problems.map(({ path: at, message }) => `  ${at || '(root)'}: ${message}`).join('\n')}`);
+  }
+
+  return spec;
+}
+
+/**
+ * The pattern with defaults filled in: class name, render methods, children
+ */
+function resolve(pattern) {
+  const className = pattern.className || `${pascal(pattern.name)}Page`;
+
+  const regions = pattern.regions.map(region => {
+    const inherited = INHERITED.get(`${region.area} ${region.element}`);
+    const [tag, id] = region.element.split('#');
+    return {
+      ...region,
+      tag,
+      id,
+      children: children(region),
+      render: inherited || `_render${pascal(region.area)}`,
+      // Page renders these already; main is re-rendered to hold the layout's content
+      generate: !inherited || region.area === 'main'
+    };
+  });
+
+  const methods = (pattern.methods || []).map(({ name, params = [], description = '' }) => {
+    const [, verb, noun] = name.match(/^(add|set)([A-Z]\w*)$/) || [];
+    return {
+      name,
+      params,
+      description,
+      // addMetric() collects into this.metrics, setChart() stores this.chart
+      property: verb === 'add' ? `${camel(noun)}s` : verb === 'set' ? camel(noun) : null,
+      collects: verb === 'add'
+    };
+  });
+
+  return { ...pattern, className, regions, methods, title: pattern.title || humanize(pattern.name) };
+}
+
+// Placeholder markup of a region (or child), indented by two spaces per level
+function markup({ tag, id, description, children: inner = [] }, label) {
+  const open = id ? `<${tag} id="${id}">` : `<${tag}>`;
+  const text = esc(description || label);
+  const body = inner.length
+    ? inner.map(child => {
+      const [childTag, childId] = child.element.split('#');
+      return markup({ tag: childTag, id: childId, description: child.description }, humanize(childId || childTag));
+    })
+    : [SECTIONING.has(tag) ? `<h2>${text}</h2>` : `<p>${text}</p>`];
+
+  return [open, ...body.join('\n').split('\n').map(line => `  ${line}`), `</${tag}>`].join('\n');
+}
+
+// A JavaScript literal in the repo's style (single quotes, inline when short)
+function literal(value, indent = '') {
+  if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  if (typeof value !== 'object' || value === null) return String(value);
+
+  const inner = `${indent}  `;
+  const items = Array.isArray(value)
+    ? value.map(item => literal(item, inner))
+    : Object.entries(value).map(([key, item]) => `${/^[A-Za-z_$][\w$]*$/.test(key) ? key : literal(key)}: ${literal(item, inner)}`);
+  const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{ ', ' }'];
+  const inline = `${open}${items.join(', ')}${close}`;
+
+  if (items.length === 0) return Array.isArray(value) ? '[]' : '{}';
+  if (inline.length + indent.length <= 100 && !inline.includes('\n')) return inline;
+  return `${open.trim()}\n${items.map(item => `${inner}${item}`).join(',\n')}\n${indent}${close.trim()}`;
+}
+
+// Text safe inside a template literal
+const templateText = text => text.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${');
+
+function regionEntries(resolved) {
+  return resolved.regions.map(region => {
+    const entry = { area: region.area, element: region.element, render: region.render };
+    if (region.children.length) entry.children = region.children.map(child => child.element);
+    return entry;
+  });
+}
+
+function renderClass(resolved, { packagePath }) {
+  const { className, name, description, regions, methods, grid } = resolved;
+  const lines = [];
+
+  lines.push(packagePath != null
+    ? `import html from '${packagePath}html.js';\nimport Page from '${packagePath}Page.js';`
+    : "import { Page, html } from 'aggressive';");
+  lines.push('');
+  lines.push('/**');
+  lines.push(` * ${className} - Semantic control layer for classless.${name}.css`);
+  lines.push(' *');
+  if (description) lines.push(...description.split('\n').map(line => ` * ${line}`.trimEnd()), ' *');
+  lines.push(` * Scaffolded by \`aggressive new pattern ${name}\`; fill in the render methods.`);
+  lines.push(' *');
+  lines.push(' * Usage:');
+  lines.push(` *   const page = new ${className}({ title: ${literal(resolved.title)} });`);
+  methods.forEach(method => lines.push(` *   page.${method.name}(${method.params.length ? `{ ${method.params.join(', ')} }` : ''});`));
+  lines.push(' *   const html = page.render();');
+  lines.push(' */');
+  lines.push('');
+  lines.push(`export default class ${className} extends Page {`);
+  lines.push(`  static layout = '${name}';`);
+  lines.push('');
+  lines.push(`  static stylesheet = 'classless.${name}.css';`);
+  lines.push('');
+  lines.push(`  static regions = ${literal(regionEntries(resolved), '  ')};`);
+  if (grid) {
+    lines.push('');
+    lines.push(`  static grid = ${literal(grid, '  ')};`);
+  }
+
+  const state = methods.filter(method => method.property);
+  if (state.length) {
+    lines.push('');
+    lines.push('  constructor(options) {');
+    lines.push('    super(options);');
+    state.forEach(method => {
+      lines.push('');
+      lines.push(`    // ${method.description || humanize(method.name)}`);
+      lines.push(`    this.${method.property} = ${method.collects ? '[]' : 'null'};`);
+    });
+    lines.push('  }');
+  }
+
+  methods.forEach(method => {
+    const params = method.params.length ? `{ ${method.params.join(', ')} }` : '';
+    const value = method.params.length ? `{ ${method.params.join(', ')} }` : 'true';
+    lines.push('');
+    lines.push('  /**');
+    lines.push(`   * ${method.description || humanize(method.name)}`);
+    lines.push('   */');
+    lines.push(`  ${method.name}(${params}) {`);
+    if (method.collects) lines.push(`    this.${method.property}.push(${value});`);
+    else if (method.property) lines.push(`    this.${method.property} = ${value};`);
+    lines.push('    return this;');
+    lines.push('  }');
+  });
+
+  regions.filter(region => region.generate).forEach(region => {
+    const body = markup(region, humanize(region.area)).split('\n').map(line => `      ${templateText(line)}`);
+    lines.push('');
+    lines.push(`  ${region.render}() {`);
+    lines.push('    return html`');
+    lines.push(...body);
+    lines.push('      `;');
+    lines.push('  }');
+  });
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+function renderStylesheet(resolved, Layout) {
+  const { className, name, description, regions, tokens } = resolved;
+  const blocks = [];
+
+  blocks.push(`/* classless.${name}.css - ${(description || `${humanize(name)} layout`).split('\n')[0]} (${className}.js) */`);
+
+  if (tokens && Object.keys(tokens).length) {
+    blocks.push(`:root {\n${Object.entries(tokens).map(([token, value]) => `  ${token}: ${value};`).join('\n')}\n}`);
+  }
+
+  blocks.push([
+    'body {',
+    '  display: grid;',
+    '  gap: var(--space-xl);',
+    '  min-height: 100vh;',
+    '  max-width: var(--container-max);',
+    '  margin: 0 auto;',
+    '}'
+  ].join('\n'));
+
+  blocks.push(`/* @generated grid - written by \`aggressive grid\` from the page class; do not edit by hand */\n${gridCss(Layout)}/* @end generated grid */`);
+
+  for (const region of regions) {
+    if (region.area === 'alert') {
+      blocks.push(`/* Alert region */\nbody > ${region.element}:empty {\n  display: none;\n}`);
+      continue;
+    }
+    blocks.push(`/* ${region.description || humanize(region.area)} */\nbody > ${region.element} {\n  padding: var(--space-lg);\n}`);
+    for (const child of region.children) {
+      const label = child.description || humanize(child.element.split('#').pop());
+      blocks.push(`/* ${label} */\nbody > ${region.element} > ${child.element} {\n  padding: var(--space-lg);\n  background: var(--color-bg-subtle);\n  border-radius: var(--radius-lg);\n}`);
+    }
+  }
+
+  blocks.push('/* Responsive design */\n@media (max-width: 48rem) {\n  body {\n    gap: var(--space-lg);\n  }\n}');
+
+  return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * An in-memory Page subclass for the pattern, rendering the placeholder markup
+ */
+function layoutClass(resolved) {
+  const { className } = resolved;
+  const Layout = { [className]: class extends Page {} }[className];
+
+  Object.assign(Layout, {
+    layout: resolved.name,
+    stylesheet: `classless.${resolved.name}.css`,
+    regions: regionEntries(resolved),
+    grid: resolved.grid
+  });
+
+  resolved.regions.filter(region => region.generate).forEach(region => {
+    Layout.prototype[region.render] = () => raw(markup(region, humanize(region.area)));
+  });
+
+  return Layout;
+}
+
+/**
+ * Write <ClassName>.js, classless.<name>.css and demo.<name>.html for a
+ * pattern into `dir`. Existing files are kept unless `force`; with `dryRun`
+ * nothing is written. The demo page is linted against the new layout.
+ */
+export async function scaffoldPattern(pattern, { dir = '.', force = false, dryRun = false } = {}) {
+  const problems = validatePattern(pattern);
+  if (problems.length) {
+    throw new Error(`Invalid pattern:\n${problems.map(({ path: at, message }) => `  ${at || '(root)'}: ${message}`).join('\n')}`);
+  }
+
+  const resolved = resolve(pattern);
+  const Layout = layoutClass(resolved);
+
+  if (LAYOUTS.has(resolved.name) && !force) {
+    throw new Error(`Layout "${resolved.name}" already exists (${LAYOUTS.get(resolved.name).name})`);
+  }
+
+  const page = new Layout({ title: resolved.title, subtitle: resolved.description || '' });
+  page.addNavLink({ text: 'Home', url: '#', ariaCurrent: 'page' }).addNavLink({ text: 'About', url: '#' });
+  const demo = page.render();
+
+  // Inside this package the class imports its modules by relative path ('./', '../')
+  const inPackage = path.relative(PACKAGE_DIR, path.resolve(dir));
+  const toPackage = path.relative(path.resolve(dir), PACKAGE_DIR);
+  let packagePath = null;
+  if (inPackage.split(path.sep)[0] !== '..' && !path.isAbsolute(inPackage)) {
+    packagePath = toPackage ? `${toPackage.split(path.sep).join('/')}/` : './';
+  }
+  const files = [
+    { file: path.join(dir, `${resolved.className}.js`), content: renderClass(resolved, { packagePath }) },
+    { file: path.join(dir, `classless.${resolved.name}.css`), content: renderStylesheet(resolved, Layout) },
+    { file: path.join(dir, `demo.${resolved.name}.html`), content: demo }
+  ];
+
+  const existing = files.filter(({ file }) => existsSync(file));
+  if (existing.length && !force && !dryRun) {
+    throw new Error(`Not overwriting ${existing.map(({ file }) => file).join(', ')} (use --force)`);
+  }
+
+  if (!dryRun) {
+    for (const { file, content } of files) {
+      await writeFile(file, content);
+    }
+  }
+
+  return {
+    files: files.map(({ file }) => file),
+    problems: lintHtml(demo, { file: files[2].file, layout: Layout })
+  };
+}
@@ -0,0 +1,162 @@
+import { Parser } from 'htmlparser2';
+import { esc } from './lib.js';
+
+/**
+ * sanitize.js - Allow-list HTML sanitizer
+ *
+ * Keeps only the tags and attributes it knows to be safe, so post content,
+ * footer text and alerts from guest authors or a CMS cannot inject scripts
+ * or reintroduce class soup.
+ *
+ * - Tags outside the allow-list are unwrapped (their text is kept);
+ *   script-like tags are dropped together with their content
+ * - Attributes outside the allow-list are removed; `class`, `style` and
+ *   `on*` event handlers are always removed
+ * - Only headings keep their `id` (anchors, the table of contents), and
+ *   never one of the page's own ids (`reservedIds`) - guest markup must not
+ *   take over the alert region or the layout toggles
+ * - URLs in href/src/cite/srcset must be relative or use an allowed scheme
+ * - Comments are removed
+ *
+ * Usage:
+ *   sanitize('<p onclick="x()">Hi <script>alert(1)</script></p>');
+ *   // => '<p>Hi </p>'
+ *
+ *   sanitize(markup, { tags: [...SANITIZE_DEFAULTS.tags, 'iframe'] });
+ *
+ *   // `attributes` is merged per tag: the other tags (and '*') keep theirs
+ *   sanitize(markup, { attributes: { a: [...SANITIZE_DEFAULTS.attributes.a, 'target'] } });
+ */
+
+const VOID_TAGS = new Set(['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+export const SANITIZE_DEFAULTS = {
+  // Elements that are kept
+  tags: [
+    'a', 'abbr', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'caption', 'cite', 'code', 'col', 'colgroup',
+    'data', 'dd', 'del', 'details', 'dfn', 'dl', 'dt', 'em', 'figcaption', 'figure', 'h1', 'h2', 'h3',
+    'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'picture', 'pre', 'q',
+    'rp', 'rt', 'ruby', 's', 'samp', 'section', 'small', 'source', 'span', 'strong', 'sub', 'summary',
+    'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'var', 'wbr'
+  ],
+
+  // Attributes that are kept, per tag ('*' applies to every tag)
+  attributes: {
+    '*': ['title', 'lang', 'dir', 'aria-label', 'aria-describedby', 'aria-hidden', 'role'],
+    a: ['href', 'rel', 'hreflang'],
+    h1: ['id'],
+    h2: ['id'],
+    h3: ['id'],
+    h4: ['id'],
+    h5: ['id'],
+    h6: ['id'],
+    blockquote: ['cite'],
+    q: ['cite'],
+    del: ['cite', 'datetime'],
+    ins: ['cite', 'datetime'],
+    data: ['value'],
+    time: ['datetime'],
+    img: ['src', 'srcset', 'sizes', 'alt', 'width', 'height', 'loading', 'decoding'],
+    source: ['src', 'srcset', 'sizes', 'type', 'media', 'width', 'height'],
+    ol: ['start', 'reversed', 'type'],
+    li: ['value'],
+    td: ['colspan', 'rowspan', 'headers'],
+    th: ['colspan', 'rowspan', 'headers', 'scope', 'abbr'],
+    col: ['span'],
+    colgroup: ['span'],
+    details: ['open']
+  },
+
+  // Schemes allowed in URL attributes (relative URLs are always allowed)
+  schemes: ['http', 'https', 'mailto', 'tel'],
+
+  // Elements removed together with everything inside them
+  dropContent: ['script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript', 'textarea', 'select', 'svg', 'math'],
+
+  // Ids the page classes and stylesheets use themselves; never kept
+  reservedIds: [
+    'alert-region', 'blog-layout', 'grid-layout', 'aside-menu',
+    'theme-auto', 'theme-solarized-dark', 'theme-solarized-light', 'theme-high-contrast',
+    'pricing-tiers', 'feature-comparison', 'testimonials', 'faq'
+  ]
+};
+
+const URL_ATTRIBUTES = new Set(['href', 'src', 'cite', 'srcset']);
+
+// Never allowed, whatever the configuration says
+const FORBIDDEN_ATTRIBUTE = /^(on|class$|style$)/;
+
+/**
+ * Is this URL relative or using one of the allowed schemes?
+ */
+export function isSafeUrl(url, schemes = SANITIZE_DEFAULTS.schemes) {
+  // Browsers ignore control characters and whitespace inside schemes ("java\tscript:")
+  const normalized = String(url).replace(/[\u0000-\u0020\u007f]+/g, '').toLowerCase();
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+  return !scheme || schemes.includes(scheme[1]);
+}
+
+function isSafeSrcset(value, schemes) {
+  return value.split(',').every(candidate => isSafeUrl(candidate.trim().split(/\s+/)[0] || '', schemes));
+}
+
+/**
+ * Sanitize an HTML fragment against the allow-list
+ */
+export function sanitize(markup, options = {}) {
+  const config = { ...SANITIZE_DEFAULTS, ...options, attributes: { ...SANITIZE_DEFAULTS.attributes, ...options?.attributes } };
+  const tags = new Set(config.tags);
+  const dropContent = new Set(config.dropContent);
+  const reservedIds = new Set(config.reservedIds);
+  const globalAttributes = config.attributes['*'] || [];
+
+  const out = [];
+  let dropping = 0;
+
+  const allowedAttribute = (tag, name, value) => {
+    if (FORBIDDEN_ATTRIBUTE.test(name)) return false;
+    if (!globalAttributes.includes(name) && !(config.attributes[tag] || []).includes(name)) return false;
+    if (name === 'id') return !reservedIds.has(value);
+    if (name === 'srcset') return isSafeSrcset(value, config.schemes);
+    if (URL_ATTRIBUTES.has(name)) return isSafeUrl(value, config.schemes);
+    return true;
+  };
+
+  const parser = new Parser({
+    onopentag(name, attributes) {
+      if (dropping || dropContent.has(name)) {
+        if (!VOID_TAGS.has(name)) dropping++;
+        return;
+      }
+      if (!tags.has(name)) {
+        return;
+      }
+
+      const kept = Object.entries(attributes)
+        .filter(([attr, value]) => allowedAttribute(name, attr, value))
+        .map(([attr, value]) => ` ${attr}="${esc(value)}"`)
+        .join('');
+
+      out.push(`<${name}${kept}>`);
+    },
+
+    ontext(text) {
+      if (!dropping) out.push(esc(text));
+    },
+
+    onclosetag(name) {
+      if (dropping) {
+        if (!VOID_TAGS.has(name)) dropping--;
+        return;
+      }
+      if (tags.has(name) && !VOID_TAGS.has(name)) {
+        out.push(`</${name}>`);
+      }
+    }
+  }, { decodeEntities: true, lowerCaseTags: true, lowerCaseAttributeNames: true });
+
+  parser.write(String(markup ?? ''));
+  parser.end();
+
+  return out.join('');
+}
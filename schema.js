@@ -0,0 +1,152 @@
+import BlogPage from './BlogPage.js';
+import { schemaFor } from './validate.js';
+
+/**
+ * schema.js - JSON Schema of page descriptions
+ *
+ * page.toJSON() describes a page as plain data and PageClass.fromJSON()
+ * builds it back. jsonSchema() publishes the shape of that description,
+ * derived from the same `static schemas` the methods are checked against,
+ * so a CMS, another language or a model can write descriptions the page
+ * accepts. blog.schema.json is BlogPage's, written by `aggressive schema`.
+ *
+ * Usage:
+ *   const schema = jsonSchema(BlogPage);
+ *   const page = BlogPage.fromJSON(JSON.parse(fs.readFileSync('site.json', 'utf8')));
+ */
+
+// Where each key of a description goes back in: [method, argument, list?]
+// (a list is applied one item at a time)
+const DESCRIPTION_KEYS = {
+  assets: ['setAssets', 0],
+  navLinks: ['addNavLink', 0, true],
+  footer: ['setFooter', 0],
+  alerts: ['addAlert', 0, true],
+  logo: ['setLogo', 0],
+  categories: ['addCategory', 0, true],
+  pagerLinks: ['addPagerLink', 0, true],
+  sectionLabel: ['setSectionLabel', 0],
+  search: ['setSearch', 0],
+  posts: ['addPost', 0, true],
+  article: ['setArticle', 0],
+  adjacent: ['setAdjacent', 0],
+  tocLevels: ['setTocLevels', 0],
+  tiers: ['addTier', 0, true],
+  comparison: ['addComparison', 0, true],
+  testimonials: ['addTestimonial', 0, true],
+  faqs: ['addFaq', 0, true],
+  sections: ['addSection', 0, true],
+  doc: ['setDoc', 0]
+};
+
+// validate.js types as JSON types (`function` has none, `any` allows all)
+const JSON_TYPES = {
+  any: [],
+  string: ['string'],
+  number: ['number'],
+  boolean: ['boolean'],
+  array: ['array'],
+  object: ['object'],
+  html: ['string'],
+  date: ['string', 'number'],
+  function: []
+};
+
+const nullable = schema => ({ anyOf: [schema, { type: 'null' }] });
+
+function typeSchema(type) {
+  const required = type.endsWith('!');
+  const types = [...new Set(type.replace(/!$/, '').split('|').flatMap(name => JSON_TYPES[name]))];
+
+  if (types.length === 0) {
+    return {};
+  }
+  if (!required) {
+    types.push('null');
+  }
+
+  const schema = { type: types.length === 1 ? types[0] : types };
+  if (required && types.includes('string')) {
+    schema.minLength = 1;
+  }
+  return schema;
+}
+
+function argSchema(spec) {
+  if (typeof spec === 'string') {
+    return typeSchema(spec);
+  }
+  if (Array.isArray(spec)) {
+    return { type: 'array', items: argSchema(spec[0]) };
+  }
+
+  const required = Object.keys(spec).filter(key => spec[key].endsWith('!'));
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(spec).map(([key, type]) => [key, typeSchema(type)])),
+    ...(required.length ? { required } : {}),
+    additionalProperties: false
+  };
+}
+
+function headSchema(PageClass) {
+  const method = (name, i = 0) => schemaFor(PageClass, name)[i];
+  const attributes = { type: 'object', additionalProperties: { type: ['string', 'number', 'boolean', 'null'] } };
+
+  return {
+    type: 'object',
+    properties: {
+      title: typeSchema('string'),
+      description: typeSchema('string'),
+      canonical: typeSchema('string'),
+      openGraph: nullable(argSchema(method('setOpenGraph'))),
+      twitter: nullable(argSchema(method('setTwitterCard'))),
+      favicon: nullable(argSchema({ href: 'string!', ...method('setFavicon', 1) })),
+      manifest: typeSchema('string'),
+      stylesheets: { type: 'array', items: argSchema({ href: 'string!', ...method('addStylesheet', 1) }) },
+      meta: { type: 'array', items: attributes },
+      links: { type: 'array', items: { ...attributes, required: ['rel', 'href'] } }
+    },
+    additionalProperties: false
+  };
+}
+
+/**
+ * JSON Schema (draft 2020-12) of the descriptions PageClass.fromJSON() reads
+ */
+export function jsonSchema(PageClass = BlogPage) {
+  const keys = Object.keys(new PageClass({ title: 'Schema', validate: false }).toJSON());
+  const properties = {
+    $schema: { type: 'string' },
+    layout: { const: PageClass.layout },
+    options: argSchema(schemaFor(PageClass, 'options')[0])
+  };
+
+  for (const key of keys.filter(key => !(key in properties))) {
+    if (key === 'head') {
+      properties.head = headSchema(PageClass);
+      continue;
+    }
+
+    const [method, i, list] = DESCRIPTION_KEYS[key] || [];
+    const spec = method && schemaFor(PageClass, method)?.[i];
+    if (!spec) {
+      // Keys of page types this module does not know about
+      properties[key] = {};
+    } else if (list) {
+      properties[key] = { type: 'array', items: argSchema(spec) };
+    } else {
+      properties[key] = typeof spec === 'string' ? typeSchema(spec) : nullable(argSchema(spec));
+    }
+  }
+
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: `${PageClass.name} description`,
+    description: `A page for ${PageClass.name}.fromJSON(), as written by page.toJSON()`,
+    type: 'object',
+    required: ['options'],
+    properties,
+    additionalProperties: false
+  };
+}
@@ -0,0 +1,116 @@
+import { Parser } from 'htmlparser2';
+import { formatDate, parseDate } from './dates.js';
+
+/**
+ * search.js - Full-text search index of the posts
+ *
+ * The builder writes one compact index per language (search.json) and a
+ * SearchPage that queries it in the browser. The index is an inverted one:
+ * every word of a post's title, categories, tags and content points at the
+ * posts it appears in, weighted by where it appears.
+ *
+ *   {
+ *     "version": 1,
+ *     "posts": [{ "title", "url", "date", "datetime", "excerpt" }, ...],
+ *     "terms": { "grid": [0, 7, 3, 1], ... }   // pairs of post index, weight
+ *   }
+ *
+ * Usage:
+ *   const index = buildSearchIndex(posts, { lang: 'en' });
+ *   fs.writeFileSync('search.json', JSON.stringify(index));
+ */
+
+// How much one occurrence of a word counts, by where it is
+export const SEARCH_WEIGHTS = {
+  title: 5,
+  terms: 3,
+  content: 1
+};
+
+const EXCERPT_LENGTH = 160;
+
+// Elements whose end separates words ('</p><p>'), unlike '</code>' or '</a>'
+const BLOCKS = new Set(['address', 'article', 'aside', 'blockquote', 'br', 'dd', 'details', 'dt', 'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'td', 'th', 'tr', 'ul']);
+
+/**
+ * Lowercase words without accents - the browser script splits queries the
+ * same way (keep the two in step)
+ */
+export function tokenize(text) {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 1);
+}
+
+/**
+ * The text of an HTML fragment (entities decoded, <script>/<style> dropped)
+ */
+export function textContent(markup) {
+  const text = [];
+  let skip = 0;
+
+  const parser = new Parser({
+    onopentagname(name) {
+      if (name === 'script' || name === 'style') skip++;
+    },
+    ontext(value) {
+      if (!skip) text.push(value);
+    },
+    onclosetag(name) {
+      if (name === 'script' || name === 'style') skip--;
+      if (BLOCKS.has(name)) text.push(' ');
+    }
+  });
+  parser.write(String(markup ?? ''));
+  parser.end();
+
+  return text.join('').replace(/\s+/g, ' ').trim();
+}
+
+function excerpt(text) {
+  if (text.length <= EXCERPT_LENGTH) {
+    return text;
+  }
+  const cut = text.slice(0, EXCERPT_LENGTH);
+  return cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : EXCERPT_LENGTH) + '…';
+}
+
+/**
+ * Build the index of `posts` (post objects as given to addPost); dates are
+ * written out like the pages write them
+ */
+export function buildSearchIndex(posts, { lang = 'en', timeZone = 'UTC', dateFormat = 'datetime' } = {}) {
+  const terms = new Map();
+
+  const entries = posts.map((post, i) => {
+    const text = textContent(post.content);
+    const weights = new Map();
+    const count = (words, weight) => words.forEach(word => weights.set(word, (weights.get(word) || 0) + weight));
+
+    count(tokenize(post.title), SEARCH_WEIGHTS.title);
+    count(tokenize([...(post.categories || []), ...(post.tags || [])].join(' ')), SEARCH_WEIGHTS.terms);
+    count(tokenize(text), SEARCH_WEIGHTS.content);
+
+    for (const [word, weight] of weights) {
+      if (!terms.has(word)) terms.set(word, []);
+      terms.get(word).push(i, weight);
+    }
+
+    return {
+      title: post.title,
+      url: post.url,
+      date: formatDate(post.date, { locale: lang, timeZone, preset: dateFormat }),
+      datetime: parseDate(post.datetime || post.date, { timeZone }).iso,
+      excerpt: post.description || excerpt(text)
+    };
+  });
+
+  return {
+    version: 1,
+    posts: entries,
+    terms: Object.fromEntries([...terms].sort(([a], [b]) => a < b ? -1 : a > b ? 1 : 0))
+  };
+}
@@ -0,0 +1,307 @@
+import { existsSync, watch } from 'node:fs';
+import { readFile, rm, rmdir, stat } from 'node:fs/promises';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { isMainThread, parentPort, Worker, workerData } from 'node:worker_threads';
+import { buildSite, loadConfig } from './build.js';
+
+/**
+ * serve.js - Development server with live reload
+ *
+ * Builds the site, serves the output directory and watches everything the
+ * build reads: the config file, the content directory, the classless
+ * stylesheets and any .js module next to the config (BlogPage subclasses).
+ *
+ * - Every rebuild runs in a fresh worker thread, so edited modules are
+ *   re-imported instead of served from the module cache
+ * - Every rebuild renders the whole site: there is no dependency graph
+ *   telling which pages one edit affects (a post shows up in the index,
+ *   its archives, feeds and neighbours, and a module can change them all),
+ *   so a rebuild costs as much as `aggressive build`. Only files whose
+ *   output changed are rewritten, and files no longer generated (a deleted
+ *   or renamed post) are removed
+ * - Watched directories that do not exist yet are reported and skipped;
+ *   restart the server once they do
+ * - Browsers are told over Server-Sent Events which files changed; CSS is
+ *   swapped in place, pages reload only when their own HTML changed
+ * - A build that throws shows an overlay in every open page until the
+ *   next successful build
+ *
+ * Usage:
+ *   const server = await serve('aggressive.config.js', { port: 3000 });
+ *   await server.close();
+ */
+
+const EVENTS_PATH = '/__aggressive/events';
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+// Injected into every served page (never written to the output directory)
+const CLIENT_SCRIPT = `<script type="module">
+const events = new EventSource('${EVENTS_PATH}');
+const here = location.pathname.replace(/^\\/+/, '').replace(/(^|\\/)$/, '$1index.html');
+
+function overlay(error) {
+  document.querySelector('dialog[data-aggressive-error]')?.remove();
+  if (!error) return;
+  const dialog = document.createElement('dialog');
+  dialog.dataset.aggressiveError = '';
+  dialog.style.cssText = 'max-width:60rem;width:90vw;border:0;border-top:4px solid #dc3545;padding:1.5rem;font:14px/1.5 ui-monospace,monospace;color:#212529;box-shadow:0 10px 40px rgba(0,0,0,.4)';
+  const title = document.createElement('strong');
+  title.textContent = 'Build failed';
+  const details = document.createElement('pre');
+  details.style.cssText = 'white-space:pre-wrap;overflow:auto;max-height:70vh;margin:1rem 0 0';
+  details.textContent = error.stack || error.message;
+  dialog.append(title, details);
+  document.body.append(dialog);
+  dialog.showModal();
+}
+
+events.addEventListener('build', ({ data }) => {
+  const { changed, error } = JSON.parse(data);
+  overlay(error);
+  if (error) return;
+
+  if (changed.includes(here)) return location.reload();
+
+  for (const link of document.querySelectorAll('link[rel="stylesheet"]')) {
+    const url = new URL(link.href);
+    if (changed.some(file => url.pathname.endsWith('/' + file))) {
+      url.searchParams.set('t', Date.now());
+      link.href = url.href;
+    }
+  }
+});
+</script>`;
+
+/**
+ * Run one build in a worker thread (fresh module cache every time)
+ */
+function buildInWorker(configFile) {
+  return new Promise(resolve => {
+    const worker = new Worker(fileURLToPath(import.meta.url), { workerData: { task: 'build', configFile } });
+    worker.once('message', resolve);
+    worker.once('error', error => resolve({ error: { message: error.message, stack: error.stack } }));
+    // process.exit() in a config, or running out of memory: no message ever comes
+    worker.once('exit', code => resolve({ error: { message: `Build worker exited with code ${code} before finishing the build` } }));
+  });
+}
+
+/**
+ * Remove the files of the previous build this one no longer produced, and
+ * the directories that leaves empty
+ */
+async function prune(outDir, previous, files) {
+  const current = new Set(files);
+  const stale = previous.filter(file => !current.has(file));
+
+  for (const file of stale) {
+    await rm(path.join(outDir, file), { force: true });
+    for (let dir = path.dirname(file); dir !== '.'; dir = path.dirname(dir)) {
+      if (!await rmdir(path.join(outDir, dir)).then(() => true, () => false)) break;
+    }
+  }
+  return stale;
+}
+
+/**
+ * Files the build depends on, as directories to watch
+ */
+function watchTargets(config, configFile) {
+  const root = config.root;
+  const targets = [
+    { dir: path.dirname(configFile), recursive: false, match: file => /\.(m?js|json|css)$/.test(file) }
+  ];
+
+  if (config.content) {
+    targets.push({ dir: path.resolve(root, config.content), recursive: true, match: () => true });
+  }
+
+  const cssDir = config.css ? path.resolve(root, config.css) : path.dirname(fileURLToPath(import.meta.url));
+  targets.push({ dir: cssDir, recursive: false, match: file => /\.(m?js|css)$/.test(file) });
+
+  // The same directory may be listed twice (css and config side by side)
+  return targets.filter((target, i) => targets.findIndex(other => other.dir === target.dir) === i);
+}
+
+/**
+ * Resolve a request path to a file in the output directory
+ */
+async function resolveFile(outDir, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    // A malformed escape ('/%E0%A4%A') names no file
+    return { status: 400 };
+  }
+
+  const file = path.join(outDir, decoded);
+  if (file !== outDir && !file.startsWith(outDir + path.sep)) {
+    return null;
+  }
+
+  const info = await stat(file).catch(() => null);
+  if (info?.isDirectory()) {
+    return { file: path.join(file, 'index.html'), redirect: !pathname.endsWith('/') };
+  }
+  return info ? { file } : null;
+}
+
+/**
+ * Build, serve and watch the site described by a config file
+ */
+export async function serve(configFile, { port = 3000, host = 'localhost', log = console.log } = {}) {
+  const config = await loadConfig(configFile);
+  const outDir = path.resolve(config.root, config.output || 'dist');
+  const clients = new Set();
+  let lastError = null;
+  // Files of the last successful build, to remove the ones a rebuild drops
+  let previous = [];
+
+  const broadcast = payload => {
+    clients.forEach(response => response.write(`event: build\ndata: ${JSON.stringify(payload)}\n\n`));
+  };
+
+  // One build at a time; changes during a build queue exactly one more
+  let building = null;
+  let queued = false;
+
+  const rebuild = async () => {
+    if (building) {
+      queued = true;
+      return building;
+    }
+
+    const started = Date.now();
+    building = buildInWorker(path.resolve(configFile));
+    const { changed = [], files, error = null } = await building;
+    building = null;
+
+    if (!error) {
+      changed.push(...await prune(outDir, previous, files));
+      previous = files;
+    }
+
+    lastError = error;
+    if (error) {
+      log(`❌ Build failed: ${error.message}`);
+    } else {
+      log(`✓ Rebuilt in ${Date.now() - started} ms (${changed.length ? changed.join(', ') : 'no changes'})`);
+    }
+    broadcast({ changed, error });
+
+    if (queued) {
+      queued = false;
+      return rebuild();
+    }
+  };
+
+  const initial = await buildInWorker(path.resolve(configFile));
+  lastError = initial.error || null;
+  previous = initial.files || [];
+  if (lastError) log(`❌ Build failed: ${lastError.message}`);
+
+  // Watch sources, debounced so an editor's save burst is one rebuild
+  let timer = null;
+  const watchers = [];
+  for (const { dir, recursive, match } of watchTargets(config, configFile)) {
+    // watch() throws on a directory that is not there
+    if (!existsSync(dir)) {
+      log(`⚠ Not watching ${dir}: the directory does not exist (restart the server once it does)`);
+      continue;
+    }
+    watchers.push(watch(dir, { recursive }, (event, file) => {
+      if (!file || !match(String(file)) || path.join(dir, String(file)).startsWith(outDir)) return;
+      clearTimeout(timer);
+      timer = setTimeout(rebuild, 50);
+    }));
+  }
+
+  const server = http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    if (pathname === EVENTS_PATH) {
+      response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+      response.write(`event: build\ndata: ${JSON.stringify({ changed: [], error: lastError })}\n\n`);
+      clients.add(response);
+      request.on('close', () => clients.delete(response));
+      return;
+    }
+
+    const resolved = await resolveFile(outDir, pathname);
+
+    if (resolved?.status === 400) {
+      response.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+      return response.end(`Bad request: ${request.url} is not a valid URL path`);
+    }
+
+    if (resolved?.redirect) {
+      response.writeHead(301, { Location: pathname + '/' });
+      return response.end();
+    }
+
+    const body = resolved && await readFile(resolved.file).catch(() => null);
+    const type = resolved ? MIME_TYPES[path.extname(resolved.file)] || 'application/octet-stream' : MIME_TYPES['.html'];
+
+    if (!body) {
+      response.writeHead(404, { 'Content-Type': type });
+      return response.end(`<!DOCTYPE html><title>Not found</title><h1>404</h1><p>${pathname} was not generated.</p>${CLIENT_SCRIPT}`);
+    }
+
+    response.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+    if (type === MIME_TYPES['.html']) {
+      const html = body.toString('utf8');
+      const at = html.lastIndexOf('</body>');
+      return response.end(at === -1 ? html + CLIENT_SCRIPT : html.slice(0, at) + CLIENT_SCRIPT + html.slice(at));
+    }
+    response.end(body);
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const url = `http://${host}:${server.address().port}/`;
+
+  return {
+    url,
+    server,
+    rebuild,
+    async close() {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+      clients.forEach(response => response.end());
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// Worker side of buildInWorker()
+if (!isMainThread && workerData?.task === 'build') {
+  try {
+    const config = await loadConfig(workerData.configFile);
+    const { changed, files } = await buildSite(config, { incremental: true });
+    parentPort.postMessage({ changed, files });
+  } catch (error) {
+    parentPort.postMessage({ error: { message: error.message, stack: error.stack } });
+  }
+}
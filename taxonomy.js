@@ -0,0 +1,54 @@
+import { slug } from './lib.js';
+
+/**
+ * taxonomy.js - Categories and tags derived from posts
+ *
+ * Posts carry `categories` and `tags` (arrays of names). These helpers turn
+ * them into the `{ text, url, count }` entries the sidebar renders, and
+ * group posts for the archive page behind each URL.
+ */
+
+// Where each taxonomy's archive pages live
+export const TAXONOMIES = {
+  categories: '/category/',
+  tags: '/tag/'
+};
+
+// A name without letters or digits ('🎉') is spelled out by code point, so
+// two such terms never share one archive
+const termSlug = name => slug(name) || [...String(name)].map(char => char.codePointAt(0).toString(16)).join('-');
+
+/**
+ * URL of the archive page for one term (`base` is a language prefix like '/fr')
+ */
+export const termUrl = (taxonomy, name, base = '') => `${base}${TAXONOMIES[taxonomy]}${termSlug(name)}/`;
+
+// Names written differently but meant as one term ('CSS', 'css ')
+const sameTerm = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/**
+ * Group posts by the terms of one taxonomy, in first-seen order. Two
+ * different names with one archive URL ('C' and 'C++') throw instead of
+ * sharing a page.
+ */
+export function collectTerms(posts, taxonomy = 'categories', base = '') {
+  const terms = new Map();
+
+  for (const post of posts) {
+    for (const name of post[taxonomy] || []) {
+      const url = termUrl(taxonomy, name, base);
+      if (!terms.has(url)) {
+        terms.set(url, { text: name, url, count: 0, posts: [] });
+      }
+      const term = terms.get(url);
+      if (!sameTerm(term.text, name)) {
+        const kind = TAXONOMIES[taxonomy].slice(1, -1);
+        throw new Error(`${post.source || `Post "${post.title}"`}: ${kind} "${name}" has the same archive URL as "${term.text}" (${url}) - rename one of them`);
+      }
+      term.count++;
+      term.posts.push(post);
+    }
+  }
+
+  return [...terms.values()];
+}
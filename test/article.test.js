@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import ArticlePage from '../ArticlePage.js';
+import { buildSite } from '../build.js';
+
+const mainOf = page => {
+  const markup = page.render();
+  return markup.slice(markup.indexOf('<main>'), markup.indexOf('</main>'));
+};
+
+const article = (content, options = {}) => new ArticlePage({ title: 'Blog', validate: 'strict' })
+  .setArticle({ title: 'Hello', date: '2025-11-08', content, ...options });
+
+describe('ArticlePage header', () => {
+  it('renders the byline, updated date and terms', () => {
+    const main = mainOf(article('<p>Hi</p>', { author: { name: 'Jane Doe', url: '/about/' }, updated: '2025-11-10', categories: ['CSS'], tags: ['grid'] }));
+    assert.ok(main.includes('<p>By <a href="/about/" rel="author">Jane Doe</a> · <time datetime="2025-11-08">'));
+    assert.ok(main.includes('<p>Updated <time datetime="2025-11-10">'));
+    assert.ok(main.includes('<p><a href="/category/css/">CSS</a>, <a href="/tag/grid/" rel="tag">#grid</a></p>'));
+  });
+
+  it('shows only the date without an author', () => {
+    assert.match(mainOf(article('<p>Hi</p>')), /<header>\s*<h2>Hello<\/h2>\s*<p><time datetime="2025-11-08">[^<]+<\/time><\/p>\s*<\/header>/);
+  });
+
+  it('says so when there is no article', () => {
+    assert.ok(mainOf(new ArticlePage({ title: 'Blog' })).includes('<p>No article.</p>'));
+  });
+});
+
+describe('ArticlePage table of contents', () => {
+  const content = '<h2>Intro &amp; setup</h2><p>x</p><h3>Install <code>npm</code></h3><h4>Deep</h4><h2>Intro &amp; setup</h2><h2 id="usage">Use it</h2>';
+
+  it('nests h3 under h2 and links every heading by id', () => {
+    const main = mainOf(article(content));
+    assert.match(main, /<nav aria-label="Table of contents">\s*<ol>\s*<li><a href="#intro-setup">Intro &amp; setup<\/a><ol><li><a href="#install-npm">Install npm<\/a><\/li><\/ol><\/li>\s*<li><a href="#intro-setup-2">Intro &amp; setup<\/a><\/li>\s*<li><a href="#usage">Use it<\/a><\/li>\s*<\/ol>\s*<\/nav>/);
+  });
+
+  it('adds the ids the headings miss and keeps the ones they have', () => {
+    const main = mainOf(article(content));
+    assert.ok(main.includes('<h2 id="intro-setup">Intro &amp; setup</h2>'));
+    assert.ok(main.includes('<h3 id="install-npm">Install <code>npm</code></h3>'));
+    assert.ok(main.includes('<h2 id="intro-setup-2">Intro &amp; setup</h2>'));
+    assert.ok(main.includes('<h2 id="usage">Use it</h2>'));
+    assert.ok(main.includes('<h4>Deep</h4>'));
+  });
+
+  it('takes other levels from setTocLevels()', () => {
+    const main = mainOf(article(content).setTocLevels([2]));
+    assert.ok(!main.includes('href="#install-npm"'));
+    assert.ok(!mainOf(article(content).setTocLevels([])).includes('Table of contents'));
+  });
+
+  it('is left out for fewer than two headings', () => {
+    assert.ok(!mainOf(article('<h2>Only</h2><p>x</p>')).includes('Table of contents'));
+  });
+
+  it('names headings without letters or digits "section"', () => {
+    assert.ok(mainOf(article('<h2>🎉</h2><h2>!!</h2>')).includes('<a href="#section-2">!!</a>'));
+  });
+});
+
+describe('ArticlePage adjacent links', () => {
+  it('links the previous and next posts with rel', () => {
+    const main = mainOf(article('<p>Hi</p>').setAdjacent({ previous: { title: 'Older', url: '/older/' }, next: { title: 'Newer', url: '/newer/' } }));
+    assert.match(main, /<nav aria-label="More posts">\s*<ul>\s*<li><a href="\/older\/" rel="prev">← Older<\/a><\/li>\s*<li><a href="\/newer\/" rel="next">Newer →<\/a><\/li>/);
+  });
+
+  it('leaves out a missing neighbour, and the nav without any', () => {
+    assert.ok(!mainOf(article('<p>Hi</p>').setAdjacent({ next: { title: 'Newer', url: '/newer/' } })).includes('rel="prev"'));
+    assert.ok(!mainOf(article('<p>Hi</p>')).includes('More posts'));
+  });
+
+  it('point to the older post as previous in a build', async () => {
+    const root = await mkdtemp(path.join(tmpdir(), 'aggressive-article-'));
+    try {
+      const { outDir } = await buildSite({ root, title: 'Blog', validate: false, posts: [
+        { title: 'First', date: '2025-11-01', content: '<p>1</p>' },
+        { title: 'Second', date: '2025-11-02', content: '<p>2</p>' },
+        { title: 'Third', date: '2025-11-03', content: '<p>3</p>' }
+      ] });
+      const second = await readFile(path.join(outDir, 'posts/second/index.html'), 'utf8');
+      assert.ok(second.includes('<a href="/posts/first/" rel="prev">← First</a>'));
+      assert.ok(second.includes('<a href="/posts/third/" rel="next">Third →</a>'));
+    } finally {
+      await rm(root, { recursive: true, force: true });
+    }
+  });
+});
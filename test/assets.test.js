@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { buildAssets, criticalCss, minifyCss } from '../assets.js';
+import { buildSite } from '../build.js';
+import { lintFiles } from '../lint.js';
+
+let dir;
+before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), 'aggressive-assets-'));
+  await writeFile(path.join(dir, 'a.css'), '/* reset */\nhtml { margin : 0 }\n');
+  await writeFile(path.join(dir, 'classless.blog.css'), 'main { display : grid }\n');
+  await writeFile(path.join(dir, 'extra.css'), 'p { color : red }\n');
+});
+after(() => rm(dir, { recursive: true, force: true }));
+
+const SHEETS = ['a.css', 'classless.blog.css'];
+
+describe('minifyCss()', () => {
+  it('removes spaces on both sides of a declaration colon', () => {
+    assert.equal(minifyCss('a { color : red; margin :0 ; }'), 'a{color:red;margin:0}');
+  });
+
+  it('keeps the space before a pseudo-class in a selector', () => {
+    assert.equal(minifyCss('nav :hover, a:focus-visible { outline : none }'), 'nav :hover,a:focus-visible{outline:none}');
+    assert.equal(minifyCss('@media (min-width: 48rem) { main :first-child { margin : 0 } }'), '@media (min-width:48rem){main :first-child{margin:0}}');
+  });
+
+  it('leaves strings alone', () => {
+    assert.equal(minifyCss('p::before { content : "a : b ; { }" ; }'), 'p::before{content:"a : b ; { }"}');
+    assert.equal(minifyCss("a { background : url('x y.png') }"), "a{background:url('x y.png')}");
+  });
+
+  it('drops comments but keeps /*! licences', () => {
+    assert.equal(minifyCss('/*! MIT */\na { b : c; }\n/* note */\nd { e : f; }'), '/*! MIT */ a{b:c}d{e:f}');
+  });
+
+  it('removes the spaces next to a dropped comment', () => {
+    assert.equal(minifyCss('a {\n  color: red; /* brand */\n}\n/* next */\n:root { --x : 1 }'), 'a{color:red}:root{--x:1}');
+  });
+});
+
+describe('criticalCss()', () => {
+  it('keeps the rules a page can match, minified', () => {
+    const css = ':root { --x : 1 }\nmain p { color : red }\ntable td { color : blue }\n#toc { margin : 0 }';
+    assert.equal(criticalCss(css, '<main><p>Hi</p></main>'), ':root{--x:1}main p{color:red}');
+    assert.equal(criticalCss(css, '<nav id="toc"></nav>'), ':root{--x:1}#toc{margin:0}');
+  });
+});
+
+describe('buildAssets()', () => {
+  it('bundles, minifies and names the stylesheets after their content', async () => {
+    const { files, manifest, css } = await buildAssets(SHEETS, { dir, root: dir, include: ['extra.css'] });
+    assert.equal(files.length, 1);
+    assert.match(files[0].file, /^classless\.blog\.[0-9a-f]{8}\.css$/);
+    assert.equal(files[0].content, 'html{margin:0}main{display:grid}p{color:red}\n');
+    assert.deepEqual(manifest, { 'a.css': files[0].file, 'classless.blog.css': files[0].file, 'extra.css': files[0].file });
+    assert.equal(css, files[0].content);
+  });
+
+  it('gives the same content the same name, and new content a new one', async () => {
+    const [first] = (await buildAssets(SHEETS, { dir })).files;
+    const [again] = (await buildAssets(SHEETS, { dir })).files;
+    const [other] = (await buildAssets(SHEETS, { dir, minify: false })).files;
+    assert.equal(again.file, first.file);
+    assert.notEqual(other.file, first.file);
+  });
+
+  it('keeps the files apart, and includes out, without a bundle', async () => {
+    const { files, manifest } = await buildAssets(SHEETS, { dir, bundle: false, hash: false, minify: false, include: ['extra.css'] });
+    assert.deepEqual(files, [
+      { file: 'a.css', content: '/* reset */\nhtml { margin : 0 }\n' },
+      { file: 'classless.blog.css', content: 'main { display : grid }\n' }
+    ]);
+    assert.deepEqual(manifest, { 'a.css': 'a.css', 'classless.blog.css': 'classless.blog.css' });
+  });
+});
+
+describe('assets in a build', () => {
+  it('link one hashed bundle, write its manifest and still pass lint', async () => {
+    const { outDir } = await buildSite({ root: dir, title: 'Blog', validate: false, assets: { critical: true }, posts: [{ title: 'Hi', date: '2025-11-08', content: '<p>Hi</p>' }] });
+    const manifest = JSON.parse(await readFile(path.join(outDir, 'assets.json'), 'utf8'));
+    const bundle = manifest['classless.base.css'];
+    assert.match(bundle, /^classless\.blog\.[0-9a-f]{8}\.css$/);
+
+    const index = await readFile(path.join(outDir, 'index.html'), 'utf8');
+    assert.equal(index.match(/<link rel="stylesheet"[^>]*>/g).filter(link => !link.includes('media="print"')).length, 1);
+    assert.ok(index.includes(`<link rel="stylesheet" href="${bundle}" media="print" onload="this.media=&#039;all&#039;">`));
+    assert.ok(index.includes(`<noscript><link rel="stylesheet" href="${bundle}"></noscript>`));
+    assert.match(index, /<style>[^<]+<\/style>/);
+    assert.deepEqual((await lintFiles([outDir])).problems, []);
+  });
+});
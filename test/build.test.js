@@ -0,0 +1,138 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { existsSync } from 'node:fs';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { buildSite, loadConfig, outputPath, relativeRoot, siteLanguages } from '../build.js';
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+const run = promisify(execFile);
+
+const posts = [
+  { title: 'Hello World', date: '2025-11-09', content: '<p>Hello</p>', categories: ['CSS'], tags: ['grid'] },
+  { title: 'Second', date: '2025-11-08', url: '/notes/second/', content: '<p>Two</p>', categories: ['CSS', 'HTML'] }
+];
+
+let root;
+before(async () => {
+  root = await mkdtemp(path.join(tmpdir(), 'aggressive-build-'));
+});
+after(() => rm(root, { recursive: true, force: true }));
+
+const read = (outDir, file) => readFile(path.join(outDir, file), 'utf8');
+
+describe('outputPath() and relativeRoot()', () => {
+  it('map URLs to index.html files', () => {
+    assert.equal(outputPath('/'), 'index.html');
+    assert.equal(outputPath('/posts/hello/'), 'posts/hello/index.html');
+    assert.equal(outputPath('/about'), 'about/index.html');
+    assert.equal(outputPath('/feed.xml?x=1#top'), 'feed.xml');
+  });
+
+  it('lead back to the site root', () => {
+    assert.equal(relativeRoot('index.html'), '');
+    assert.equal(relativeRoot('posts/hello/index.html'), '../../');
+  });
+});
+
+describe('siteLanguages()', () => {
+  it('puts the main language at the root and the others under /<lang>', () => {
+    const [en, fr] = siteLanguages({ title: 'Blog', content: 'posts', languages: { fr: { title: 'Journal' } } });
+    assert.deepEqual(en, { title: 'Blog', content: 'posts', lang: 'en', base: '' });
+    assert.deepEqual(fr, { title: 'Journal', content: 'posts', lang: 'fr', base: '/fr' });
+  });
+});
+
+describe('loadConfig()', () => {
+  it('reads JSON configs, rooted at their directory', async () => {
+    const file = path.join(root, 'site.json');
+    await writeFile(file, JSON.stringify({ title: 'Blog' }));
+    assert.deepEqual(await loadConfig(file), { root, title: 'Blog' });
+  });
+
+  it('rejects a config that is not an object', async () => {
+    const file = path.join(root, 'bad.config.js');
+    await writeFile(file, 'export default 42;\n');
+    await assert.rejects(loadConfig(file), { message: `${file}: config must export an object` });
+  });
+});
+
+describe('buildSite()', () => {
+  it('writes the index, permalinks and archives', async () => {
+    const { outDir, pages, posts: built, categories, tags } = await buildSite({ root, output: 'site', title: 'Blog', validate: 'strict', posts });
+
+    assert.deepEqual(pages.sort(), [
+      'category/css/index.html', 'category/html/index.html', 'index.html',
+      'notes/second/index.html', 'posts/hello-world/index.html', 'tag/grid/index.html'
+    ]);
+    assert.deepEqual(built.map(post => post.url), ['/posts/hello-world/', '/notes/second/']);
+    assert.deepEqual(categories.map(({ text, count }) => `${text}:${count}`), ['CSS:2', 'HTML:1']);
+    assert.deepEqual(tags.map(({ url }) => url), ['/tag/grid/']);
+
+    const index = await read(outDir, 'index.html');
+    assert.ok(index.includes('href="/posts/hello-world/"'));
+    assert.ok(index.includes('href="classless.base.css"'));
+    assert.ok((await read(outDir, 'posts/hello-world/index.html')).includes('href="../../classless.base.css"'));
+    assert.ok(existsSync(path.join(outDir, 'classless.blog.css')));
+  });
+
+  it('rewrites only the files that changed when incremental', async () => {
+    const config = { root, output: 'incremental', title: 'Blog', validate: false, posts };
+    await buildSite(config, { incremental: true });
+    assert.deepEqual((await buildSite(config, { incremental: true })).changed, []);
+
+    const { changed } = await buildSite({ ...config, posts: [{ ...posts[0], content: '<p>Edited</p>' }, posts[1]] }, { incremental: true });
+    assert.deepEqual(changed.sort(), ['category/css/index.html', 'index.html', 'posts/hello-world/index.html', 'tag/grid/index.html']);
+  });
+
+  it('stops at two posts with the same URL', async () => {
+    await assert.rejects(
+      buildSite({ root, output: 'dup', title: 'Blog', validate: false, posts: [posts[0], { ...posts[0], date: '2025-11-01' }] }),
+      { message: 'Post "Hello World": URL /posts/hello-world/ is already used by Post "Hello World" (set a distinct `url` in its front matter)' }
+    );
+  });
+
+  it('lists HTML pages apart from the other files it writes', async () => {
+    const { pages, files } = await buildSite({ root, output: 'feeds', title: 'Blog', url: 'https://example.com', validate: false, posts });
+    assert.ok(pages.every(file => file.endsWith('.html')));
+    assert.ok(!pages.includes('feed.xml'));
+    assert.ok(files.includes('feed.xml') && files.includes('classless.base.css'));
+    assert.ok(pages.every(file => files.includes(file)));
+  });
+
+  it('writes every page in the render mode asked for', async () => {
+    const { outDir } = await buildSite({ root, output: 'minified', title: 'Blog', validate: false, renderMode: 'minify', posts });
+    assert.ok(!(await read(outDir, 'index.html')).includes('\n  '));
+  });
+});
+
+describe('cli', () => {
+  const cli = (...args) => run(process.execPath, [CLI, ...args], { cwd: root, timeout: 60000 });
+
+  before(() => writeFile(path.join(root, 'aggressive.config.js'), `export default ${JSON.stringify({ title: 'Blog', validate: false, output: 'cli', posts })};\n`));
+
+  it('builds the site from the config it finds', async () => {
+    const { stdout } = await cli('build', '--mode', 'minify');
+    assert.match(stdout, /^✓ Built 6 pages and 3 other files from 2 posts in \d+ ms\n📁 Output: cli\n$/);
+    assert.ok(existsSync(path.join(root, 'cli', 'index.html')));
+  });
+
+  it('never gives a flag the next argument as its value', async () => {
+    const { stdout } = await cli('new', 'pattern', '--dry-run', 'data-view', '--force', '--dir', root);
+    assert.equal(stdout, '· DataViewPage.js\n· classless.data-view.css\n· demo.data-view.html\n');
+    assert.ok(!existsSync(path.join(root, 'DataViewPage.js')));
+  });
+
+  it('stops at an option without its value', async () => {
+    await assert.rejects(cli('schema', '--out'), error => error.code === 1 && error.stderr === '\n❌ Error: --out needs a value\n');
+  });
+
+  it('takes --option=value', async () => {
+    await cli('schema', '--layout=docs', `--out=${path.join(root, 'docs.schema.json')}`);
+    assert.equal(JSON.parse(await readFile(path.join(root, 'docs.schema.json'), 'utf8')).properties.layout.const, 'docs');
+  });
+});
@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import BlogPage from '../BlogPage.js';
+import { loadContent, loadPosts, parseFrontMatter, parsePost, renderMarkdown } from '../content.js';
+
+const source = `---
+title: The Death of Class Soup
+date: November 8, 2025
+datetime: 2025-11-08
+author: Jane Doe
+description: Why class poison had to go
+categories: CSS
+tags: [bootstrap, history]
+---
+Classless **HTML**.
+`;
+
+describe('parseFrontMatter()', () => {
+  it('splits the YAML data from the Markdown body', () => {
+    assert.deepEqual(parseFrontMatter('---\r\ntitle: Hi\r\n---\r\nBody'), { data: { title: 'Hi' }, body: 'Body' });
+  });
+
+  it('reads a file without front matter as all body', () => {
+    assert.deepEqual(parseFrontMatter('# Just Markdown'), { data: {}, body: '# Just Markdown' });
+  });
+
+  it('rejects front matter that is not a mapping', () => {
+    assert.throws(() => parseFrontMatter('---\n- a\n---\n'), { message: 'Front matter must be a YAML mapping' });
+  });
+});
+
+describe('renderMarkdown()', () => {
+  it('emits class-free HTML and escapes code', () => {
+    assert.equal(renderMarkdown('# Hi\n\n```js\n<b>\n```'), '<h1>Hi</h1>\n<pre><code>&lt;b&gt;</code></pre>');
+  });
+});
+
+describe('parsePost()', () => {
+  it('turns a source into the post object addPost() takes', () => {
+    assert.deepEqual(parsePost(source, 'posts/class-soup.md'), {
+      title: 'The Death of Class Soup',
+      date: 'November 8, 2025',
+      datetime: '2025-11-08',
+      updated: undefined,
+      author: 'Jane Doe',
+      url: '/posts/class-soup/',
+      readMoreText: undefined,
+      description: 'Why class poison had to go',
+      translationKey: undefined,
+      categories: ['CSS'],
+      tags: ['bootstrap', 'history'],
+      draft: false,
+      content: '<p>Classless <strong>HTML</strong>.</p>',
+      source: 'posts/class-soup.md'
+    });
+  });
+
+  it('keeps the url of the front matter', () => {
+    assert.equal(parsePost(`---\ntitle: A\ndate: 2025-11-08\nurl: /notes/a/\n---\n`).url, '/notes/a/');
+  });
+
+  it('names the file and the key that is missing or wrong', () => {
+    assert.throws(() => parsePost('---\ntitle: A\n---\nx', 'posts/a.md'), { message: 'posts/a.md: front matter is missing "date"' });
+    assert.throws(() => parsePost('---\ndate: 2025-11-08\n---\nx', 'posts/a.md'), { message: 'posts/a.md: front matter is missing "title"' });
+    assert.throws(() => parsePost('---\ntitle: A\ndate: 2025-13-45\n---\nx', 'posts/a.md'), /^Error: posts\/a\.md: front matter "date": "2025-13-45" is not a valid date/);
+    assert.throws(() => parsePost('---\ntitle: [\n---\nx', 'posts/a.md'), /^Error: posts\/a\.md: Flow sequence/);
+  });
+});
+
+describe('loadPosts() and loadContent()', () => {
+  let dir;
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'aggressive-content-'));
+    await writeFile(path.join(dir, 'a-old.md'), '---\ntitle: Old\ndate: 2025-01-01\n---\nOld');
+    await writeFile(path.join(dir, 'b-new.md'), '---\ntitle: New\ndate: 2025-11-08T09:30:00Z\n---\nNew');
+    await writeFile(path.join(dir, 'c-draft.md'), '---\ntitle: Draft\ndate: 2025-12-01\ndraft: true\n---\nDraft');
+    await writeFile(path.join(dir, 'notes.txt'), 'not a post');
+  });
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it('loads the Markdown files newest first, without drafts', async () => {
+    assert.deepEqual((await loadPosts(dir)).map(post => post.title), ['New', 'Old']);
+    assert.deepEqual((await loadPosts(dir, { drafts: true })).map(post => post.title), ['Draft', 'New', 'Old']);
+  });
+
+  it('adds the posts to a page', async () => {
+    const page = new BlogPage({ title: 'Blog', validate: 'strict' });
+    await loadContent(page, dir);
+    assert.deepEqual(page.posts.map(post => post.url), ['/posts/b-new/', '/posts/a-old/']);
+    assert.ok(page.render().includes('<p>New</p>'));
+  });
+});
@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { promisify } from 'node:util';
+import BlogPage from '../BlogPage.js';
+import { buildSite } from '../build.js';
+import { checkTimeZone, formatDate, parseDate } from '../dates.js';
+
+const run = promisify(execFile);
+const paris = { timeZone: 'Europe/Paris' };
+const iso = (value, options) => parseDate(value, options).iso;
+
+describe('parseDate()', () => {
+  it('keeps dates without a time as calendar dates', () => {
+    assert.deepEqual(parseDate('2025-11-08'), { instant: new Date('2025-11-08T00:00:00Z'), dateOnly: true, iso: '2025-11-08' });
+    assert.equal(iso('November 8, 2025', paris), '2025-11-08');
+    assert.equal(iso('2024-02-29'), '2024-02-29');
+  });
+
+  it('reads a time without an offset in the site time zone', () => {
+    assert.equal(iso('2025-11-08T09:30', paris), '2025-11-08T08:30:00Z');
+    assert.equal(iso('2025-11-08 09:30:15.5', paris), '2025-11-08T08:30:15.500Z');
+    assert.equal(iso('Nov 8, 2025 9:30 AM', paris), '2025-11-08T08:30:00Z');
+    assert.equal(iso('2025-07-08T09:30', paris), '2025-07-08T07:30:00Z');
+  });
+
+  it('takes a time with an offset as the exact instant', () => {
+    assert.equal(iso('2025-11-08T09:30:00+02:00', paris), '2025-11-08T07:30:00Z');
+    assert.equal(iso('2025-11-08T09:30-0500', paris), '2025-11-08T14:30:00Z');
+    assert.equal(iso('2025-11-08T09:30Z', paris), '2025-11-08T09:30:00Z');
+    assert.equal(iso('Sat, 08 Nov 2025 09:30:00 GMT', paris), '2025-11-08T09:30:00Z');
+  });
+
+  it('moves a wall-clock time skipped by daylight saving forward', () => {
+    assert.equal(iso('2025-03-30T02:30', paris), '2025-03-30T01:30:00Z');
+  });
+
+  it('takes Dates and timestamps', () => {
+    assert.equal(iso(new Date('2025-11-08T09:30:00Z')), '2025-11-08T09:30:00Z');
+    assert.equal(iso(0), '1970-01-01T00:00:00Z');
+  });
+
+  it('rejects what is not a date, naming the value', () => {
+    for (const value of ['2025-02-29', '2025-13-01', '2025-11-08T24:00', '2025-11-08T09:60', 'soon', '', null, new Date('nope')]) {
+      assert.throws(() => parseDate(value), /is not a valid date \(use ISO 8601, e\.g\. 2025-11-08 or 2025-11-08T09:30:00Z\)$/, String(value));
+    }
+    assert.throws(() => parseDate('2025-02-30'), { message: '"2025-02-30" is not a valid date (use ISO 8601, e.g. 2025-11-08 or 2025-11-08T09:30:00Z)' });
+  });
+
+  it('does not depend on the time zone of the machine', async () => {
+    const code = `import { parseDate } from ${JSON.stringify(new URL('../dates.js', import.meta.url).href)};
+      console.log(['November 8, 2025', 'Nov 8, 2025 9:30 AM', '2025-11-08T09:30'].map(v => parseDate(v, { timeZone: 'Europe/Paris' }).iso).join(' '));`;
+    const outputs = await Promise.all(['Pacific/Kiritimati', 'America/Los_Angeles'].map(async TZ =>
+      (await run(process.execPath, ['--input-type=module', '-e', code], { env: { ...process.env, TZ }, timeout: 30000 })).stdout));
+    assert.deepEqual(outputs, Array(2).fill('2025-11-08 2025-11-08T08:30:00Z 2025-11-08T08:30:00Z\n'));
+  });
+});
+
+describe('formatDate()', () => {
+  it('never shows a time, or another day, for a calendar date', () => {
+    assert.equal(formatDate('2025-11-08', { timeZone: 'Pacific/Kiritimati' }), 'Saturday, November 8, 2025');
+    assert.equal(formatDate('2025-11-08', { timeZone: 'America/Los_Angeles' }), 'Saturday, November 8, 2025');
+  });
+
+  it('shows times in the site time zone and language', () => {
+    assert.equal(formatDate('2025-11-08T23:30Z', paris), 'Sunday, November 9, 2025 at 12:30 AM');
+    assert.equal(formatDate('2025-11-08T23:30Z', { locale: 'fr', preset: 'short' }), '8 nov. 2025');
+    assert.equal(formatDate('2025-11-08', { preset: { month: 'long', year: 'numeric', hour: 'numeric' } }), 'November 2025');
+  });
+
+  it('rejects an unknown preset', () => {
+    assert.throws(() => formatDate('2025-11-08', { preset: 'long' }), { message: 'Unknown date format "long" (available: date, datetime, short)' });
+  });
+});
+
+describe('checkTimeZone()', () => {
+  it('accepts IANA zones and rejects anything else', () => {
+    assert.equal(checkTimeZone('America/New_York'), 'America/New_York');
+    assert.throws(() => checkTimeZone('Mars/Olympus'), { message: 'Unknown time zone "Mars/Olympus" (use an IANA name like "UTC" or "America/New_York")' });
+    assert.throws(() => new BlogPage({ title: 'Blog', timeZone: 'CEST' }), /^Error: Unknown time zone "CEST"/);
+  });
+});
+
+describe('dates on pages', () => {
+  it('write the ISO date to <time datetime> and the display date in the site zone', () => {
+    const markup = new BlogPage({ title: 'Blog', timeZone: 'Europe/Paris' }).addPost({ title: 'Hi', date: '2025-11-08T23:30:00Z' }).render();
+    assert.ok(markup.includes('<time datetime="2025-11-08T23:30:00Z">Sunday, November 9, 2025 at 12:30 AM</time>'));
+  });
+
+  it('stop a build at an invalid date, naming the post', async () => {
+    const root = await mkdtemp(path.join(tmpdir(), 'aggressive-dates-'));
+    try {
+      await assert.rejects(buildSite({ root, title: 'Blog', validate: false, posts: [{ title: 'Hi', date: 'Novembr 8th' }] }), {
+        message: 'Post "Hi": "Novembr 8th" is not a valid date (use ISO 8601, e.g. 2025-11-08 or 2025-11-08T09:30:00Z)'
+      });
+
+      const { outDir } = await buildSite({ root, title: 'Blog', timeZone: 'America/New_York', validate: false, posts: [{ title: 'Hi', date: '2025-11-08', content: '<p>x</p>' }] });
+      assert.ok((await readFile(path.join(outDir, 'index.html'), 'utf8')).includes('<time datetime="2025-11-08">Saturday, November 8, 2025</time>'));
+    } finally {
+      await rm(root, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, describe, it } from 'node:test';
+import { buildSite } from '../build.js';
+import { absolutize, renderAtom, renderJsonFeed, renderRss } from '../feeds.js';
+
+const site = { title: 'Blog & Co', description: 'Notes', url: 'https://example.com/blog/', lang: 'en', author: 'Jane' };
+const posts = [
+  { title: 'Second <post>', date: '2025-11-09', url: '/posts/second/', content: '<p>Two <a href="/about/">about</a></p>', categories: ['CSS'], tags: ['grid'] },
+  { title: 'First', date: '2025-11-08T09:30:00Z', updated: '2025-11-10', url: '/posts/first/', content: '<p>One</p>' }
+];
+
+describe('absolutize()', () => {
+  const base = 'https://example.com/blog/';
+
+  it('makes root-relative href and src absolute', () => {
+    assert.equal(absolutize('<a href="/a/">x</a><img src="/i.png" alt="">', base), '<a href="https://example.com/blog/a/">x</a><img src="https://example.com/blog/i.png" alt="">');
+  });
+
+  it('leaves protocol-relative URLs alone', () => {
+    const markup = '<img src="//cdn.example.org/a.png" alt=""><a href="//other.example/">x</a>';
+    assert.equal(absolutize(markup, base), markup);
+  });
+
+  it('leaves data-src and other look-alike attributes alone', () => {
+    const markup = '<img data-src="/lazy.png" src="/i.png" alt=""><a data-href="/x">x</a>';
+    assert.equal(absolutize(markup, base), '<img data-src="/lazy.png" src="https://example.com/blog/i.png" alt=""><a data-href="/x">x</a>');
+  });
+
+  it('makes every root-relative srcset candidate absolute', () => {
+    assert.equal(
+      absolutize('<img alt="" srcset="/a-480.webp 480w, //cdn.example.org/b.webp 960w, https://x.org/c.webp 1440w">', base),
+      '<img alt="" srcset="https://example.com/blog/a-480.webp 480w, //cdn.example.org/b.webp 960w, https://x.org/c.webp 1440w">'
+    );
+  });
+
+  it('leaves relative and absolute URLs alone', () => {
+    const markup = '<a href="other/">x</a><a href="https://x.org/">y</a><a href="#top">z</a>';
+    assert.equal(absolutize(markup, base), markup);
+  });
+});
+
+describe('feed renderers', () => {
+  it('need an absolute site url', () => {
+    assert.throws(() => renderRss({ title: 'x' }, posts), /absolute site url/);
+  });
+
+  it('render RSS 2.0 with escaped titles, absolute links and categories', () => {
+    const rss = renderRss(site, posts);
+    assert.match(rss, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<rss version="2.0"/);
+    assert.ok(rss.includes('<title>Second &lt;post&gt;</title>'));
+    assert.ok(rss.includes('<link>https://example.com/blog/posts/second/</link>'));
+    assert.ok(rss.includes('<category>CSS</category>\n<category>grid</category>'));
+    assert.ok(rss.includes('<pubDate>Sun, 09 Nov 2025 00:00:00 GMT</pubDate>'));
+    assert.ok(rss.includes('&lt;a href=&quot;https://example.com/blog/about/&quot;&gt;'));
+  });
+
+  it('render Atom with published and updated dates', () => {
+    const atom = renderAtom(site, posts);
+    assert.ok(atom.includes('<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">'));
+    assert.ok(atom.includes('<published>2025-11-08T09:30:00Z</published>\n<updated>2025-11-10T00:00:00Z</updated>'));
+    assert.ok(atom.includes('<author><name>Jane</name></author>'));
+  });
+
+  it('render JSON Feed 1.1', () => {
+    const feed = JSON.parse(renderJsonFeed(site, posts));
+    assert.equal(feed.version, 'https://jsonfeed.org/version/1.1');
+    assert.equal(feed.feed_url, 'https://example.com/blog/feed.json');
+    assert.deepEqual(feed.items.map(item => item.url), ['https://example.com/blog/posts/second/', 'https://example.com/blog/posts/first/']);
+    assert.deepEqual(feed.items[0].tags, ['CSS', 'grid']);
+    assert.equal(feed.items[1].date_modified, '2025-11-10T00:00:00Z');
+  });
+});
+
+describe('feeds from the builder', () => {
+  const dirs = [];
+  after(() => Promise.all(dirs.map(dir => rm(dir, { recursive: true, force: true }))));
+
+  const build = async config => {
+    const root = await mkdtemp(path.join(tmpdir(), 'aggressive-feeds-'));
+    dirs.push(root);
+    const { outDir } = await buildSite({ root, output: 'out', title: 'Blog', url: 'https://example.com/', validate: false, ...config });
+    const read = file => readFile(path.join(outDir, file), 'utf8');
+    return { rss: await read('feed.xml'), atom: await read('atom.xml'), json: JSON.parse(await read('feed.json')) };
+  };
+
+  const content = '<p onclick="steal()">Hi<script>alert(1)</script> <a href="javascript:alert(1)">x</a> <img src="//cdn.example.org/a.png" alt=""></p>';
+
+  it('sanitize post content like the pages do', async () => {
+    const { rss, atom, json } = await build({ posts: [{ title: 'Hi', date: '2025-11-08', content }] });
+    const html = json.items[0].content_html;
+
+    assert.equal(html, '<p>Hi <a>x</a> <img src="//cdn.example.org/a.png" alt=""></p>');
+    for (const feed of [rss, atom]) {
+      assert.ok(!feed.includes('alert(1)'));
+      assert.ok(!feed.includes('onclick'));
+      assert.ok(!feed.includes('javascript:'));
+    }
+  });
+
+  it('keep content as it is with sanitize: false', async () => {
+    const { json } = await build({ sanitize: false, posts: [{ title: 'Hi', date: '2025-11-08', content }] });
+    assert.equal(json.items[0].content_html, content);
+  });
+});
@@ -0,0 +1,154 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import BlogPage from '../BlogPage.js';
+import { formatHtml, minifyHtml, prettyHtml } from '../format.js';
+
+describe('verbatim elements', () => {
+  const pre = '<pre>  indented\n\n    more  spaces\t<b>bold</b>\n</pre>';
+  const textarea = '<textarea name="note">  line one\n      line two  </textarea>';
+  const script = '<script>\n  if (a  <  b) {\n      go("  <p>  ");\n  }\n</script>';
+
+  for (const [name, element] of [['pre', pre], ['textarea', textarea], ['script', script]]) {
+    it(`keeps <${name}> content as written when minified`, () => {
+      assert.equal(minifyHtml(`<div>\n  <p>text</p>\n  ${element}\n</div>`), `<div><p>text</p>${element}</div>`);
+    });
+  }
+
+  it('keeps <pre> and <textarea> content as written when pretty', () => {
+    const out = prettyHtml(`<main><section>${pre}${textarea}</section></main>`);
+    assert.ok(out.includes(pre));
+    assert.ok(out.includes(textarea));
+  });
+
+  it('keeps <script> content lines as written when pretty', () => {
+    const out = prettyHtml(`<main><section>${script}</section></main>`);
+    assert.ok(out.includes('  if (a  <  b) {\n      go("  <p>  ");\n  }\n'));
+  });
+
+  it('indents a closing </script> like its opening tag', () => {
+    const out = prettyHtml('<body>\n<div>\n<script>\n        run();\n        </script>\n</div>\n</body>');
+    assert.equal(out, '<body>\n  <div>\n    <script>\n        run();\n    </script>\n  </div>\n</body>');
+  });
+
+  it("indents BlogPage's persist script closing tag with the script", () => {
+    const page = new BlogPage({ title: 'Blog', persist: true }).addNavLink({ text: 'Home', url: '/' });
+    const lines = page.render({ mode: 'pretty' }).split('\n');
+    const open = lines.find(line => line.trim() === '<script>');
+    const close = lines.find(line => line.trim() === '</script>');
+    assert.equal(close.indexOf('<'), open.indexOf('<'));
+  });
+
+  it('does not end a verbatim element at a nested tag of the same name', () => {
+    const markup = '<pre><pre>inner</pre>  tail </pre>';
+    assert.equal(minifyHtml(markup), markup);
+  });
+});
+
+describe('whitespace between inline elements', () => {
+  it('keeps one space between inline elements in minify mode', () => {
+    assert.equal(minifyHtml('<p>\n  <a href="/">one</a>\n  <em>two</em>   <strong>three</strong>\n</p>'), '<p><a href="/">one</a> <em>two</em> <strong>three</strong></p>');
+  });
+
+  it('keeps spaces between text and inline elements in minify mode', () => {
+    assert.equal(minifyHtml('<p>Read   <a href="/">more</a>  now.</p>'), '<p>Read <a href="/">more</a> now.</p>');
+  });
+
+  it('does not add a space where there was none', () => {
+    assert.equal(minifyHtml('<p><b>a</b><i>b</i></p>'), '<p><b>a</b><i>b</i></p>');
+  });
+
+  it('drops whitespace between blocks in minify mode', () => {
+    assert.equal(minifyHtml('<ul>\n  <li>a</li>\n  <li>b</li>\n</ul>'), '<ul><li>a</li><li>b</li></ul>');
+  });
+
+  it('puts inline elements separated only by spaces on their own lines in pretty mode', () => {
+    assert.equal(prettyHtml('<form><label>a</label> <label>b</label></form>'), '<form>\n  <label>a</label>\n  <label>b</label>\n</form>');
+  });
+});
+
+describe('implied close tags', () => {
+  it('does not invent optional close tags in minify mode', () => {
+    assert.equal(minifyHtml('<ul>\n  <li>one\n  <li>two\n</ul>'), '<ul><li>one<li>two</ul>');
+    assert.equal(minifyHtml('<table><tr><td>a<td>b</table>'), '<table><tr><td>a<td>b</table>');
+  });
+
+  it('nests elements closed by the next one in pretty mode', () => {
+    assert.equal(prettyHtml('<div><p>one<p>two</div>'), '<div>\n  <p>one\n  <p>two\n</div>');
+  });
+
+  it('copies void and self-closing tags as written', () => {
+    assert.equal(minifyHtml('<p>a<br>b<img src="x.png" alt=""/></p>'), '<p>a<br>b<img src="x.png" alt=""/></p>');
+  });
+});
+
+describe('comments', () => {
+  it('drops comments in minify mode', () => {
+    assert.equal(minifyHtml('<div>\n  <!-- note -->\n  <p>a <!-- inline --> b</p>\n</div>'), '<div><p>a b</p></div>');
+  });
+
+  it('keeps comments in pretty mode', () => {
+    assert.equal(prettyHtml('<div><!-- note --><p>x</p></div>'), '<div>\n  <!-- note -->\n  <p>x</p>\n</div>');
+  });
+
+  it('keeps comments inside verbatim elements', () => {
+    const markup = '<pre>a <!-- kept --> b</pre>';
+    assert.equal(minifyHtml(markup), markup);
+  });
+
+  it('keeps the doctype', () => {
+    assert.equal(minifyHtml('<!DOCTYPE html>\n<html>\n<body></body>\n</html>'), '<!DOCTYPE html><html><body></body></html>');
+  });
+});
+
+describe('formatHtml()', () => {
+  it('leaves the markup alone in default mode', () => {
+    const markup = '<div>\n    <p> a </p>\n</div>';
+    assert.equal(formatHtml(markup), markup);
+  });
+
+  it('minifies inline <style> in minify mode', () => {
+    assert.equal(formatHtml('<style>\n  a { color: red; }\n</style>', 'minify'), '<style>a{color:red}</style>');
+  });
+
+  it('rejects unknown modes', () => {
+    assert.throws(() => formatHtml('<p></p>', 'compact'), /Unknown render mode "compact"/);
+  });
+
+  it('renders the same text in every mode', () => {
+    const page = new BlogPage({ title: 'Blog' })
+      .addNavLink({ text: 'Home', url: '/' })
+      .addPost({ title: 'Hello', date: '2025-11-08', content: '<p>Hi <em>there</em>, <code>x  = 1</code></p><pre><code>  keep\n    this</code></pre>' });
+    const text = markup => markup.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+
+    const base = page.render();
+    assert.equal(text(page.render({ mode: 'pretty' })), text(base));
+    assert.equal(text(page.render({ mode: 'minify' })), text(base));
+    assert.ok(page.render({ mode: 'minify' }).includes('<pre><code>  keep\n    this</code></pre>'));
+  });
+});
+
+describe('render modes', () => {
+  const page = options => new BlogPage({ title: 'Blog', ...options })
+    .addNavLink({ text: 'Home', url: '/' })
+    .addPost({ title: 'Hello', date: '2025-11-08', content: '<p>Hi</p>' });
+
+  it('render in the mode the page was given unless render() asks for another', () => {
+    const pretty = page({ renderMode: 'pretty' });
+    assert.equal(pretty.render(), page().render({ mode: 'pretty' }));
+    assert.equal(pretty.render({ mode: 'default' }), page().render());
+    assert.equal(page().setRenderMode('minify').render(), page().render({ mode: 'minify' }));
+  });
+
+  it('indent each element two spaces under its parent in pretty mode', () => {
+    const lines = page().render({ mode: 'pretty' }).split('\n');
+    const depth = line => (line.length - line.trimStart().length) / 2;
+    assert.deepEqual(lines.slice(0, 4).map(depth), [0, 0, 1, 2]);
+    assert.equal(depth(lines.find(line => line.trim() === '<header>')), 2);
+    assert.ok(lines.every(line => Number.isInteger(depth(line))));
+  });
+
+  it('reject an unknown mode from the page too', () => {
+    assert.throws(() => page({ renderMode: 'compact' }), { message: 'Unknown render mode "compact" (available: default, pretty, minify)' });
+    assert.throws(() => page().setRenderMode('tidy'), /^Error: Unknown render mode "tidy"/);
+  });
+});
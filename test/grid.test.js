@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { generateGrids, gridCss, gridSpec, replaceGridBlock } from '../grid.js';
+import Page from '../Page.js';
+
+class TwoColumnPage extends Page {
+  static layout = 'two-column';
+  static stylesheet = 'classless.two-column.css';
+  static regions = [
+    { area: 'header', element: 'header', render: '_renderHeader' },
+    { area: 'aside', element: 'aside', render: '_renderAside' },
+    { area: 'main', element: 'main', render: '_renderMain' },
+    { area: 'alert', element: 'section#alert-region', render: '_renderAlertRegion' }
+  ];
+  static grid = {
+    columns: '10rem 1fr',
+    areas: ['header', 'aside main', 'alert'],
+    states: { 'aside-menu': ['header', 'main main', 'alert'] },
+    breakpoints: [{ maxWidth: '40rem', columns: '1fr', areas: ['header', 'main', 'aside', 'alert'] }]
+  };
+}
+
+describe('gridCss()', () => {
+  it('writes the template, toggle states, placement and breakpoints', () => {
+    assert.equal(gridCss(TwoColumnPage), `body {
+  grid-template-areas:
+    "header header"
+    "aside  main"
+    "alert  alert";
+  grid-template-columns: 10rem 1fr;
+}
+
+body:has(#aside-menu:checked) {
+  grid-template-areas:
+    "header header"
+    "main   main"
+    "alert  alert";
+}
+
+body > header {
+  grid-area: header;
+}
+
+body > aside {
+  grid-area: aside;
+}
+
+body > main {
+  grid-area: main;
+}
+
+body > section#alert-region {
+  grid-area: alert;
+}
+
+@media (max-width: 40rem) {
+  body,
+  body:has(#aside-menu:checked) {
+    grid-template-areas:
+      "header"
+      "main"
+      "aside"
+      "alert";
+    grid-template-columns: 1fr;
+  }
+}
+`);
+  });
+
+  it('stacks the regions in render order without a grid', () => {
+    class StackPage extends Page {
+      static regions = TwoColumnPage.regions;
+    }
+    assert.ok(gridCss(StackPage).startsWith('body {\n  grid-template-areas:\n    "header"\n    "aside"\n    "main"\n    "alert";\n  grid-template-columns: 1fr;\n}'));
+  });
+});
+
+describe('gridSpec()', () => {
+  const withGrid = grid => class extends TwoColumnPage {
+    static grid = grid;
+  };
+
+  it('rejects rows that do not fill the columns', () => {
+    assert.throws(() => gridSpec(withGrid({ columns: '1fr 1fr 1fr', areas: ['aside main'] })), /areas: row "aside main" has 2 cells for 3 columns \(1fr 1fr 1fr\)$/);
+  });
+
+  it('rejects areas that are not regions, in states and breakpoints too', () => {
+    assert.throws(() => gridSpec(withGrid({ areas: ['sidebar'] })), /areas: "sidebar" is not a region \(regions: header, aside, main, alert\)$/);
+    assert.throws(() => gridSpec(withGrid({ areas: ['main'], states: { x: ['footer'] } })), /state #x: "footer" is not a region/);
+    assert.throws(() => gridSpec(withGrid({ areas: ['main'], breakpoints: [{ maxWidth: '30rem', columns: '1fr', areas: ['nav'] }] })), /breakpoint 30rem: "nav" is not a region/);
+  });
+});
+
+describe('replaceGridBlock()', () => {
+  it('replaces only what is between the markers', () => {
+    const sheet = 'a {}\n/* @generated grid - do not edit */\nold\n/* @end generated grid */\nb {}\n';
+    assert.equal(replaceGridBlock(sheet, 'new\n'), 'a {}\n/* @generated grid - do not edit */\nnew\n/* @end generated grid */\nb {}\n');
+  });
+
+  it('names the stylesheet without markers', () => {
+    assert.throws(() => replaceGridBlock('a {}', 'x', 'classless.x.css'), { message: 'classless.x.css: missing "/* @generated grid */ ... /* @end generated grid */" markers' });
+  });
+});
+
+describe('generateGrids()', () => {
+  it('finds the shipped stylesheets up to date', async () => {
+    const results = await generateGrids({ check: true });
+    assert.ok(results.length > 0);
+    assert.deepEqual(results.filter(result => result.changed), []);
+  });
+
+  it('rewrites a stale grid, and only compares with check', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'aggressive-grid-'));
+    try {
+      const file = path.join(dir, TwoColumnPage.stylesheet);
+      const stale = '/* @generated grid */\nbody {}\n/* @end generated grid */\n';
+      await writeFile(file, stale);
+
+      assert.deepEqual(await generateGrids({ dir, check: true, layouts: [TwoColumnPage] }), [{ file, layout: 'two-column', changed: true }]);
+      assert.equal(await readFile(file, 'utf8'), stale);
+
+      await generateGrids({ dir, layouts: [TwoColumnPage] });
+      assert.equal(await readFile(file, 'utf8'), `/* @generated grid */\n${gridCss(TwoColumnPage)}/* @end generated grid */\n`);
+      assert.deepEqual(await generateGrids({ dir, check: true, layouts: [TwoColumnPage] }), [{ file, layout: 'two-column', changed: false }]);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
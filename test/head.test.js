@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import BlogPage from '../BlogPage.js';
+import { buildSite } from '../build.js';
+import { absUrl } from '../lib.js';
+
+const headOf = page => {
+  const markup = page.render();
+  return markup.slice(markup.indexOf('<head>'), markup.indexOf('</head>'));
+};
+
+describe('document head', () => {
+  it('writes only what was set', () => {
+    const head = headOf(new BlogPage({ title: 'Blog', validate: 'strict' }));
+    assert.ok(head.includes('<title>Blog</title>'));
+    assert.ok(!/canonical|og:|twitter:|rel="icon"|name="description"/.test(head));
+  });
+
+  it('fills Open Graph and Twitter from the page, Twitter from Open Graph', () => {
+    const head = headOf(new BlogPage({ title: 'Blog', description: 'All about CSS', validate: 'strict' })
+      .setDocumentTitle('Hello - Blog')
+      .setCanonical('https://example.com/hello/')
+      .setOpenGraph({ type: 'article', image: 'https://example.com/og.png', imageAlt: 'A red bike' })
+      .setTwitterCard({ site: '@blog' }));
+    for (const line of [
+      '<title>Hello - Blog</title>',
+      '<meta name="description" content="All about CSS">',
+      '<link rel="canonical" href="https://example.com/hello/">',
+      '<meta property="og:type" content="article">',
+      '<meta property="og:title" content="Hello - Blog">',
+      '<meta property="og:url" content="https://example.com/hello/">',
+      '<meta property="og:image:alt" content="A red bike">',
+      '<meta name="twitter:card" content="summary_large_image">',
+      '<meta name="twitter:image" content="https://example.com/og.png">',
+      '<meta name="twitter:image:alt" content="A red bike">'
+    ]) {
+      assert.ok(head.includes(line), line);
+    }
+  });
+
+  it('adds the favicon, manifest, custom meta, stylesheets and links after the classless ones', () => {
+    const head = headOf(new BlogPage({ title: 'Blog', validate: 'strict' })
+      .setFavicon('/favicon.svg', { type: 'image/svg+xml' })
+      .setManifest('/site.webmanifest')
+      .addMeta({ name: 'robots', content: 'noindex' })
+      .addStylesheet('/custom.css', { media: 'print' })
+      .addHeadLink({ rel: 'alternate', href: '/feed.xml', type: 'application/rss+xml' }));
+    assert.ok(head.includes('<link rel="icon" href="/favicon.svg" type="image/svg+xml">'));
+    assert.ok(head.includes('<link rel="manifest" href="/site.webmanifest">'));
+    assert.ok(head.includes('<meta name="robots" content="noindex">'));
+    assert.ok(head.indexOf('href="classless.blog.css"') < head.indexOf('<link rel="stylesheet" href="/custom.css" media="print">'));
+    assert.ok(head.includes('<link rel="alternate" href="/feed.xml" type="application/rss+xml">'));
+  });
+
+  it('escapes every value', () => {
+    const head = headOf(new BlogPage({ title: 'Blog', validate: 'strict' }).setDescription('"><script>x</script>'));
+    assert.ok(head.includes('<meta name="description" content="&quot;&gt;&lt;script&gt;x&lt;/script&gt;">'));
+  });
+});
+
+describe('absUrl()', () => {
+  it('keeps root-relative URLs under the path of the site URL', () => {
+    assert.equal(absUrl('/posts/a/', 'https://example.com/blog'), 'https://example.com/blog/posts/a/');
+    assert.equal(absUrl('img/a.png', 'https://example.com/blog/'), 'https://example.com/blog/img/a.png');
+  });
+
+  it('leaves absolute and protocol-relative URLs on their own host', () => {
+    assert.equal(absUrl('https://cdn.example.org/a.png', 'https://example.com'), 'https://cdn.example.org/a.png');
+    assert.equal(absUrl('//cdn.example.org/a.png', 'https://example.com/blog'), 'https://cdn.example.org/a.png');
+  });
+});
+
+describe('head in a build', () => {
+  it('gives every page its canonical URL and the site image', async () => {
+    const root = await mkdtemp(path.join(tmpdir(), 'aggressive-head-'));
+    try {
+      const { outDir } = await buildSite({
+        root, title: 'Blog', url: 'https://example.com/blog', image: '//cdn.example.org/og.png', favicon: '/favicon.svg', validate: false,
+        posts: [{ title: 'Hello', date: '2025-11-08', content: '<p>Hi</p>' }]
+      });
+      const post = await readFile(path.join(outDir, 'posts/hello/index.html'), 'utf8');
+      assert.ok(post.includes('<title>Hello - Blog</title>'));
+      assert.ok(post.includes('<link rel="canonical" href="https://example.com/blog/posts/hello/">'));
+      assert.ok(post.includes('<meta property="og:type" content="article">'));
+      assert.ok(post.includes('<meta property="og:image" content="https://cdn.example.org/og.png">'));
+      assert.ok(post.includes('<link rel="icon" href="/favicon.svg">'));
+    } finally {
+      await rm(root, { recursive: true, force: true });
+    }
+  });
+});
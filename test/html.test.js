@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import html, { indentLines, raw, SafeHTML } from '../html.js';
+import { SafeHTML as exported } from '../index.js';
+
+describe('html auto-escaping', () => {
+  it('escapes every interpolated value', () => {
+    const title = `<script>alert("x")</script> & 'co'`;
+    assert.equal(String(html`<h2>${title}</h2>`), '<h2>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &#039;co&#039;</h2>');
+  });
+
+  it('escapes values inside attributes', () => {
+    const url = '" onmouseover="steal()';
+    assert.equal(String(html`<a href="${url}">x</a>`), '<a href="&quot; onmouseover=&quot;steal()">x</a>');
+  });
+
+  it('writes numbers and true as text, and nothing for null, undefined and false', () => {
+    assert.equal(String(html`<p>${0}${1.5}${true}${null}${undefined}${false}</p>`), '<p>01.5true</p>');
+  });
+
+  it('escapes a plain String object like any other value', () => {
+    assert.equal(String(html`<p>${new String('<b>')}</p>`), '<p>&lt;b&gt;</p>');
+  });
+});
+
+describe('nested trusted fragments', () => {
+  it('keeps the markup of an inner template and escapes its values once', () => {
+    const name = '<Ada & Co>';
+    const inner = html`<strong>${name}</strong>`;
+    assert.equal(String(html`<p>${inner}</p>`), '<p><strong>&lt;Ada &amp; Co&gt;</strong></p>');
+  });
+
+  it('nests any number of levels deep without double escaping', () => {
+    const a = html`<em>${'&'}</em>`;
+    const b = html`<strong>${a}</strong>`;
+    const c = html`<p>${b}</p>`;
+    assert.equal(String(c), '<p><strong><em>&amp;</em></strong></p>');
+  });
+
+  it('indents a multi-line fragment to where it is interpolated', () => {
+    const list = html`
+      <ul>
+        <li>${'a'}</li>
+      </ul>`;
+    const out = html`
+      <nav>
+        ${list}
+      </nav>`;
+    assert.equal(String(out), '<nav>\n  <ul>\n    <li>a</li>\n  </ul>\n</nav>');
+  });
+
+  it('leaves an interpolated <pre> as written', () => {
+    const code = html`<pre><code>  a\n    b</code></pre>`;
+    const out = html`
+      <main>
+        ${code}
+      </main>`;
+    assert.equal(String(out), '<main>\n  <pre><code>  a\n    b</code></pre>\n</main>');
+  });
+});
+
+describe('arrays', () => {
+  it('join their items with newlines, escaping plain values', () => {
+    assert.equal(String(html`<p>${['<a>', 'b']}</p>`), '<p>&lt;a&gt;\nb</p>');
+  });
+
+  it('keep trusted items and drop empty ones', () => {
+    const items = ['x<y', null, false, ''].map(text => text && html`<li>${text}</li>`);
+    assert.equal(String(html`<ul>${[...items, raw('<li>raw</li>')]}</ul>`), '<ul><li>x&lt;y</li>\n<li>raw</li></ul>');
+  });
+
+  it('render nested arrays item by item', () => {
+    assert.equal(String(html`<p>${[['<a>'], [html`<b>b</b>`]]}</p>`), '<p>&lt;a&gt;\n<b>b</b></p>');
+  });
+});
+
+describe('raw()', () => {
+  it('opts a value out of escaping', () => {
+    assert.equal(String(html`<div>${raw('<b>bold</b>')}</div>`), '<div><b>bold</b></div>');
+  });
+
+  it('returns SafeHTML as it is and turns null into empty markup', () => {
+    const fragment = html`<p>x</p>`;
+    assert.equal(raw(fragment), fragment);
+    assert.equal(String(raw(null)), '');
+    assert.equal(String(raw(42)), '42');
+  });
+});
+
+describe('SafeHTML', () => {
+  it('is what html returns: a String object, not a primitive', () => {
+    const fragment = html`<p>${'Ada'}</p>`;
+    assert.ok(fragment instanceof SafeHTML);
+    assert.ok(fragment instanceof String);
+    assert.equal(typeof fragment, 'object');
+    assert.ok(fragment == '<p>Ada</p>');
+    assert.notEqual(fragment, '<p>Ada</p>');
+    assert.equal(String(fragment), '<p>Ada</p>');
+    assert.equal(`${fragment}`, '<p>Ada</p>');
+    assert.equal(fragment.length, 10);
+    assert.equal(JSON.stringify({ fragment }), '{"fragment":"<p>Ada</p>"}');
+  });
+
+  it('is exported by the package', () => {
+    assert.equal(exported, SafeHTML);
+  });
+
+  it('is empty for a template of blank lines', () => {
+    assert.equal(String(html`\n   \n`), '');
+  });
+});
+
+describe('dedenting', () => {
+  it('removes the common margin, blank edges and trailing spaces', () => {
+    const out = html`
+        <div>
+          <p>x</p>
+
+
+        </div>
+    `;
+    assert.equal(String(out), '<div>\n  <p>x</p>\n\n</div>');
+  });
+});
+
+describe('indentLines()', () => {
+  it('indents every line after the first, but not inside <pre>', () => {
+    assert.equal(indentLines('<div>\n<p>a</p>\n\n<pre>x\n  y</pre>\n</div>', '  '), '<div>\n  <p>a</p>\n\n  <pre>x\n  y</pre>\n  </div>');
+  });
+});
@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import BlogPage from '../BlogPage.js';
+import { buildSite } from '../build.js';
+import html from '../html.js';
+import { MESSAGES, registerMessages, textDirection, translator } from '../i18n.js';
+
+const post = { title: 'Hello', date: '2025-11-08', content: '<p>Hi</p>' };
+
+describe('textDirection()', () => {
+  it('is rtl for right-to-left languages, with or without a region', () => {
+    assert.equal(textDirection('ar'), 'rtl');
+    assert.equal(textDirection('he-IL'), 'rtl');
+    assert.equal(textDirection('fa_IR'), 'rtl');
+    assert.equal(textDirection('en'), 'ltr');
+  });
+
+  it('follows an explicit script subtag', () => {
+    assert.equal(textDirection('az-Arab'), 'rtl');
+    assert.equal(textDirection('ku-Latn'), 'ltr');
+  });
+});
+
+describe('translator()', () => {
+  it('falls back from the region to the language to English, then to the key', () => {
+    assert.equal(translator('fr-CA')('posts.readMore'), 'Lire la suite →');
+    assert.equal(translator('pt-BR')('posts.readMore'), 'Read more →');
+    assert.equal(translator('fr')('no.such.key'), 'no.such.key');
+  });
+
+  it('fills in placeholders and takes overrides first', () => {
+    assert.equal(translator('fr')('posts.inCategory', { name: 'CSS' }), 'Articles dans CSS');
+    assert.equal(translator('en', { 'posts.readMore': 'More' })('posts.readMore'), 'More');
+  });
+
+  it('escapes the message and plain params in t.html(), but not trusted ones', () => {
+    const t = translator('en', { greeting: '<b>Hi</b> {name} {link}' });
+    assert.equal(String(t.html('greeting', { name: '<Ada>', link: html`<a href="/">home</a>` })), '&lt;b&gt;Hi&lt;/b&gt; &lt;Ada&gt; <a href="/">home</a>');
+  });
+
+  it('adds or changes the strings of a language', () => {
+    try {
+      registerMessages('nl', { 'posts.readMore': 'Lees verder →' });
+      assert.equal(translator('nl-BE')('posts.readMore'), 'Lees verder →');
+      assert.equal(translator('nl')('aside.categories'), 'Categories');
+    } finally {
+      delete MESSAGES.nl;
+    }
+  });
+
+  it('ships every English key in every catalog', () => {
+    const keys = Object.keys(MESSAGES.en);
+    for (const [lang, messages] of Object.entries(MESSAGES)) {
+      assert.deepEqual(keys.filter(key => !(key in messages)), [], lang);
+    }
+  });
+});
+
+describe('localized pages', () => {
+  it('write lang, dir="rtl" and the strings and dates of their language', () => {
+    const markup = new BlogPage({ title: 'مدونة', lang: 'ar' }).addPost(post).render();
+    assert.ok(markup.includes('<html lang="ar" dir="rtl">'));
+    assert.ok(markup.includes('<time datetime="2025-11-08">السبت، 8 نوفمبر 2025</time>'));
+    assert.ok(markup.includes(`<section aria-label="${MESSAGES.ar['posts.label']}">`));
+  });
+
+  it('take the direction they are given', () => {
+    assert.ok(new BlogPage({ title: 'Blog', lang: 'en', dir: 'rtl' }).render().includes('<html lang="en" dir="rtl">'));
+    assert.ok(new BlogPage({ title: 'Blog', lang: 'fr' }).render().includes('<html lang="fr">'));
+  });
+
+  it('use per-page message overrides', () => {
+    assert.ok(new BlogPage({ title: 'Blog', messages: { 'posts.readMore': 'Keep reading' } }).addPost(post).render().includes('>Keep reading</a>'));
+  });
+});
+
+describe('stylesheets', () => {
+  it('use logical properties only, so right-to-left pages mirror', async () => {
+    const dir = new URL('..', import.meta.url);
+    const sheets = (await readdir(dir)).filter(file => /^classless\..*\.css$/.test(file));
+    for (const file of sheets) {
+      const css = await readFile(new URL(file, dir), 'utf8');
+      assert.doesNotMatch(css, /(margin|padding|border)-(left|right)\b|text-align:\s*(left|right)|float:\s*(left|right)/, file);
+    }
+  });
+});
+
+describe('multi-language builds', () => {
+  it('build each language under its base and link the translations', async () => {
+    const root = await mkdtemp(path.join(tmpdir(), 'aggressive-i18n-'));
+    try {
+      const { outDir, pages } = await buildSite({
+        root, title: 'Blog', url: 'https://example.com', validate: false,
+        posts: [{ ...post, translationKey: 'hello' }],
+        languages: { ar: { title: 'مدونة', posts: [{ ...post, title: 'مرحبا', url: '/posts/hello/', translationKey: 'hello' }] } }
+      });
+      assert.ok(pages.includes('ar/index.html') && pages.includes('ar/posts/hello/index.html'));
+
+      const arabic = await readFile(path.join(outDir, 'ar/posts/hello/index.html'), 'utf8');
+      assert.ok(arabic.includes('<html lang="ar" dir="rtl">'));
+      assert.ok(arabic.includes('<link rel="alternate" href="https://example.com/posts/hello/" hreflang="en">'));
+      assert.ok(arabic.includes('<link rel="alternate" href="https://example.com/ar/posts/hello/" hreflang="ar">'));
+      assert.ok(arabic.includes('<link rel="alternate" href="https://example.com/posts/hello/" hreflang="x-default">'));
+    } finally {
+      await rm(root, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import sharp from 'sharp';
+import { buildSite } from '../build.js';
+import { renderMarkdown } from '../content.js';
+import { createImageProcessor, renderPicture } from '../images.js';
+
+let root;
+before(async () => {
+  root = await mkdtemp(path.join(tmpdir(), 'aggressive-images-'));
+  await mkdir(path.join(root, 'static'));
+  const photo = await sharp({ create: { width: 1200, height: 600, channels: 3, background: '#c33' } }).png().toBuffer();
+  await writeFile(path.join(root, 'static', 'bike.png'), photo);
+  await writeFile(path.join(root, 'static', 'logo.svg'), '<svg xmlns="http://www.w3.org/2000/svg" width="40" height="20"></svg>');
+});
+after(() => rm(root, { recursive: true, force: true }));
+
+const processor = () => createImageProcessor({ root, dir: 'static', widths: [480, 960], formats: ['webp'] });
+
+describe('renderPicture()', () => {
+  it('writes a plain <img> without sources, alt="" when none is given', () => {
+    assert.equal(String(renderPicture({ src: '/a.svg', width: 40, height: 20 })), '<img src="/a.svg" alt="" width="40" height="20">');
+  });
+});
+
+describe('rewrite()', () => {
+  it('stops at an image without alt text, naming its post', async () => {
+    await assert.rejects(processor().rewrite('<p><img src="/bike.png"></p>', { owner: 'posts/hello.md' }), {
+      message: 'posts/hello.md: <img src="/bike.png"> has no alt text (describe the image, or use alt="" if it is decorative)'
+    });
+  });
+
+  it('accepts the alt="" of a Markdown image without a description', async () => {
+    const content = renderMarkdown('![](https://example.org/x.png)');
+    assert.equal(content, '<p><img src="https://example.org/x.png" alt=""></p>');
+    assert.equal(String(await processor().rewrite(content)), content);
+  });
+
+  it('leaves remote, protocol-relative and srcset images as written', async () => {
+    const markup = '<img src="https://example.org/a.png" alt="A"><img src="//cdn.example.org/b.png" alt="B"><img src="/bike.png" srcset="/bike.png 1x" alt="C">';
+    assert.equal(String(await processor().rewrite(markup)), markup);
+  });
+
+  it('turns a local image into a <picture> with every width, keeping the other attributes', async () => {
+    const images = processor();
+    const out = String(await images.rewrite('<p><img src="/bike.png" alt="A red bike" title="Mine"></p>'));
+
+    assert.match(out, /^<p>\n?\s*<picture>\n\s*<source type="image\/webp" srcset="\/images\/bike-[0-9a-f]{8}-480\.webp 480w, \/images\/bike-[0-9a-f]{8}-960\.webp 960w" sizes="[^"]+">/);
+    assert.match(out, /<img src="\/images\/bike-[0-9a-f]{8}-960\.png" alt="A red bike" width="960" height="480" srcset="[^"]+ 480w, [^"]+ 960w" sizes="\(min-width: 48rem\) 48rem, 100vw" title="Mine">/);
+    assert.ok(!out.includes('loading'));
+    assert.deepEqual(images.files.map(({ file }) => file.replace(/-[0-9a-f]{8}-/, '-#-')).sort(), [
+      'images/bike-#-480.png', 'images/bike-#-480.webp', 'images/bike-#-960.png', 'images/bike-#-960.webp'
+    ]);
+  });
+
+  it('copies SVGs as they are, with their size', async () => {
+    const images = processor();
+    const logo = await images.image('/logo.svg');
+    assert.match(logo.src, /^\/images\/logo-[0-9a-f]{8}\.svg$/);
+    assert.deepEqual([logo.width, logo.height, logo.sources], [40, 20, []]);
+    assert.deepEqual(images.files.map(({ file }) => file), [logo.src.slice(1)]);
+  });
+
+  it('names the post of a missing image', async () => {
+    await assert.rejects(processor().rewrite('<img src="gone.png" alt="">', { from: root, owner: 'posts/a.md' }), /^Error: posts\/a\.md: image "gone\.png" not found/);
+  });
+});
+
+describe('lazyLoader()', () => {
+  it('counts the images of every fragment of one page', () => {
+    const lazy = createImageProcessor({ root, eager: 2 }).lazyLoader();
+    assert.equal(String(lazy('<img src="a.png" alt="">')), '<img src="a.png" alt="">');
+    assert.equal(String(lazy('<img src="b.png" alt=""><img src="c.png" alt="C">')), '<img src="b.png" alt=""><img src="c.png" alt="C" loading="lazy">');
+    assert.equal(String(lazy('<img src="d.png" alt="" loading="eager">')), '<img src="d.png" alt="" loading="eager">');
+  });
+
+  it('starts again for the next page', () => {
+    const images = createImageProcessor({ root });
+    images.lazyLoader()('<img src="a.png" alt="">');
+    assert.equal(String(images.lazyLoader()('<img src="a.png" alt="">')), '<img src="a.png" alt="">');
+  });
+
+  it('leaves fragments without images alone', () => {
+    const markup = '<p>No images</p>';
+    assert.equal(createImageProcessor({ root }).lazyLoader()(markup), markup);
+  });
+});
+
+describe('images in a build', () => {
+  it('loads the first image of each page straight away and the rest lazily', async () => {
+    const { outDir } = await buildSite({
+      root,
+      output: 'out',
+      title: 'Blog',
+      validate: false,
+      images: { dir: 'static', widths: [480], formats: [] },
+      logo: { src: '/logo.svg', alt: 'Logo' },
+      posts: [
+        { title: 'One', date: '2025-11-09', content: '<p><img src="/bike.png" alt="Bike one"></p>' },
+        { title: 'Two', date: '2025-11-08', content: '<p><img src="https://example.org/two.png" alt="Bike two"></p>' }
+      ]
+    });
+    const read = file => readFile(path.join(outDir, file), 'utf8');
+    const loading = markup => [...markup.matchAll(/<img [^>]*alt="Bike (\w+)"[^>]*>/g)].map(([tag, name]) => `${name}:${tag.includes('loading="lazy"') ? 'lazy' : 'eager'}`);
+
+    assert.deepEqual(loading(await read('index.html')), ['one:eager', 'two:lazy']);
+    assert.deepEqual(loading(await read('posts/one/index.html')), ['one:eager']);
+    assert.deepEqual(loading(await read('posts/two/index.html')), ['two:eager']);
+    assert.match(await read('index.html'), /<img src="\/images\/logo-[0-9a-f]{8}\.svg" alt="Logo" width="40" height="20">/);
+  });
+
+  it('stops at a logo without alt text', async () => {
+    await assert.rejects(
+      buildSite({ root, output: 'no-alt', title: 'Blog', validate: false, images: { dir: 'static' }, logo: { src: '/logo.svg' }, posts: [] }),
+      { message: 'logo: "/logo.svg" has no alt text' }
+    );
+  });
+});
@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import ArticlePage from '../ArticlePage.js';
+import BlogPage from '../BlogPage.js';
+import DocsPage from '../DocsPage.js';
+import { LAYOUTS } from '../layouts.js';
+import PricingPage from '../PricingPage.js';
+import { jsonSchema } from '../schema.js';
+
+const run = promisify(execFile);
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+const roundTrip = page => page.constructor.fromJSON(JSON.parse(JSON.stringify(page)));
+
+const blog = () => new BlogPage({ title: 'Tech Insights', subtitle: 'Notes', lang: 'fr', theme: 'high-contrast', persist: true, validate: 'strict' })
+  .setDocumentTitle('Accueil - Tech Insights')
+  .setDescription('Articles')
+  .setCanonical('https://example.com/')
+  .setOpenGraph({ type: 'website', image: 'https://example.com/og.png', imageAlt: 'Logo' })
+  .setFavicon('/favicon.svg', { type: 'image/svg+xml' })
+  .addStylesheet('/custom.css')
+  .addMeta({ name: 'robots', content: 'noindex' })
+  .addHeadLink({ rel: 'alternate', href: '/feed.xml', type: 'application/rss+xml' })
+  .setLogo({ src: '/logo.svg', alt: 'Tech Insights' })
+  .addNavLink({ text: 'Accueil', url: '/', ariaCurrent: 'page' })
+  .addCategory({ text: 'CSS', url: '/category/css/', count: 2 })
+  .addPagerLink({ text: '2', url: '/page/2/', rel: 'next' })
+  .setSearch({ url: '/search/', index: '/search.json' })
+  .addPost({ title: 'Bonjour', date: '2025-11-08', content: '<p>Salut</p>', url: '/posts/bonjour/', categories: ['CSS'], tags: ['grid'], author: 'Jane Doe' })
+  .setFooter('<p>© 2025</p>')
+  .addAlert('<p>Nouveau</p>');
+
+describe('toJSON() and fromJSON()', () => {
+  it('rebuild a page that renders byte for byte the same', () => {
+    const page = blog();
+    assert.equal(roundTrip(page).render(), page.render());
+    assert.equal(JSON.stringify(roundTrip(page)), JSON.stringify(page));
+  });
+
+  it('do the same for every page type', () => {
+    const pages = [
+      new ArticlePage({ title: 'Blog', validate: 'strict' })
+        .setArticle({ title: 'Hello', date: '2025-11-08', updated: '2025-11-09', content: '<h2>A</h2><h3>B</h3>' })
+        .setAdjacent({ next: { title: 'Next', url: '/next/' } })
+        .setTocLevels([2]),
+      new PricingPage({ title: 'Plans', validate: 'strict' })
+        .addTier({ name: 'Pro', price: 29, features: ['10 sites'], featured: true, ctaUrl: '/pro' })
+        .addComparison({ feature: 'Domain', values: { Pro: true } })
+        .addTestimonial({ quote: 'Great', name: 'Ada' })
+        .addFaq({ question: 'Why?', answer: '<p>Because.</p>' }),
+      new DocsPage({ title: 'Docs', validate: 'strict' })
+        .addSection({ title: 'Start', links: [{ text: 'Install', url: '/install/' }] })
+        .setDoc({ title: 'Install', content: '<p>npm i</p>', editUrl: 'https://example.com/edit' })
+        .setAdjacent({ previous: { title: 'Intro', url: '/intro/' } })
+    ];
+    for (const page of pages) {
+      assert.equal(roundTrip(page).render(), page.render(), page.constructor.name);
+    }
+  });
+
+  it('write the layout they describe', () => {
+    assert.deepEqual([...LAYOUTS.values()].map(PageClass => new PageClass({ title: 'x' }).toJSON().layout), [...LAYOUTS.keys()]);
+  });
+
+  it('build the README example', () => {
+    const page = BlogPage.fromJSON({
+      layout: 'blog',
+      options: { title: 'Tech Insights', lang: 'en', validate: 'strict' },
+      logo: { src: '/logo.svg', alt: 'Tech Insights' },
+      navLinks: [{ text: 'Home', url: '/', ariaCurrent: 'page' }],
+      posts: [{ title: 'Hello', date: '2025-11-08', content: '<p>Hi</p>', url: '/posts/hello/' }],
+      footer: '© 2025 Tech Insights'
+    });
+    assert.ok(page.render().includes('<a href="/posts/hello/">'));
+  });
+
+  it('reject what is not a description of their layout', () => {
+    assert.throws(() => BlogPage.fromJSON(null), { message: 'BlogPage.fromJSON(): expected an object, got null' });
+    assert.throws(() => BlogPage.fromJSON('{}'), { message: 'BlogPage.fromJSON(): expected an object, got string' });
+    assert.throws(() => BlogPage.fromJSON({ layout: 'docs' }), { message: 'BlogPage.fromJSON(): this describes a "docs" page, not "blog"' });
+  });
+
+  it('report misspelled parts and arguments', () => {
+    assert.throws(() => BlogPage.fromJSON({ options: { title: 'Blog', validate: 'strict' }, navlinks: [] }), {
+      message: 'BlogPage.fromJSON(): unknown key "navlinks" (did you mean "navLinks"?)'
+    });
+    assert.throws(() => BlogPage.fromJSON({ options: { title: 'Blog', validate: 'strict' }, navLinks: [{ text: 'Home', href: '/' }] }), /^Error: BlogPage\.addNavLink\(\): unknown key "href"/);
+  });
+});
+
+describe('jsonSchema()', () => {
+  it('matches the published blog.schema.json', async () => {
+    assert.deepEqual(JSON.parse(await readFile(new URL('../blog.schema.json', import.meta.url), 'utf8')), jsonSchema(BlogPage));
+  });
+
+  it('has a property for every part a page writes', () => {
+    for (const PageClass of LAYOUTS.values()) {
+      const { properties, additionalProperties } = jsonSchema(PageClass);
+      assert.equal(additionalProperties, false);
+      const json = JSON.parse(JSON.stringify(PageClass === BlogPage ? blog() : new PageClass({ title: 'x' })));
+      assert.deepEqual(Object.keys(json).filter(key => !(key in properties)), [], PageClass.name);
+      assert.equal(properties.layout.const, PageClass.layout);
+    }
+  });
+});
+
+describe('aggressive render', () => {
+  it('renders a description with the class of its layout', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'aggressive-json-'));
+    try {
+      const page = new DocsPage({ title: 'Docs' }).setDoc({ title: 'Install', content: '<p>npm i</p>' });
+      await writeFile(path.join(dir, 'page.json'), JSON.stringify(page));
+      await run(process.execPath, [CLI, 'render', 'page.json', '--out', 'index.html'], { cwd: dir, timeout: 30000 });
+      assert.equal(await readFile(path.join(dir, 'index.html'), 'utf8'), page.render() + '\n');
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
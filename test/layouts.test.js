@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import ArticlePage from '../ArticlePage.js';
+import BlogPage from '../BlogPage.js';
+import DocsPage from '../DocsPage.js';
+import { getLayout, LAYOUTS, layoutForStylesheet, registerLayout } from '../layouts.js';
+import Page from '../Page.js';
+import PricingPage from '../PricingPage.js';
+import SearchPage from '../SearchPage.js';
+
+describe('layout registry', () => {
+  it('knows every built-in page type by name', () => {
+    assert.deepEqual([...LAYOUTS.keys()], ['blog', 'article', 'search', 'pricing', 'docs']);
+    assert.equal(getLayout('pricing'), PricingPage);
+    assert.equal(getLayout('article'), ArticlePage);
+    assert.equal(getLayout('search'), SearchPage);
+  });
+
+  it('names the layouts there are when one is unknown', () => {
+    assert.throws(() => getLayout('landing'), { message: 'Unknown layout "landing" (available: blog, article, search, pricing, docs)' });
+  });
+
+  it('finds a layout from its stylesheet, bundled or content-hashed', () => {
+    assert.equal(layoutForStylesheet('../classless.docs.css'), DocsPage);
+    assert.equal(layoutForStylesheet('/classless.pricing.1a2b3c4d.css?v=2'), PricingPage);
+    assert.equal(layoutForStylesheet('classless.blog.css'), BlogPage);
+    assert.equal(layoutForStylesheet('theme.css'), null);
+  });
+
+  it('registers a Page subclass and nothing else', () => {
+    class LandingPage extends Page {
+      static layout = 'landing';
+    }
+    try {
+      assert.equal(registerLayout(LandingPage), LandingPage);
+      assert.equal(getLayout('landing'), LandingPage);
+    } finally {
+      LAYOUTS.delete('landing');
+    }
+    assert.throws(() => registerLayout(class Landing {}), { message: 'Landing must extend Page to be registered as a layout' });
+  });
+});
+
+describe('regions', () => {
+  const bodyChildren = markup => [...markup.match(/<body[^>]*>([\s\S]*)<\/body>/)[1].matchAll(/^  <([a-z]+)(?: id="([^"]+)")?/gm)]
+    .map(([, tag, id]) => id ? `${tag}#${id}` : tag);
+
+  it('render in the order a page type declares them', () => {
+    const page = new DocsPage({ title: 'Docs', validate: 'strict' })
+      .addNavLink({ text: 'Home', url: '/' })
+      .addSection({ title: 'Start', links: [{ text: 'Install', url: '/docs/install/' }] })
+      .setDoc({ title: 'Install', content: '<p>npm install aggressive</p>' });
+    assert.deepEqual(bodyChildren(page.render()), DocsPage.regions.map(region => region.element));
+  });
+
+  it('come with the stylesheet of the layout', () => {
+    const markup = new PricingPage({ title: 'Plans', validate: 'strict' }).render();
+    assert.ok(markup.includes('href="classless.base.css"'));
+    assert.ok(markup.includes('href="classless.pricing.css"'));
+  });
+});
+
+describe('PricingPage', () => {
+  it('renders plans, the featured one labelled, and the comparison by tier name', () => {
+    const markup = new PricingPage({ title: 'Plans', validate: 'strict' })
+      .addTier({ name: 'Basic', price: '$9', period: '/month', features: ['1 site'], ctaUrl: '/signup/basic' })
+      .addTier({ name: 'Pro', price: '$29', features: ['10 sites'], featured: true, ctaText: 'Go Pro', ctaUrl: '/signup/pro' })
+      .addComparison({ feature: 'Custom domain', values: { Basic: false, Pro: true } })
+      .render();
+    assert.match(markup, /<section id="pricing-tiers" aria-label="[^"]+">/);
+    assert.match(markup, /<article aria-label="[^"]+">\s*<header>\s*<h2>Pro<\/h2>/);
+    assert.ok(markup.includes('<p>$9 <small>/month</small></p>'));
+    assert.ok(markup.includes('<a href="/signup/pro">Go Pro</a>'));
+    assert.match(markup, /<th scope="row">Custom domain<\/th>\s*<td aria-label="[^"]+">—<\/td>\s*<td aria-label="[^"]+">✓<\/td>/);
+  });
+
+  it('sanitizes FAQ answers and survives a JSON round trip', () => {
+    const page = new PricingPage({ title: 'Plans', validate: 'strict' })
+      .addFaq({ question: 'Refunds?', answer: '<p onclick="x()">Yes.</p>' });
+    assert.ok(page.render().includes('<p>Yes.</p>'));
+    const json = JSON.parse(JSON.stringify(page));
+    assert.deepEqual(PricingPage.fromJSON(json).toJSON(), json);
+  });
+});
+
+describe('DocsPage', () => {
+  it('puts the sections in <aside> and links the neighbouring docs', () => {
+    const markup = new DocsPage({ title: 'Docs', validate: 'strict' })
+      .addSection({ title: 'Start', links: [{ text: 'Install', url: '/docs/install/', ariaCurrent: 'page' }] })
+      .setDoc({ title: 'Install', content: '<p>npm install aggressive</p>', updated: '2025-11-08' })
+      .setAdjacent({ next: { title: 'Configure', url: '/docs/config/' } })
+      .render();
+    assert.match(markup, /<aside[^>]*>[\s\S]*<a href="\/docs\/install\/" aria-current="page">Install<\/a>[\s\S]*<\/aside>/);
+    assert.ok(markup.includes('<time datetime="2025-11-08">'));
+    assert.ok(markup.includes('href="/docs/config/"'));
+  });
+});
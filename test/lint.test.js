@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import ArticlePage from '../ArticlePage.js';
+import BlogPage from '../BlogPage.js';
+import DocsPage from '../DocsPage.js';
+import { formatProblems, lintFiles, lintHtml } from '../lint.js';
+import Page from '../Page.js';
+
+const rulesOf = problems => problems.map(({ rule, severity }) => `${rule}:${severity}`);
+const doc = (body, stylesheet = 'classless.blog.css') => `<!DOCTYPE html>
+<html><head><link rel="stylesheet" href="${stylesheet}"></head>
+<body>
+${body}
+</body></html>`;
+
+describe('lintHtml()', () => {
+  it('passes the pages the package renders', () => {
+    const blog = new BlogPage({ title: 'Blog' }).addNavLink({ text: 'Home', url: '/' }).addPost({ title: 'Hello', date: '2025-11-08', content: '<p>Hi</p>' });
+    const article = new ArticlePage({ title: 'Blog' }).setArticle({ title: 'Hello', date: '2025-11-08', content: '<h2>A</h2><h3>B</h3>' });
+    const docs = new DocsPage({ title: 'Docs' }).setDoc({ title: 'Install', content: '<p>npm i</p>' });
+    for (const page of [blog, article, docs]) {
+      assert.deepEqual(lintHtml(page.render()), []);
+    }
+  });
+
+  it('reports classes, divs and images without alt, with their position', () => {
+    const problems = lintHtml(doc('<main>\n  <div class="row"><img src="a.png"><img src="b.png" alt=""></div>\n</main>'), { file: 'index.html' });
+    assert.deepEqual(problems.map(({ file, line, column, rule }) => [file, line, column, rule]), [
+      ['index.html', 5, 3, 'no-class'],
+      ['index.html', 5, 3, 'no-div'],
+      ['index.html', 5, 20, 'img-alt']
+    ]);
+    assert.equal(problems[2].message, '<img src="a.png"> has no alt text (use alt="" for decorative images)');
+  });
+
+  it('warns about skipped heading levels', () => {
+    const problems = lintHtml(doc('<main><h2>A</h2><h4>B</h4></main>'));
+    assert.deepEqual(rulesOf(problems), ['heading-order:warning']);
+    assert.equal(problems[0].message, '<h4> follows <h2>; heading levels should not be skipped');
+  });
+
+  it('checks the landmarks', () => {
+    assert.deepEqual(rulesOf(lintHtml(doc('<header></header>'))), ['landmarks:error']);
+    assert.deepEqual(rulesOf(lintHtml(doc('<main></main><aside><main></main></aside>'))), ['landmarks:error', 'landmarks:error']);
+    assert.deepEqual(rulesOf(lintHtml(doc('<main><nav></nav><nav aria-label="A"></nav><nav aria-label="A"></nav></main>'))), ['landmarks:warning', 'landmarks:warning']);
+  });
+
+  it('allows only the regions of the layout the page links to, once each', () => {
+    assert.deepEqual(lintHtml(doc('<aside></aside><main></main>')), []);
+    assert.deepEqual(lintHtml(doc('<aside></aside><main></main><script></script>', '/classless.docs.1a2b3c4d.css')), []);
+
+    const [extra, second] = lintHtml(doc('<main></main><section></section><main></main>'));
+    assert.equal(extra.message.split(' (')[0], '<section> is not a region of the blog layout');
+    assert.equal(second.message, 'second <main> in <body>; the "main" grid area is already taken');
+  });
+
+  it('takes the layout it is given', () => {
+    const [problem] = lintHtml(doc('<main></main><section id="pricing-tiers"></section>'), { layout: 'docs' });
+    assert.match(problem.message, /^<section> is not a region of the docs layout/);
+  });
+
+  it('enforces the children a region lists', () => {
+    class DashboardPage extends Page {
+      static layout = 'dashboard';
+      static regions = [{ area: 'main', element: 'main', render: '_renderMain', children: ['section#metrics', 'h2'] }];
+    }
+    const problems = lintHtml(doc('<main><h2>Hi</h2><section id="metrics"></section><section id="other"></section></main>'), { layout: DashboardPage });
+    assert.deepEqual(problems.map(p => p.message), ['<section#other> is not allowed in <main> (allowed: section#metrics, h2)']);
+  });
+
+  it('runs only the rules it is asked for', () => {
+    assert.deepEqual(rulesOf(lintHtml(doc('<main><div class="x"></div></main>'), { rules: ['no-div'] })), ['no-div:error']);
+  });
+});
+
+describe('lintFiles()', () => {
+  let dir;
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'aggressive-lint-'));
+    await mkdir(path.join(dir, 'posts'));
+    await writeFile(path.join(dir, 'index.html'), doc('<main></main>'));
+    await writeFile(path.join(dir, 'posts', 'index.html'), doc('<main><div></div></main>'));
+    await writeFile(path.join(dir, 'feed.xml'), '<div class="x"></div>');
+  });
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it('lints every HTML file of a directory', async () => {
+    const { files, problems } = await lintFiles([dir]);
+    assert.deepEqual(files.map(file => path.relative(dir, file)), ['index.html', path.join('posts', 'index.html')]);
+    assert.equal(formatProblems(problems), `${path.join(dir, 'posts', 'index.html')}:4:7  error    <div> wrapper; use a semantic element or no wrapper at all  (no-div)`);
+  });
+});
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { existsSync } from 'node:fs';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import BlogPage from '../BlogPage.js';
+import { applyPagination, buildSite, paginate } from '../build.js';
+
+const numbers = [1, 2, 3, 4, 5];
+
+describe('paginate()', () => {
+  it('cuts posts into pages of `size`, the first one at the base URL', () => {
+    assert.deepEqual(paginate(numbers, 2, '/tag/grid/'), [
+      { number: 1, url: '/tag/grid/', posts: [1, 2] },
+      { number: 2, url: '/tag/grid/page/2/', posts: [3, 4] },
+      { number: 3, url: '/tag/grid/page/3/', posts: [5] }
+    ]);
+  });
+
+  it('keeps everything on one page without a positive size', () => {
+    assert.deepEqual(paginate(numbers, 0), [{ number: 1, url: '/', posts: numbers }]);
+  });
+
+  it('still has a first page when there are no posts', () => {
+    assert.deepEqual(paginate([], 10), [{ number: 1, url: '/', posts: [] }]);
+  });
+});
+
+describe('applyPagination()', () => {
+  const page = () => new BlogPage({ title: 'Blog', validate: 'strict' }).addPost({ title: 'Hello', date: '2025-11-08' });
+
+  it('links the newer and older pages around the numbered ones', () => {
+    const pages = paginate(numbers, 2);
+    const { pagerLinks } = applyPagination(page(), pages, 1);
+    assert.deepEqual(pagerLinks.map(({ text, url, ariaCurrent, rel }) => [text, url, ariaCurrent, rel]), [
+      ['← Newer', '/', null, 'prev'],
+      ['1', '/', null, null],
+      ['2', '/page/2/', 'page', null],
+      ['3', '/page/3/', null, null],
+      ['Older →', '/page/3/', null, 'next']
+    ]);
+  });
+
+  it('adds rel prev/next links to the head and renders the Pagination nav', () => {
+    const html = applyPagination(page(), paginate(numbers, 2), 0).render();
+    assert.ok(!html.includes('<link rel="prev"'));
+    assert.ok(html.includes('<link rel="next" href="/page/2/">'));
+    assert.match(html, /<nav aria-label="Pagination">\s*<ul>\s*<li><a href="\/" aria-current="page">1<\/a><\/li>/);
+    assert.ok(html.includes('<li><a href="/page/2/" rel="next">Older →</a></li>'));
+  });
+
+  it('leaves a single page alone', () => {
+    assert.deepEqual(applyPagination(page(), paginate(numbers, 10), 0).pagerLinks, []);
+  });
+});
+
+describe('paginated builds', () => {
+  it('write /page/<n>/ for the index and every archive', async () => {
+    const root = await mkdtemp(path.join(tmpdir(), 'aggressive-pagination-'));
+    try {
+      const posts = ['One', 'Two', 'Three'].map((title, i) => ({ title, date: `2025-11-0${i + 1}`, content: `<p>${title}</p>`, tags: ['grid'] }));
+      const { outDir, pages } = await buildSite({ root, title: 'Blog', validate: false, pageSize: 2, posts });
+      assert.ok(pages.includes('page/2/index.html') && pages.includes('tag/grid/page/2/index.html'));
+      assert.ok(!existsSync(path.join(outDir, 'page/3')));
+
+      // The newest posts come first, in whatever order the config lists them
+      const second = await readFile(path.join(outDir, 'page/2/index.html'), 'utf8');
+      assert.ok(second.includes('<h2>One</h2>') && !second.includes('<h2>Three</h2>'));
+      assert.ok(second.includes('<link rel="prev" href="/">'));
+    } finally {
+      await rm(root, { recursive: true, force: true });
+    }
+  });
+});
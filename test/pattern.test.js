@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, describe, it } from 'node:test';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { scaffoldPattern, starterPattern, validatePattern } from '../pattern.js';
+
+const dashboard = {
+  name: 'dashboard',
+  description: 'Application interface with metrics',
+  regions: [
+    { area: 'header', element: 'header' },
+    { area: 'nav', element: 'nav' },
+    { area: 'main', element: 'main', children: [{ element: 'section#metrics', description: 'KPI cards' }] },
+    { area: 'footer', element: 'footer' },
+    { area: 'alert', element: 'section#alert-region' }
+  ],
+  grid: { columns: '16rem 1fr', areas: ['header header', 'nav main', 'footer footer', 'alert alert'] },
+  tokens: { '--metric-min-width': '12rem' },
+  methods: [{ name: 'addMetric', params: ['title', 'value'], description: 'Add a KPI card' }]
+};
+
+const paths = problems => problems.map(problem => problem.path);
+
+describe('validatePattern()', () => {
+  it('accepts a complete pattern and the starter', () => {
+    assert.deepEqual(validatePattern(dashboard), []);
+    assert.deepEqual(validatePattern(starterPattern('data-view')), []);
+  });
+
+  for (const name of ['a--b', 'a-', '-a', 'Data', '1a', 'data_view']) {
+    it(`rejects the name "${name}"`, () => {
+      assert.deepEqual(paths(validatePattern({ ...dashboard, name })), ['name']);
+    });
+  }
+
+  it('accepts hyphenated names and areas', () => {
+    const regions = dashboard.regions.map(region => region.area === 'nav' ? { ...region, area: 'side-nav-2' } : region);
+    const grid = { ...dashboard.grid, areas: ['header header', 'side-nav-2 main', 'footer footer', 'alert alert'] };
+    assert.deepEqual(validatePattern({ ...dashboard, name: 'data-view-2', regions, grid }), []);
+  });
+
+  for (const area of ['side--nav', 'nav-', 'Nav']) {
+    it(`rejects the region area "${area}"`, () => {
+      const regions = dashboard.regions.map(region => region.area === 'nav' ? { ...region, area } : region);
+      assert.ok(paths(validatePattern({ ...dashboard, regions, grid: undefined })).includes('regions[1].area'));
+    });
+  }
+
+  it('rejects divs, duplicate ids, missing main and unknown keys', () => {
+    const problems = validatePattern({
+      name: 'broken',
+      colour: 'red',
+      regions: [
+        { area: 'header', element: 'div' },
+        { area: 'aside', element: 'aside#x', children: ['section#x'] }
+      ]
+    });
+    assert.deepEqual(paths(problems), ['colour', 'regions[0].element', 'regions[1].children[0]', 'regions']);
+  });
+
+  it('rejects methods that would override Page', () => {
+    const problems = validatePattern({ ...dashboard, methods: [{ name: 'render' }] });
+    assert.deepEqual(problems, [{ path: 'methods[0].name', message: '"render" would override Page.render()' }]);
+  });
+});
+
+describe('scaffoldPattern()', () => {
+  const dirs = [];
+  after(() => Promise.all(dirs.map(dir => rm(dir, { recursive: true, force: true }))));
+
+  const tempDir = async (parent = tmpdir()) => {
+    const dir = await mkdtemp(path.join(parent, 'aggressive-pattern-'));
+    dirs.push(dir);
+    return dir;
+  };
+
+  it('refuses an invalid pattern', async () => {
+    await assert.rejects(scaffoldPattern({ ...dashboard, name: 'a--b' }, { dryRun: true }), /Invalid pattern:\n {2}name:/);
+  });
+
+  it('refuses an existing layout name', async () => {
+    await assert.rejects(scaffoldPattern({ ...dashboard, name: 'blog' }, { dryRun: true }), /Layout "blog" already exists/);
+  });
+
+  it('writes nothing on a dry run and lints the demo clean', async () => {
+    const dir = await tempDir();
+    const { files, problems } = await scaffoldPattern(dashboard, { dir, dryRun: true });
+    assert.deepEqual(files.map(file => path.basename(file)), ['DashboardPage.js', 'classless.dashboard.css', 'demo.dashboard.html']);
+    assert.deepEqual(problems, []);
+    await assert.rejects(readFile(files[0]), { code: 'ENOENT' });
+  });
+
+  it('imports the package by name outside it and keeps existing files', async () => {
+    const dir = await tempDir();
+    const { files } = await scaffoldPattern(dashboard, { dir });
+    const source = await readFile(files[0], 'utf8');
+    assert.ok(source.startsWith("import { Page, html } from 'aggressive';\n"));
+    assert.ok(source.includes('  addMetric({ title, value }) {\n    this.metrics.push({ title, value });\n    return this;\n  }'));
+    assert.ok((await readFile(files[1], 'utf8')).includes('--metric-min-width: 12rem;'));
+    await assert.rejects(scaffoldPattern(dashboard, { dir }), /Not overwriting/);
+  });
+
+  it('writes a class that renders its demo page inside the package', async () => {
+    const dir = await tempDir(path.dirname(fileURLToPath(import.meta.url)));
+    const { files } = await scaffoldPattern({ ...dashboard, name: 'data-view' }, { dir });
+    assert.equal(path.basename(files[0]), 'DataViewPage.js');
+    assert.ok((await readFile(files[0], 'utf8')).startsWith("import html from '../../html.js';\nimport Page from '../../Page.js';\n"));
+
+    const { default: DataViewPage } = await import(pathToFileURL(files[0]));
+    const page = new DataViewPage({ title: 'Data view', subtitle: dashboard.description })
+      .addNavLink({ text: 'Home', url: '#', ariaCurrent: 'page' })
+      .addNavLink({ text: 'About', url: '#' });
+    assert.equal(page.render(), await readFile(files[2], 'utf8'));
+  });
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import vm from 'node:vm';
+import BlogPage from '../BlogPage.js';
+
+const page = options => new BlogPage({ title: 'Blog', validate: 'strict', ...options }).addNavLink({ text: 'Home', url: '/' });
+
+// The form and script as rendered, with the script's own code
+const menuOf = markup => {
+  const [, form, script] = markup.match(/(<form>[\s\S]*?<\/form>)\s*(?:<script>([\s\S]*?)<\/script>)?/);
+  return { form, script };
+};
+
+// Run the inline script against a stand-in for the form and localStorage
+function runScript(script, form, storage) {
+  const inputs = [...form.matchAll(/<input[^>]* id="([^"]+)"([^>]*)>/g)].map(([, id, rest]) => ({ id, checked: /\schecked\b/.test(rest) }));
+  const listeners = [];
+  const localStorage = {
+    getItem: key => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, value)
+  };
+  const element = {
+    querySelectorAll: () => inputs,
+    addEventListener: (type, listener) => listeners.push([type, listener])
+  };
+  vm.runInNewContext(script, { document: { currentScript: { previousElementSibling: element } }, localStorage, JSON });
+  const change = () => listeners.filter(([type]) => type === 'change').forEach(([, listener]) => listener());
+  return { inputs, change };
+}
+
+describe('persisted toggles', () => {
+  it('are off by default, so pages stay script-free', () => {
+    assert.equal(menuOf(page().render()).script, undefined);
+  });
+
+  it('emit the script right after the nav form', () => {
+    assert.ok(menuOf(page({ persist: true }).render()).script.includes("localStorage.getItem(key)"));
+    assert.ok(menuOf(page().setPersist().render()).script);
+  });
+
+  it('save the toggles on change and restore them on the next page', () => {
+    const storage = new Map();
+    const { form, script } = menuOf(page({ persist: true }).render());
+
+    const first = runScript(script, form, storage);
+    first.inputs.find(input => input.id === 'grid-layout').checked = true;
+    first.inputs.find(input => input.id === 'blog-layout').checked = false;
+    first.inputs.find(input => input.id === 'aside-menu').checked = false;
+    first.change();
+    assert.deepEqual(JSON.parse(storage.get('aggressive:toggles'))['aside-menu'], false);
+
+    const next = runScript(script, form, storage);
+    const checked = Object.fromEntries(next.inputs.map(({ id, checked }) => [id, checked]));
+    assert.deepEqual(checked, { 'blog-layout': false, 'grid-layout': true, 'aside-menu': false, 'theme-auto': true, 'theme-solarized-dark': false, 'theme-solarized-light': false, 'theme-high-contrast': false });
+  });
+
+  it('keep the defaults when storage is broken or unavailable', () => {
+    const { form, script } = menuOf(page({ persist: true }).render());
+    const { inputs } = runScript(script, form, new Map([['aggressive:toggles', '{not json']]));
+    assert.equal(inputs.find(input => input.id === 'aside-menu').checked, true);
+
+    const throwing = { get: () => { throw new Error('SecurityError'); }, set: () => { throw new Error('QuotaExceededError'); } };
+    const failing = runScript(script, form, throwing);
+    assert.doesNotThrow(() => failing.change());
+  });
+
+  it('survive a JSON round trip', () => {
+    assert.equal(BlogPage.fromJSON(JSON.parse(JSON.stringify(page({ persist: true })))).persist, true);
+  });
+});
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import ArticlePage from '../ArticlePage.js';
+import BlogPage from '../BlogPage.js';
+import { isSafeUrl, sanitize, SANITIZE_DEFAULTS } from '../sanitize.js';
+
+describe('sanitize()', () => {
+  it('drops scripts with their content and event handlers, class and style', () => {
+    assert.equal(sanitize('<p onclick="x()" class="lead" style="color:red">Hi <script>alert(1)</script></p>'), '<p>Hi </p>');
+  });
+
+  it('unwraps unknown tags but keeps their text', () => {
+    assert.equal(sanitize('<div><font>Big</font> <marquee>news</marquee></div>'), 'Big news');
+  });
+
+  it('removes comments and escapes text', () => {
+    assert.equal(sanitize('<p>a <!-- hidden --> &lt;b&gt; & c</p>'), '<p>a  &lt;b&gt; &amp; c</p>');
+  });
+
+  it('keeps relative URLs and allowed schemes only', () => {
+    assert.equal(
+      sanitize('<a href="/about/">a</a><a href="java\tscript:alert(1)">b</a><a href="mailto:x@y.z">c</a><img src="data:image/png;base64,x" alt="d">'),
+      '<a href="/about/">a</a><a>b</a><a href="mailto:x@y.z">c</a><img alt="d">'
+    );
+  });
+
+  it('drops a srcset with one unsafe candidate', () => {
+    assert.equal(sanitize('<img alt="" srcset="/a.png 1x, javascript:x 2x">'), '<img alt="">');
+  });
+
+  it('escapes attribute values', () => {
+    assert.equal(sanitize('<abbr title="&quot;x&quot; &amp; <y>">x</abbr>'), '<abbr title="&quot;x&quot; &amp; &lt;y&gt;">x</abbr>');
+  });
+});
+
+describe('sanitize() ids', () => {
+  it('keeps the id of a heading only', () => {
+    assert.equal(sanitize('<h2 id="setup">Setup</h2><p id="intro">x</p><section id="more">y</section>'), '<h2 id="setup">Setup</h2><p>x</p><section>y</section>');
+  });
+
+  it('never keeps an id the page uses itself', () => {
+    for (const id of ['alert-region', 'aside-menu', 'theme-auto', 'faq']) {
+      assert.equal(sanitize(`<h2 id="${id}">x</h2>`), '<h2>x</h2>');
+    }
+  });
+
+  it('keeps page ids out of a page through its post content', () => {
+    const page = new BlogPage({ title: 'Blog' }).addPost({ title: 'Guest', date: '2025-11-08', content: '<h2 id="alert-region">Gotcha</h2>' });
+    assert.equal(page.render().match(/id="alert-region"/g).length, 1);
+  });
+
+  it('gives ArticlePage table of contents headings ids the page does not use', () => {
+    const page = new ArticlePage({ title: 'Blog' }).setArticle({
+      title: 'FAQ',
+      date: '2025-11-08',
+      content: '<h2 id="alert-region">Alert region</h2><p>a</p><h2>FAQ</h2><p>b</p>'
+    });
+    const out = page.render();
+    assert.ok(out.includes('<h2 id="alert-region-2">Alert region</h2>'));
+    assert.ok(out.includes('<h2 id="faq-2">FAQ</h2>'));
+    assert.equal(out.match(/id="alert-region"/g).length, 1);
+  });
+});
+
+describe('sanitize() options', () => {
+  it('merges attributes per tag, keeping the others and "*"', () => {
+    const options = { attributes: { a: [...SANITIZE_DEFAULTS.attributes.a, 'target'] } };
+    assert.equal(
+      sanitize('<a href="/" target="_blank" title="Home">x</a><h2 id="y" lang="fr">y</h2><td colspan="2">z</td>', options),
+      '<a href="/" target="_blank" title="Home">x</a><h2 id="y" lang="fr">y</h2><td colspan="2">z</td>'
+    );
+  });
+
+  it('replaces the tags, schemes and reserved ids it is given', () => {
+    assert.equal(sanitize('<p>a <em>b</em></p>', { tags: ['p'] }), '<p>a b</p>');
+    assert.equal(sanitize('<a href="http://x.org/">x</a>', { schemes: ['https'] }), '<a>x</a>');
+    assert.equal(sanitize('<h2 id="faq">x</h2>', { reservedIds: [] }), '<h2 id="faq">x</h2>');
+  });
+
+  it('never keeps class, style or event handlers, whatever the options say', () => {
+    assert.equal(sanitize('<p class="x" style="y" onclick="z">a</p>', { attributes: { p: ['class', 'style', 'onclick'] } }), '<p>a</p>');
+  });
+});
+
+describe('isSafeUrl()', () => {
+  it('ignores control characters and case in the scheme', () => {
+    assert.equal(isSafeUrl(' JaVa\nScRiPt:alert(1)'), false);
+    assert.equal(isSafeUrl('HTTPS://example.org/'), true);
+    assert.equal(isSafeUrl('posts/a:b/'), true);
+    assert.equal(isSafeUrl('//cdn.example.org/x.png'), true);
+  });
+});
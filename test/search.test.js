@@ -0,0 +1,153 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { setImmediate } from 'node:timers/promises';
+import vm from 'node:vm';
+import BlogPage from '../BlogPage.js';
+import { buildSite } from '../build.js';
+import { buildSearchIndex, SEARCH_WEIGHTS, textContent, tokenize } from '../search.js';
+import SearchPage from '../SearchPage.js';
+
+const posts = [
+  { title: 'Grid layouts', date: '2025-11-08', url: '/posts/grid/', content: '<p>Rows &amp; columns.</p>', tags: ['css'] },
+  { title: 'Flexbox', date: '2025-11-07', url: '/posts/flex/', content: '<p>Better than a <code>grid</code>?</p><p>Café</p>', categories: ['CSS'] },
+  { title: 'Hello', date: '2025-11-06', url: '/posts/hello/', content: '<p>Nothing here.</p>', description: 'A greeting' }
+];
+
+describe('tokenize()', () => {
+  it('lowercases, drops accents and one-letter words', () => {
+    assert.deepEqual(tokenize('Crème brûlée: a CSS-Grid tale!'), ['creme', 'brulee', 'css', 'grid', 'tale']);
+    assert.deepEqual(tokenize(null), []);
+  });
+});
+
+describe('textContent()', () => {
+  it('decodes entities, separates blocks and drops scripts', () => {
+    assert.equal(textContent('<p>A &amp; B</p><p>C<code>d</code>e</p><script>x()</script><style>p{}</style>'), 'A & B Cde');
+  });
+});
+
+describe('buildSearchIndex()', () => {
+  const index = buildSearchIndex(posts);
+
+  it('lists the posts with their date and excerpt', () => {
+    assert.equal(index.version, 1);
+    assert.deepEqual(index.posts[0], { title: 'Grid layouts', url: '/posts/grid/', date: 'Saturday, November 8, 2025', datetime: '2025-11-08', excerpt: 'Rows & columns.' });
+    assert.equal(index.posts[2].excerpt, 'A greeting');
+  });
+
+  it('weights each word by where it appears', () => {
+    assert.deepEqual(index.terms.grid, [0, SEARCH_WEIGHTS.title, 1, SEARCH_WEIGHTS.content]);
+    assert.deepEqual(index.terms.css, [0, SEARCH_WEIGHTS.terms, 1, SEARCH_WEIGHTS.terms]);
+    assert.deepEqual(index.terms.cafe, [1, 1]);
+    assert.deepEqual(Object.keys(index.terms), Object.keys(index.terms).sort());
+  });
+
+  it('cuts long excerpts at a word', () => {
+    const { posts: [entry] } = buildSearchIndex([{ title: 'Long', date: '2025-11-08', url: '/', content: `<p>${'word '.repeat(50)}</p>` }]);
+    assert.ok(entry.excerpt.endsWith('word…') && entry.excerpt.length <= 161);
+  });
+
+  it('writes dates in the language of the site', () => {
+    assert.equal(buildSearchIndex(posts.slice(0, 1), { lang: 'fr', dateFormat: 'short' }).posts[0].date, '8 nov. 2025');
+  });
+});
+
+// Run the search page's inline script against a stand-in DOM
+async function search(markup, query, index) {
+  const script = markup.match(/<script>([\s\S]*?)<\/script>/)[1];
+  const element = () => ({
+    children: [],
+    textContent: '',
+    append(...nodes) { this.children.push(...nodes); },
+    replaceChildren(...nodes) { this.children = nodes; }
+  });
+  const heading = element();
+  const status = { ...element(), previousElementSibling: heading };
+  const section = { ...element(), previousElementSibling: status };
+  const input = { value: '' };
+  const requested = [];
+
+  vm.runInNewContext(script, {
+    document: {
+      currentScript: { previousElementSibling: section },
+      querySelectorAll: () => [input],
+      createElement: tag => ({ ...element(), tag })
+    },
+    location: { search: `?q=${encodeURIComponent(query)}` },
+    fetch: async url => {
+      requested.push(url);
+      return { ok: true, json: async () => JSON.parse(JSON.stringify(index)) };
+    },
+    URLSearchParams
+  });
+  await setImmediate();
+
+  const titles = section.children.map(article => article.children[0].children[0].children[0]);
+  return { heading: heading.textContent, status: status.textContent, titles, input: input.value, requested, articles: section.children };
+}
+
+describe('SearchPage', () => {
+  const page = () => {
+    const searchPage = new SearchPage({ title: 'Blog' }).setSearch({ url: '/search/', index: '/search.json' });
+    posts.forEach(post => searchPage.addPost(post));
+    return searchPage.render();
+  };
+
+  it('lists every post without JavaScript', () => {
+    const markup = page();
+    assert.ok(markup.includes('<li><a href="/posts/flex/">Flexbox</a> <time datetime="2025-11-07">'));
+    assert.ok(markup.includes('<p role="status"></p>'));
+  });
+
+  it('ranks title matches first and matches the start of words', async () => {
+    const result = await search(page(), 'gri', buildSearchIndex(posts));
+    assert.deepEqual(result.titles, ['Grid layouts', 'Flexbox']);
+    assert.deepEqual(result.requested, ['/search.json']);
+    assert.equal(result.input, 'gri');
+    assert.equal(result.status, 'Posts found: 2');
+  });
+
+  it('needs every word of the query, accents or not', async () => {
+    assert.deepEqual((await search(page(), 'grid Café', buildSearchIndex(posts))).titles, ['Flexbox']);
+    const none = await search(page(), 'grid hello', buildSearchIndex(posts));
+    assert.deepEqual(none.titles, []);
+    assert.match(none.status, /grid hello/);
+  });
+
+  it('renders results as the teasers the index shows', async () => {
+    const [article] = (await search(page(), 'hello', buildSearchIndex(posts))).articles;
+    assert.deepEqual(article.children.map(child => child.tag), ['header', 'p', 'footer']);
+    assert.equal(article.children[1].children[0], 'A greeting');
+    assert.equal(article.children[2].children[0].href, '/posts/hello/');
+  });
+
+  it('keeps "<" in its settings from closing the script', () => {
+    const markup = new SearchPage({ title: 'Blog', messages: { 'search.error': '</script><b>' } }).setSearch({ url: '/search/', index: '/search.json' }).render();
+    assert.ok(!markup.includes('</script><b>'));
+  });
+
+  it('has no script without an index', () => {
+    assert.ok(!new SearchPage({ title: 'Blog' }).render().includes('<script>'));
+  });
+});
+
+describe('search in a build', () => {
+  it('writes the index, the search page and the form on every page', async () => {
+    const root = await mkdtemp(path.join(tmpdir(), 'aggressive-search-'));
+    try {
+      const { outDir, files } = await buildSite({ root, title: 'Blog', search: true, validate: false, posts });
+      assert.ok(files.includes('search.json') && files.includes('search/index.html'));
+      assert.deepEqual(JSON.parse(await readFile(path.join(outDir, 'search.json'), 'utf8')).posts.map(post => post.url), ['/posts/grid/', '/posts/flex/', '/posts/hello/']);
+      assert.match(await readFile(path.join(outDir, 'posts/grid/index.html'), 'utf8'), /<form role="search" action="\/search\/"/);
+    } finally {
+      await rm(root, { recursive: true, force: true });
+    }
+  });
+
+  it('gives a blog page the search form in its aside', () => {
+    assert.match(new BlogPage({ title: 'Blog' }).setSearch({ url: '/search/' }).render(), /<aside[^>]*>\s*<form role="search"/);
+  });
+});
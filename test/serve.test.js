@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { existsSync } from 'node:fs';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { serve } from '../serve.js';
+
+const post = (title, date) => `---\ntitle: ${title}\ndate: ${date}\n---\n\n${title} text.\n`;
+
+describe('serve()', () => {
+  let root;
+  let server;
+  const logs = [];
+
+  before(async () => {
+    root = await mkdtemp(path.join(tmpdir(), 'aggressive-serve-'));
+    await mkdir(path.join(root, 'posts'));
+    await writeFile(path.join(root, 'posts', 'one.md'), post('One', '2025-11-08'));
+    await writeFile(path.join(root, 'posts', 'two.md'), post('Two', '2025-11-09'));
+    await writeFile(path.join(root, 'aggressive.config.js'), "export default { title: 'Blog', content: 'posts', validate: false };\n");
+    server = await serve(path.join(root, 'aggressive.config.js'), { port: 0, log: message => logs.push(message) });
+  });
+
+  after(async () => {
+    await server?.close();
+    await rm(root, { recursive: true, force: true });
+  });
+
+  const get = pathname => fetch(new URL(pathname, server.url), { redirect: 'manual' });
+
+  it('serves pages with the live reload script', async () => {
+    const response = await get('/posts/one/');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'text/html; charset=utf-8');
+    const body = await response.text();
+    assert.ok(body.includes('<p>One text.</p>'));
+    assert.ok(body.includes("new EventSource('/__aggressive/events')"));
+  });
+
+  it('redirects directories to their trailing slash', async () => {
+    const response = await get('/posts/one');
+    assert.equal(response.status, 301);
+    assert.equal(response.headers.get('location'), '/posts/one/');
+  });
+
+  it('answers 400 to a malformed escape and 404 to a page never generated', async () => {
+    assert.equal((await get('/%E0%A4%A')).status, 400);
+    assert.equal((await get('/posts/three/')).status, 404);
+  });
+
+  it('removes the pages of a deleted post on rebuild', async () => {
+    const outDir = path.join(root, 'dist');
+    assert.ok(existsSync(path.join(outDir, 'posts', 'two', 'index.html')));
+
+    await rm(path.join(root, 'posts', 'two.md'));
+    await server.rebuild();
+
+    assert.ok(!existsSync(path.join(outDir, 'posts', 'two')));
+    assert.ok(!(await readFile(path.join(outDir, 'index.html'), 'utf8')).includes('/posts/two/'));
+    // The watcher may rebuild once more after it, with no changes left
+    assert.ok(logs.some(message => /^✓ Rebuilt in \d+ ms \(.*index\.html.*posts\/two\/index\.html\)$/.test(message)));
+  });
+});
+
+describe('serve() with a missing directory', () => {
+  it('reports the directory instead of throwing, and serves the build error', async () => {
+    const root = await mkdtemp(path.join(tmpdir(), 'aggressive-serve-'));
+    await writeFile(path.join(root, 'aggressive.config.js'), "export default { title: 'Blog', content: 'posts', validate: false };\n");
+    const logs = [];
+    const server = await serve(path.join(root, 'aggressive.config.js'), { port: 0, log: message => logs.push(message) });
+
+    try {
+      assert.deepEqual(logs, [
+        `❌ Build failed: ENOENT: no such file or directory, scandir '${path.join(root, 'posts')}'`,
+        `⚠ Not watching ${path.join(root, 'posts')}: the directory does not exist (restart the server once it does)`
+      ]);
+      const response = await fetch(server.url);
+      assert.equal(response.status, 404);
+      assert.ok((await response.text()).includes("new EventSource('/__aggressive/events')"));
+    } finally {
+      await server.close();
+      await rm(root, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict';
+import { createWriteStream } from 'node:fs';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { pipeline } from 'node:stream/promises';
+import { describe, it } from 'node:test';
+import ArticlePage from '../ArticlePage.js';
+import BlogPage from '../BlogPage.js';
+import { buildSite } from '../build.js';
+import DocsPage from '../DocsPage.js';
+import html from '../html.js';
+import Page from '../Page.js';
+import PricingPage from '../PricingPage.js';
+import SearchPage from '../SearchPage.js';
+
+const chunks = async page => {
+  const pieces = [];
+  for await (const chunk of page.renderStream()) {
+    pieces.push(chunk);
+  }
+  return pieces;
+};
+
+const posts = Array.from({ length: 50 }, (_, i) => ({
+  title: `Post ${i}`,
+  date: `2025-11-${String(28 - (i % 28)).padStart(2, '0')}`,
+  url: `/posts/${i}/`,
+  content: `<p>Text ${i}</p>\n<pre><code>  keep\n    this</code></pre>`,
+  categories: ['CSS'],
+  tags: i % 2 ? ['grid'] : []
+}));
+
+const pages = mode => [
+  posts.reduce((page, post) => page.addPost(post), new BlogPage({ title: 'Blog', renderMode: mode })
+    .addNavLink({ text: 'Home', url: '/', ariaCurrent: 'page' })
+    .addCategory({ text: 'CSS', url: '/category/css/', count: 50 })
+    .addPagerLink({ text: '2', url: '/page/2/', rel: 'next' })
+    .setFooter('<p>© 2025</p>')),
+  new BlogPage({ title: 'Empty', renderMode: mode }),
+  new ArticlePage({ title: 'Blog', renderMode: mode })
+    .setArticle({ title: 'Hello', date: '2025-11-08', content: '<h2>A</h2><p>x</p><h3>B</h3>' })
+    .setAdjacent({ previous: { title: 'Before', url: '/before/' }, next: { title: 'After', url: '/after/' } }),
+  posts.reduce((page, post) => page.addPost(post), new SearchPage({ title: 'Blog', renderMode: mode }).setSearch({ url: '/search/', index: '/search.json' })),
+  new DocsPage({ title: 'Docs', renderMode: mode })
+    .addSection({ title: 'Start', links: [{ text: 'Install', url: '/install/' }] })
+    .setDoc({ title: 'Install', content: '<p>npm i</p>' }),
+  new PricingPage({ title: 'Plans', renderMode: mode }).addTier({ name: 'Pro', price: 29, features: ['10 sites'] })
+];
+
+describe('renderStream()', () => {
+  for (const mode of ['default', 'pretty', 'minify']) {
+    it(`yields exactly what render() returns, for every page type, in ${mode} mode`, async () => {
+      for (const page of pages(mode)) {
+        assert.equal((await chunks(page)).join(''), page.render(), `${page.constructor.name} "${page.title}"`);
+      }
+    });
+  }
+
+  it('yields the head, then each article of a blog page on its own', async () => {
+    const [blog] = pages('default');
+    const pieces = await chunks(blog);
+    assert.ok(pieces[0].startsWith('<!DOCTYPE html>') && pieces[0].endsWith('</head>\n'));
+    assert.equal(pieces.filter(piece => /^\s*<article>/.test(piece)).length, 50);
+    assert.ok(pieces.every(piece => piece.split('<article>').length <= 2));
+  });
+
+  it('leaves no state behind, so render() still works after it', async () => {
+    const [blog] = pages('default');
+    const before = blog.render();
+    await chunks(blog);
+    assert.equal(blog.render(), before);
+  });
+
+  it('pipes into a writable stream', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'aggressive-stream-'));
+    try {
+      const [blog] = pages('default');
+      const file = path.join(dir, 'index.html');
+      await pipeline(blog.renderStream(), createWriteStream(file));
+      assert.equal(await readFile(file, 'utf8'), blog.render());
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('names a page that renders a list in the middle of a line', async () => {
+    class InlinePage extends Page {
+      static regions = [{ area: 'main', element: 'main', render: '_renderMain' }];
+      _renderMain() {
+        return html`<main><p>${this._renderEach(['a', 'b'], item => html`<b>${item}</b>`)}</p></main>`;
+      }
+    }
+    await assert.rejects(chunks(new InlinePage({ title: 'x' })), { message: 'InlinePage: a list rendered with _renderEach() must start its own line' });
+  });
+});
+
+describe('streaming builds', () => {
+  it('write the same pages as an incremental build, which renders them whole', async () => {
+    const root = await mkdtemp(path.join(tmpdir(), 'aggressive-stream-'));
+    try {
+      const config = { root, title: 'Blog', validate: false, pageSize: 20, search: true, posts };
+      const streamed = await buildSite({ ...config, output: 'streamed' });
+      const whole = await buildSite({ ...config, output: 'whole' }, { incremental: true });
+      assert.deepEqual(streamed.pages, whole.pages);
+      for (const file of streamed.pages) {
+        assert.equal(await readFile(path.join(streamed.outDir, file), 'utf8'), await readFile(path.join(whole.outDir, file), 'utf8'), file);
+      }
+    } finally {
+      await rm(root, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { existsSync } from 'node:fs';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import BlogPage from '../BlogPage.js';
+import { buildSite } from '../build.js';
+import { slug } from '../lib.js';
+import { collectTerms, termUrl } from '../taxonomy.js';
+
+describe('slug()', () => {
+  it('lowercases and joins words with single hyphens', () => {
+    assert.equal(slug('  Hello,   World!  '), 'hello-world');
+    assert.equal(slug('CSS Grid & Flexbox 2025'), 'css-grid-flexbox-2025');
+  });
+
+  it('takes the accents off Latin letters', () => {
+    assert.equal(slug('Crème Brûlée'), 'creme-brulee');
+    assert.equal(slug('Tiếng Việt'), 'tieng-viet');
+  });
+
+  it('keeps the marks that are part of a non-Latin letter', () => {
+    assert.equal(slug('Мой блог'), 'мой-блог');
+    assert.equal(slug('Мои'), 'мои');
+    assert.notEqual(slug('Мой'), slug('Мои'));
+    assert.equal(slug('Ελληνικά'), 'ελληνικά');
+    assert.equal(slug('हिन्दी'), 'हिन्दी');
+  });
+
+  it('folds compatibility forms', () => {
+    assert.equal(slug('Ｆｕｌｌ ﬁle'), 'full-file');
+  });
+
+  it('is empty for a name without letters or digits', () => {
+    assert.equal(slug('🎉 !'), '');
+  });
+});
+
+describe('termUrl()', () => {
+  it('puts categories and tags under their own paths and the language base', () => {
+    assert.equal(termUrl('categories', 'Web Design'), '/category/web-design/');
+    assert.equal(termUrl('tags', 'Web Design', '/fr'), '/fr/tag/web-design/');
+  });
+
+  it('spells out names without letters or digits by code point', () => {
+    assert.equal(termUrl('tags', '🎉'), '/tag/1f389/');
+    assert.notEqual(termUrl('tags', '🎉'), termUrl('tags', '🚀'));
+  });
+});
+
+describe('collectTerms()', () => {
+  const posts = [
+    { title: 'One', categories: ['CSS', 'HTML'], tags: ['grid'] },
+    { title: 'Two', categories: ['css '], tags: [] },
+    { title: 'Three', categories: ['Мой'], tags: ['🎉', '🚀'] },
+    { title: 'Four', categories: ['Мои'] }
+  ];
+
+  it('groups posts by term in first-seen order, with counts', () => {
+    const terms = collectTerms(posts, 'categories');
+    assert.deepEqual(terms.map(({ text, url, count }) => ({ text, url, count })), [
+      { text: 'CSS', url: '/category/css/', count: 2 },
+      { text: 'HTML', url: '/category/html/', count: 1 },
+      { text: 'Мой', url: '/category/мой/', count: 1 },
+      { text: 'Мои', url: '/category/мои/', count: 1 }
+    ]);
+    assert.deepEqual(terms[0].posts.map(post => post.title), ['One', 'Two']);
+  });
+
+  it('keeps terms apart whose slugs only differ in non-Latin marks or emoji', () => {
+    assert.deepEqual(collectTerms(posts, 'tags').map(({ url }) => url), ['/tag/grid/', '/tag/1f389/', '/tag/1f680/']);
+  });
+
+  it('throws when two different names would share one archive', () => {
+    assert.throws(() => collectTerms([{ title: 'A', tags: ['C'] }, { title: 'B', source: 'posts/b.md', tags: ['C++'] }], 'tags'), {
+      message: 'posts/b.md: tag "C++" has the same archive URL as "C" (/tag/c/) - rename one of them'
+    });
+    assert.throws(() => collectTerms([{ title: 'A', categories: ['Café', 'Cafe'] }]), /^Error: Post "A": category "Cafe" has the same archive URL as "Café"/);
+  });
+
+  it('feeds the sidebar of a BlogPage', () => {
+    const page = new BlogPage({ title: 'Blog', base: '/fr' }).setCategoriesFromPosts(posts.slice(0, 2));
+    assert.deepEqual(page.categories, [
+      { text: 'CSS', url: '/fr/category/css/', count: 2, ariaCurrent: null },
+      { text: 'HTML', url: '/fr/category/html/', count: 1, ariaCurrent: null }
+    ]);
+  });
+});
+
+describe('archives in a build', () => {
+  it('stop the build on a collision instead of overwriting an archive', async () => {
+    const root = await mkdtemp(path.join(tmpdir(), 'aggressive-taxonomy-'));
+    try {
+      await assert.rejects(
+        buildSite({ root, title: 'Blog', validate: false, posts: [
+          { title: 'A', date: '2025-11-09', categories: ['C'] },
+          { title: 'B', date: '2025-11-08', categories: ['C#'] }
+        ] }),
+        { message: 'Post "B": category "C#" has the same archive URL as "C" (/category/c/) - rename one of them' }
+      );
+      assert.ok(!existsSync(path.join(root, 'dist')));
+    } finally {
+      await rm(root, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { describe, it } from 'node:test';
+import BlogPage from '../BlogPage.js';
+import { MESSAGES } from '../i18n.js';
+import { THEMES } from '../Page.js';
+
+const css = await readFile(new URL('../classless.base.css', import.meta.url), 'utf8');
+
+// Color tokens of every rule whose selector mentions `selector`
+const tokensFor = selector => css.split('}')
+  .filter(rule => rule.slice(0, rule.indexOf('{')).includes(selector))
+  .map(rule => [...rule.matchAll(/(--color-[\w-]+):/g)].map(([, token]) => token).sort());
+
+describe('themes in classless.base.css', () => {
+  it('define every theme for data-theme and for its radio', () => {
+    for (const name of Object.keys(THEMES).filter(name => name !== 'auto')) {
+      assert.ok(css.includes(`:root[data-theme="${name}"]`), name);
+      assert.ok(css.includes(`:root:has(#theme-${name}:checked)`), name);
+    }
+    assert.ok(css.includes(':root:has(#theme-auto:checked)'));
+  });
+
+  it('set the same color tokens in every theme', () => {
+    const [expected, ...others] = Object.keys(THEMES).flatMap(name => tokensFor(`#theme-${name}:checked`));
+    assert.ok(expected.length > 0);
+    others.forEach(tokens => assert.deepEqual(tokens, expected));
+  });
+});
+
+describe('page themes', () => {
+  const htmlTag = page => page.render().match(/<html[^>]*>/)[0];
+
+  it('follow the visitor by default and set data-theme otherwise', () => {
+    assert.equal(htmlTag(new BlogPage({ title: 'Blog' })), '<html lang="en">');
+    assert.equal(htmlTag(new BlogPage({ title: 'Blog', theme: 'high-contrast' })), '<html lang="en" data-theme="high-contrast">');
+    assert.equal(htmlTag(new BlogPage({ title: 'Blog' }).setTheme('solarized-light')), '<html lang="en" data-theme="solarized-light">');
+  });
+
+  it('reject a theme that does not exist', () => {
+    assert.throws(() => new BlogPage({ title: 'Blog' }).setTheme('dracula'), {
+      message: 'Unknown theme "dracula" (available: auto, solarized-dark, solarized-light, high-contrast)'
+    });
+  });
+
+  it('offer one labelled radio per theme, the page theme checked', () => {
+    const radios = new BlogPage({ title: 'Blog', theme: 'solarized-dark' }).addNavLink({ text: 'Home', url: '/' }).render().match(/<input type="radio" name="theme"[^>]*>/g);
+    assert.deepEqual(radios, [
+      '<input type="radio" name="theme" id="theme-auto" aria-label="Automatic theme">',
+      '<input type="radio" name="theme" id="theme-solarized-dark" aria-label="Solarized dark theme" checked>',
+      '<input type="radio" name="theme" id="theme-solarized-light" aria-label="Solarized light theme">',
+      '<input type="radio" name="theme" id="theme-high-contrast" aria-label="High contrast theme">'
+    ]);
+  });
+
+  it('have a label in every message catalog', () => {
+    for (const [lang, messages] of Object.entries(MESSAGES)) {
+      for (const name of Object.keys(THEMES)) {
+        assert.ok(messages[`theme.${name}`], `${lang}: theme.${name}`);
+      }
+    }
+  });
+
+  it('survive a JSON round trip', () => {
+    assert.equal(BlogPage.fromJSON(JSON.parse(JSON.stringify(new BlogPage({ title: 'Blog', theme: 'high-contrast' })))).theme, 'high-contrast');
+  });
+});
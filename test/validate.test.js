@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+import ArticlePage from '../ArticlePage.js';
+import BlogPage from '../BlogPage.js';
+import { raw } from '../html.js';
+import { checkArgs, didYouMean, schemaFor } from '../validate.js';
+
+const LINK = [{ text: 'string!', url: 'string!', ariaCurrent: 'string|boolean' }];
+
+describe('checkArgs()', () => {
+  it('reports unknown keys with the key that was meant', () => {
+    assert.deepEqual(checkArgs(LINK, [{ text: 'Home', href: '/' }]), ['unknown key "href" (did you mean "url"?)', '"url" is required']);
+    assert.deepEqual(checkArgs(LINK, [{ txet: 'Home', url: '/' }]), ['unknown key "txet" (did you mean "text"?)', '"text" is required']);
+  });
+
+  it('reports wrong types, empty required strings and missing objects', () => {
+    assert.deepEqual(checkArgs(LINK, [{ text: '', url: 1, ariaCurrent: 'page' }]), ['"text" is required', '"url" must be string, got number']);
+    assert.deepEqual(checkArgs(LINK, []), ['argument 1 must be an object, got undefined']);
+  });
+
+  it('allows null for optional values', () => {
+    assert.deepEqual(checkArgs(LINK, [{ text: 'Home', url: '/', ariaCurrent: null }]), []);
+  });
+
+  it('checks every item of a list', () => {
+    assert.deepEqual(checkArgs([LINK], [[{ text: 'a', url: '/' }, { text: 'b' }]]), ['item 2: "url" is required']);
+    assert.deepEqual(checkArgs([LINK], ['x']), ['argument 1 must be an array, got string']);
+  });
+
+  it('takes SafeHTML as html and Dates as dates', () => {
+    assert.deepEqual(checkArgs([{ content: 'html', date: 'date!' }], [{ content: raw('<p>x</p>'), date: new Date(0) }]), []);
+    assert.deepEqual(checkArgs([{ content: 'html' }], [{ content: 42 }]), ['"content" must be html, got number']);
+  });
+});
+
+describe('didYouMean()', () => {
+  it('prefers aliases, then close spellings, then nothing', () => {
+    assert.equal(didYouMean('permalink', ['title', 'url']), 'url');
+    assert.equal(didYouMean('titel', ['title', 'url']), 'title');
+    assert.equal(didYouMean('colour', ['title', 'url']), null);
+  });
+});
+
+describe('schemaFor()', () => {
+  it('inherits method schemas and adds up constructor options', () => {
+    assert.equal(schemaFor(ArticlePage, 'addPost'), BlogPage.schemas.addPost);
+    const [options] = schemaFor(BlogPage, 'options');
+    assert.ok('title' in options && 'persist' in options);
+  });
+});
+
+describe('page validation modes', () => {
+  it('throws in strict mode, naming the call', () => {
+    const page = new BlogPage({ title: 'Blog', validate: 'strict' });
+    assert.throws(() => page.addNavLink({ text: 'Home', href: '/' }), {
+      message: 'BlogPage.addNavLink(): unknown key "href" (did you mean "url"?); "url" is required'
+    });
+  });
+
+  it('warns by default and goes on', t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    new BlogPage({ title: 'Blog', colour: 'red' });
+    assert.deepEqual(warn.mock.calls.map(call => call.arguments[0]), ['Warning: new BlogPage(): unknown key "colour"']);
+  });
+
+  it('stays quiet with validate: false', () => {
+    const warn = mock.method(console, 'warn', () => {});
+    try {
+      new BlogPage({ title: 'Blog', validate: false }).addNavLink({ text: 'Home', href: '/' });
+      assert.equal(warn.mock.callCount(), 0);
+    } finally {
+      warn.mock.restore();
+    }
+  });
+
+  it('throws on a date that does not parse, naming the post', () => {
+    const page = new BlogPage({ title: 'Blog', validate: 'strict' });
+    assert.throws(() => page.addPost({ title: 'Hello', date: '2025-13-45' }), /^Error: Post "Hello": /);
+    assert.throws(() => page.addPost({ title: 'Hello', date: '2025-11-08', updated: 'soon' }), /^Error: Post "Hello" \(updated\): /);
+  });
+});
+
+describe('addPost() fields', () => {
+  const post = {
+    title: 'Hello',
+    date: '2025-11-08',
+    updated: '2025-11-10T12:00:00Z',
+    content: '<p>Hi</p>',
+    url: '/posts/hello/',
+    categories: 'CSS',
+    tags: ['grid'],
+    author: 'Jane Doe',
+    description: 'A greeting',
+    translationKey: 'hello',
+    draft: true,
+    source: 'posts/hello.md'
+  };
+
+  it('keeps every field of the schema', () => {
+    const [stored] = new BlogPage({ title: 'Blog', validate: 'strict' }).addPost(post).posts;
+    assert.deepEqual(stored, {
+      title: 'Hello',
+      date: '2025-11-08',
+      datetime: '2025-11-08',
+      updated: '2025-11-10T12:00:00Z',
+      content: '<p>Hi</p>',
+      url: '/posts/hello/',
+      readMoreText: 'Read more →',
+      categories: ['CSS'],
+      tags: ['grid'],
+      author: { name: 'Jane Doe', url: null },
+      description: 'A greeting',
+      translationKey: 'hello',
+      draft: true,
+      source: 'posts/hello.md'
+    });
+  });
+
+  it('accepts every field it keeps when read back from JSON', () => {
+    const page = new BlogPage({ title: 'Blog', validate: 'strict' }).addPost(post);
+    const json = JSON.parse(JSON.stringify(page));
+    assert.deepEqual(BlogPage.fromJSON(json).toJSON(), json);
+  });
+
+  it('keeps every field of the article on ArticlePage', () => {
+    const page = new ArticlePage({ title: 'Blog', validate: 'strict' }).setArticle(post);
+    const { article } = page;
+    assert.equal(article.url, '/posts/hello/');
+    assert.equal(article.description, 'A greeting');
+    assert.equal(article.source, 'posts/hello.md');
+    const json = JSON.parse(JSON.stringify(page));
+    assert.deepEqual(ArticlePage.fromJSON(json).toJSON(), json);
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * validate.js - Argument checking for the page API
+ *
+ * Page classes describe the arguments of their public methods in a
+ * `static schemas` object. Each entry lists the method's positional
+ * arguments; an argument is a type, an object of fields (name -> type) or
+ * a one-element array of such an object for a list:
+ *
+ *   static schemas = {
+ *     setDocumentTitle: ['string!'],
+ *     addNavLink: [{ text: 'string!', url: 'string!', ariaCurrent: 'string|boolean' }],
+ *     setNavLinks: [[{ text: 'string!', url: 'string!', ariaCurrent: 'string|boolean' }]]
+ *   };
+ *
+ * Types are joined with `|`; a trailing `!` makes the value required.
+ * null and undefined are always allowed for optional values. The options
+ * of the constructor are listed under `options`.
+ *
+ * Usage:
+ *   checkArgs([{ text: 'string!', url: 'string!' }], [{ text: 'Home', href: '/' }]);
+ *   // => ['unknown key "href" (did you mean "url"?)', '"url" is required']
+ */
+
+// Keys people reach for out of habit, and the key this API uses instead
+export const ALIASES = {
+  href: 'url',
+  link: 'url',
+  readMoreHref: 'url',
+  readMoreUrl: 'url',
+  permalink: 'url',
+  name: 'text',
+  label: 'text',
+  body: 'content',
+  html: 'content',
+  published: 'date',
+  category: 'categories',
+  tag: 'tags',
+  image: 'src',
+  altText: 'alt',
+  current: 'ariaCurrent',
+  'aria-current': 'ariaCurrent'
+};
+
+const TYPES = {
+  any: () => true,
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && !Number.isNaN(value),
+  boolean: value => typeof value === 'boolean',
+  function: value => typeof value === 'function',
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && !Array.isArray(value),
+  // Markup: a string, or SafeHTML from html``/raw()
+  html: value => typeof value === 'string' || value instanceof String,
+  // Anything dates.js can parse
+  date: value => typeof value === 'string' || typeof value === 'number' || value instanceof Date
+};
+
+const describe = value => value === null ? 'null' : Array.isArray(value) ? 'array' : value instanceof String ? 'html' : typeof value;
+
+// Edit distance, for spotting typos ('titel' -> 'title')
+function distance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * The known key `key` was most likely meant to be, or null
+ */
+export function didYouMean(key, known) {
+  if (known.includes(ALIASES[key])) {
+    return ALIASES[key];
+  }
+
+  const lower = key.toLowerCase();
+  let best = null;
+  let bestDistance = Math.min(2, Math.floor(key.length / 2));
+  for (const candidate of known) {
+    const d = distance(lower, candidate.toLowerCase());
+    if (d <= bestDistance) {
+      best = candidate;
+      bestDistance = d;
+    }
+  }
+  return best;
+}
+
+function checkValue(type, value, label, problems) {
+  const required = type.endsWith('!');
+  const types = type.replace(/!$/, '').split('|');
+
+  if (value == null || (required && value === '')) {
+    if (required) problems.push(`${label} is required`);
+    return;
+  }
+
+  if (!types.some(name => TYPES[name](value))) {
+    problems.push(`${label} must be ${types.join(' or ')}, got ${describe(value)}`);
+  }
+}
+
+function checkFields(fields, value, label, problems) {
+  if (value == null || typeof value !== 'object' || Array.isArray(value)) {
+    problems.push(`${label} must be an object, got ${describe(value)}`);
+    return;
+  }
+
+  const known = Object.keys(fields);
+  const prefix = label.startsWith('item') ? `${label}: ` : '';
+
+  for (const key of Object.keys(value)) {
+    if (!known.includes(key)) {
+      const guess = didYouMean(key, known);
+      problems.push(`${prefix}unknown key "${key}"${guess ? ` (did you mean "${guess}"?)` : ''}`);
+    }
+  }
+
+  for (const [key, type] of Object.entries(fields)) {
+    checkValue(type, value[key], `${prefix}"${key}"`, problems);
+  }
+}
+
+function checkArg(spec, value, label, problems) {
+  if (typeof spec === 'string') {
+    checkValue(spec, value, label, problems);
+  } else if (Array.isArray(spec)) {
+    if (!Array.isArray(value)) {
+      problems.push(`${label} must be an array, got ${describe(value)}`);
+      return;
+    }
+    value.forEach((item, i) => checkArg(spec[0], item, `item ${i + 1}`, problems));
+  } else if (value != null || Object.values(spec).some(type => type.endsWith('!'))) {
+    // An object without required fields may be left out
+    checkFields(spec, value, label, problems);
+  }
+}
+
+/**
+ * Check positional `args` against a method schema; returns the problems found
+ */
+export function checkArgs(schema, args) {
+  const problems = [];
+  schema.forEach((spec, i) => checkArg(spec, args[i], `argument ${i + 1}`, problems));
+  return problems;
+}
+
+/**
+ * The schema of `method` on a Page class, inherited unless overridden.
+ * Constructor options (`options`) add up instead: a subclass lists only
+ * the options it adds.
+ */
+export function schemaFor(PageClass, method) {
+  const chain = [];
+  for (let cls = PageClass; cls && cls !== Function.prototype; cls = Object.getPrototypeOf(cls)) {
+    if (Object.hasOwn(cls, 'schemas') && Object.hasOwn(cls.schemas, method)) {
+      chain.push(cls.schemas[method]);
+    }
+  }
+
+  if (method === 'options' && chain.length) {
+    return [Object.assign({}, ...chain.reverse().map(([fields]) => fields))];
+  }
+  return chain[0] || null;
+}